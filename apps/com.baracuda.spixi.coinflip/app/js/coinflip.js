@@ -1,10 +1,12 @@
 // Copyright (C) 2025 IXI Labs
 // Coin Flip - Spixi Mini App
 
+// Keep console output of the game in the SDK log, it is forwarded to the host and the dev server
+SpixiAppSdk.log.configure({ captureConsole: true });
+
 // Game State
 const gameState = {
     sessionId: null,
-    localAddress: null,
     remoteAddress: null,
     connectionEstablished: false,
     
@@ -22,10 +24,6 @@ const gameState = {
     phase: 'betting' // betting, waiting, ready, flipping, result
 };
 
-// Connection management
-let connectionRetryInterval = null;
-let keepaliveInterval = null;
-
 // UI Elements
 const elements = {
     menuBtn: document.getElementById('menuBtn'),
@@ -76,72 +74,117 @@ const elements = {
 SpixiAppSdk.onInit = function(sessionId, userAddresses) {
     gameState.sessionId = sessionId;
     
-    const addresses = userAddresses.split(',');
-    if (addresses.length === 2) {
-        gameState.localAddress = addresses[0].trim();
-        gameState.remoteAddress = addresses[1].trim();
-        
-        console.log('Initialized with addresses:', gameState.localAddress, gameState.remoteAddress);
-        startConnectionHandshake();
+    // The host passes the addresses of the other users, the local user is one more player
+    const addresses = userAddresses.split(',').map(address => address.trim()).filter(address => address !== '');
+    const players = addresses.length + 1;
+    // The player count comes from appinfo.spixi when the manifest is known
+    const manifest = SpixiAppSdk.manifest;
+    const minUsers = manifest?.minUsers ?? 2;
+    const maxUsers = manifest?.maxUsers ?? 2;
+    if (players < minUsers || players > maxUsers) {
+        updateStatus(minUsers === maxUsers
+            ? `Coin Flip needs ${minUsers} players`
+            : `Coin Flip needs ${minUsers} to ${maxUsers} players`);
+        console.warn('Unsupported number of users:', players);
+        return;
     }
+
+    gameState.remoteAddress = addresses[0];
+
+    console.log('Initialized with opponent:', gameState.remoteAddress);
+    // Continue the round if the app was closed mid-game, missed messages are replayed by the opponent
+    SpixiAppSdk.recovery.enable({ snapshot: gameSnapshot, restore: restoreGame });
+    startConnectionHandshake();
 };
 
-// Start connection handshake
+// The round as stored by SpixiAppSdk.recovery
+function gameSnapshot() {
+    return {
+        localBet: gameState.localBet,
+        localChoice: gameState.localChoice,
+        remoteBet: gameState.remoteBet,
+        remoteChoice: gameState.remoteChoice,
+        agreedBet: gameState.agreedBet,
+        isFlipper: gameState.isFlipper,
+        coinResult: gameState.coinResult,
+        phase: gameState.phase
+    };
+}
+
+// Rebuilds the UI of a stored round
+function restoreGame(saved) {
+    Object.assign(gameState, saved);
+    elements.choiceBtns.forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.choice === gameState.localChoice);
+    });
+    if (gameState.localBet !== null) {
+        elements.betAmount.value = gameState.localBet;
+        elements.yourBetDisplay.textContent = `${gameState.localBet} IXI`;
+        elements.yourChoiceDisplay.textContent = gameState.localChoice.toUpperCase();
+    }
+    updatePlaceBetButton();
+
+    if (gameState.coinResult) {
+        showResult(gameState.coinResult);
+    } else if (gameState.phase === 'ready') {
+        showReadyPhase();
+    } else {
+        switchPhase(gameState.phase);
+    }
+}
+
+// Paying from the app needs the transactionSigning capability, without it the loser pays from the wallet
+function canRequestPayment() {
+    return !SpixiAppSdk.manifest || SpixiAppSdk.hasCapability('transactionSigning');
+}
+
+// Start connection handshake, the SDK confirms both sides run the same appinfo.spixi version in this session
 function startConnectionHandshake() {
     updateStatus('Connecting to opponent...');
     
-    // Send connection request every 500ms until established
-    connectionRetryInterval = setInterval(() => {
-        if (!gameState.connectionEstablished) {
-            sendNetworkMessage({
-                action: 'connect',
-                sessionId: gameState.sessionId
-            });
-        } else {
-            clearInterval(connectionRetryInterval);
-            connectionRetryInterval = null;
-        }
-    }, 500);
+    SpixiAppSdk.handshake.start().then(handleConnectionEstablished);
 }
 
+SpixiAppSdk.on('handshake-failed', (failure) => {
+    if (failure.reason === 'version') {
+        updateStatus('Opponent uses a different app version');
+    }
+});
+
 // Handle connection established
 function handleConnectionEstablished() {
     gameState.connectionEstablished = true;
     updateStatus('Connected', true);
     elements.connectionStatus.classList.add('connected');
     
-    // Start keepalive
-    keepaliveInterval = setInterval(() => {
-        sendNetworkMessage({ action: 'ping' });
-    }, 3000);
-    
     console.log('Connection established');
 }
 
+// Opponent presence, heartbeats are handled by the SDK
+SpixiAppSdk.on('peer-offline', () => {
+    if (gameState.connectionEstablished) {
+        updateStatus('Opponent disconnected');
+        elements.connectionStatus.classList.remove('connected');
+    }
+});
+
+SpixiAppSdk.on('peer-online', () => {
+    if (gameState.connectionEstablished) {
+        updateStatus('Connected', true);
+    }
+});
+
 // Network message handling
-SpixiAppSdk.onNetworkData = function(senderAddress, data) {
+// Critical game messages (bet, flip, reset) arrive through the outbox as network data
+SpixiAppSdk.onNetworkData = handleNetworkMessage;
+
+function handleNetworkMessage(senderAddress, data) {
     console.log('Received from', senderAddress, ':', data);
     
     try {
         const message = JSON.parse(data);
         
         switch(message.action) {
-            case 'connect':
-                // Always reply to connection requests
-                sendNetworkMessage({
-                    action: 'connect',
-                    sessionId: gameState.sessionId
-                });
-                
-                if (!gameState.connectionEstablished) {
-                    handleConnectionEstablished();
-                }
-                break;
-                
-            case 'ping':
-                // Keepalive received
-                break;
-                
             case 'bet':
                 handleRemoteBet(message.amount, message.choice);
                 break;
@@ -157,7 +200,7 @@ SpixiAppSdk.onNetworkData = function(senderAddress, data) {
     } catch (e) {
         console.error('Error parsing network data:', e);
     }
-};
+}
 
 // Send network message
 function sendNetworkMessage(message) {
@@ -169,6 +212,16 @@ function sendNetworkMessage(message) {
     }
 }
 
+// Send a message that must reach the opponent, kept in the outbox until acknowledged so it is
+// delivered even if the opponent is offline, and replayed if the opponent reopens the app.
+// Call it after updating gameState, the round is stored with it
+function sendCriticalMessage(message) {
+    SpixiAppSdk.recovery.send(JSON.stringify(message)).catch((e) => {
+        console.error('Message was not delivered:', e);
+        updateStatus('Opponent unreachable');
+    });
+}
+
 // Update status
 function updateStatus(text, connected = false) {
     elements.statusText.textContent = text;
@@ -231,19 +284,19 @@ elements.placeBetBtn.addEventListener('click', () => {
     
     gameState.localBet = amount;
     
-    // Send bet to opponent
-    sendNetworkMessage({
-        action: 'bet',
-        amount: amount,
-        choice: gameState.localChoice
-    });
-    
     // Update UI
     elements.yourBetDisplay.textContent = `${amount} IXI`;
     elements.yourChoiceDisplay.textContent = gameState.localChoice.toUpperCase();
     
     switchPhase('waiting');
     
+    // Send bet to opponent
+    sendCriticalMessage({
+        action: 'bet',
+        amount: amount,
+        choice: gameState.localChoice
+    });
+    
     // Check if opponent already bet
     if (gameState.remoteBet !== null) {
         prepareFlip();
@@ -268,10 +321,15 @@ function prepareFlip() {
     // Determine agreed bet (lower amount)
     gameState.agreedBet = Math.min(gameState.localBet, gameState.remoteBet);
     
-    // Determine who flips (lower bet amount)
-    gameState.isFlipper = gameState.localBet <= gameState.remoteBet;
+    // Determine who flips (lower bet amount, the session host on equal bets)
+    gameState.isFlipper = gameState.localBet < gameState.remoteBet
+        || (gameState.localBet === gameState.remoteBet && SpixiAppSdk.handshake.isHost);
     
-    // Update UI
+    showReadyPhase();
+}
+
+// Show the agreed bet and who flips
+function showReadyPhase() {
     elements.yourBetFinal.textContent = `${gameState.localBet} IXI`;
     elements.yourChoiceFinal.textContent = gameState.localChoice.toUpperCase();
     elements.opponentBetFinal.textContent = `${gameState.remoteBet} IXI`;
@@ -305,7 +363,7 @@ function flipCoin() {
     gameState.coinResult = result;
     
     // Send result to opponent
-    sendNetworkMessage({
+    sendCriticalMessage({
         action: 'flip',
         result: result
     });
@@ -337,7 +395,7 @@ function showResult(result) {
     
     // Determine winner
     const localWon = gameState.localChoice === result;
-    gameState.winner = localWon ? gameState.localAddress : gameState.remoteAddress;
+    gameState.winner = localWon ? SpixiAppSdk.roster.localAddress : gameState.remoteAddress;
     
     if (localWon) {
         elements.resultTitle.textContent = '🎉 YOU WON!';
@@ -355,6 +413,10 @@ function showResult(result) {
         elements.transactionAmount.textContent = `${gameState.agreedBet} IXI`;
         elements.winnerAddress.textContent = gameState.remoteAddress;
         elements.transactionSection.style.display = 'block';
+        if (!canRequestPayment()) {
+            elements.sendPaymentBtn.disabled = true;
+            elements.sendPaymentBtn.textContent = 'Send the payment from your wallet';
+        }
     }
     
     switchPhase('result');
@@ -362,33 +424,31 @@ function showResult(result) {
 
 // Send payment button
 elements.sendPaymentBtn.addEventListener('click', () => {
-    const amount = gameState.agreedBet;
-    const recipient = gameState.remoteAddress;
-    
-    // Build transaction action JSON for Spixi
-    // This opens Spixi's wallet send page pre-filled with recipient and amount
-    const transactionData = {
-        command: "sendPayment",
-        to: recipient,
-        amount: amount.toString(),
-        requestId: Date.now().toString()
-    };
-    
-    console.log('Initiating payment:', transactionData);
-    
-    // Use spixiAction to trigger transaction flow
-    // Note: Spixi will handle the actual transaction creation and signing
-    SpixiAppSdk.spixiAction(JSON.stringify(transactionData));
-    
-    // Disable button after initiating
+    // Opens Spixi's wallet send page pre-filled with recipient and amount, Spixi handles the
+    // transaction creation and signing and tells the SDK whether the payment was sent
+    const payment = SpixiAppSdk.payments.request({
+        to: gameState.remoteAddress,
+        amount: gameState.agreedBet,
+        memo: 'Coin Flip bet'
+    });
     elements.sendPaymentBtn.disabled = true;
     elements.sendPaymentBtn.textContent = 'Opening Wallet...';
+
+    payment.then(() => {
+        elements.sendPaymentBtn.textContent = 'Paid ✓';
+    }).catch((error) => {
+        console.log('Payment not completed:', error.message);
+        elements.sendPaymentBtn.disabled = false;
+        elements.sendPaymentBtn.textContent = error.payment && error.payment.status === 'declined'
+            ? 'Declined - Try Again'
+            : 'Payment Failed - Try Again';
+    });
 });
 
 // Play again button
 elements.playAgainBtn.addEventListener('click', () => {
     resetGame();
-    sendNetworkMessage({ action: 'reset' });
+    sendCriticalMessage({ action: 'reset' });
 });
 
 // Handle remote reset
@@ -411,7 +471,7 @@ function resetGame() {
     elements.choiceBtns.forEach(btn => btn.classList.remove('selected'));
     elements.placeBetBtn.disabled = true;
     elements.sendPaymentBtn.disabled = false;
-    elements.sendPaymentBtn.textContent = 'Send Payment';
+    elements.sendPaymentBtn.textContent = 'Open Wallet to Pay';
     
     switchPhase('betting');
 }
@@ -447,12 +507,7 @@ SpixiAppSdk.onStorageData = function(key, value) {
 SpixiAppSdk.onAppEndSession = function(data) {
     console.log('App session ended:', data);
     
-    if (connectionRetryInterval) {
-        clearInterval(connectionRetryInterval);
-    }
-    if (keepaliveInterval) {
-        clearInterval(keepaliveInterval);
-    }
+    SpixiAppSdk.handshake.stop();
 };
 
 // Initialize on load
@@ -128,61 +128,6 @@ const MAX_LIVES = 3;
 let audioContext;
 let soundEnabled = true;
 
-// Clock Synchronization System
-class TimeSync {
-    constructor() {
-        this.offset = 0; // Remote time - Local time
-        this.rtt = 0;
-        this.samples = [];
-    }
-
-    // Send a ping to initiate sync
-    sendPing() {
-        try {
-            const now = Date.now();
-            SpixiAppSdk.sendNetworkData(encodePingPongPacket(MSG_PING, now, 0));
-        } catch (e) {
-            console.error("Error sending ping:", e);
-        }
-    }
-
-    // Handle pong (response to our ping)
-    handlePong(msg) {
-        const now = Date.now();
-        const rtt = now - msg.origT;
-        this.rtt = rtt;
-
-        // Estimate remote time: remoteTimestamp + rtt/2
-        // Offset = EstimatedRemoteTime - LocalTime
-        const offset = (msg.t + rtt / 2) - now;
-
-        this.samples.push(offset);
-        if (this.samples.length > 5) this.samples.shift(); // Keep last 5 samples
-
-        // Average offset for stability
-        this.offset = this.samples.reduce((a, b) => a + b, 0) / this.samples.length;
-
-        // console.log(`TimeSync: RTT=${rtt}ms, Offset=${this.offset.toFixed(2)}ms`);
-    }
-
-    // Handle incoming ping (remote wants to sync)
-    handlePing(msg) {
-        try {
-            SpixiAppSdk.sendNetworkData(encodePingPongPacket(MSG_PONG, Date.now(), msg.t || 0));
-        } catch (e) {
-            console.error("Error sending pong:", e);
-        }
-    }
-
-    // Get current time synchronized with remote
-    getSyncedTime() {
-        return Date.now() + this.offset;
-    }
-}
-
-const timeSync = new TimeSync();
-let syncInterval;
-
 // ===== BINARY PROTOCOL =====
 // Message type constants
 const MSG_STATE = 1;
@@ -190,8 +135,7 @@ const MSG_COLLISION = 2;
 const MSG_LAUNCH = 3;
 const MSG_LIVES = 4;
 const MSG_END = 5;
-const MSG_PING = 6;
-const MSG_PONG = 7;
+// 6 and 7 were ping/pong for clock sync, which SpixiAppSdk.clock does now
 const MSG_CONNECT = 8;
 const MSG_CRIT_ACK = 9;
 const MSG_BOUNCE = 10;
@@ -203,211 +147,82 @@ const MSG_CHAT = 15;
 const MSG_STATUS = 16;
 
 // Binary protocol enabled permanently for State/Paddle updates
+// Packet layouts are declared once, SpixiTools encodes them as compact base64 and rejects malformed packets
+const ballFields = {
+    ballX: 'i16',
+    ballY: 'i16',
+    ballVx: { type: 'i16', scale: 100 },
+    ballVy: { type: 'i16', scale: 100 }
+};
 
-
-/**
- * Encode a state packet to binary format
- * Layout: [type:1][frame:2][paddleY:2][seq:2][lastAck:2][ballX:2][ballY:2][ballVx:2][ballVy:2] = 17 bytes
- */
+const pongCodec = SpixiTools.createCodec({
+    version: 1,
+    messages: {
+        state: { id: MSG_STATE, fields: { frame: 'u16', paddleY: 'u16', seq: 'u16', lastAck: 'u16', ...ballFields } },
+        collision: { id: MSG_COLLISION, fields: { t: 'u32', ...ballFields } },
+        launch: { id: MSG_LAUNCH, fields: { t: 'u32', ...ballFields } },
+        bounce: { id: MSG_BOUNCE, fields: { t: 'u32', ...ballFields } },
+        lives: { id: MSG_LIVES, fields: { local: 'u8', remote: 'u8' } },
+        end: { id: MSG_END, fields: { local: 'u8', remote: 'u8' } },
+        connect: { id: MSG_CONNECT, fields: { rand: 'u32', sid: 'string' } },
+        fullReset: { id: MSG_FULL_RESET },
+        exit: { id: MSG_EXIT },
+        restart: { id: MSG_RESTART },
+        paddle: { id: MSG_PADDLE, fields: { paddleY: 'u16', seq: 'u16' } },
+        chat: { id: MSG_CHAT, fields: { text: 'string' } },
+        status: { id: MSG_STATUS, fields: { state: 'string' } }
+    }
+});
+
+// Counters and timestamps wrap around to fit their fields, the codec refuses values out of range
 function encodeStatePacket(frame, paddleY, seq, lastAck, ball) {
-    const buffer = new ArrayBuffer(17);
-    const view = new DataView(buffer);
-    view.setUint8(0, MSG_STATE);
-    view.setUint16(1, frame & 0xFFFF, true); // Little-endian
-    view.setUint16(3, Math.round(paddleY) & 0xFFFF, true);
-    view.setUint16(5, seq & 0xFFFF, true);
-    view.setUint16(7, lastAck & 0xFFFF, true);
+    const packet = { frame: frame & 0xFFFF, paddleY, seq: seq & 0xFFFF, lastAck: lastAck & 0xFFFF };
     if (ball) {
-        view.setInt16(9, Math.round(ball.x), true);
-        view.setInt16(11, Math.round(ball.y), true);
-        view.setInt16(13, Math.round(ball.vx * 100), true);
-        view.setInt16(15, Math.round(ball.vy * 100), true);
+        packet.ballX = ball.x;
+        packet.ballY = ball.y;
+        packet.ballVx = ball.vx;
+        packet.ballVy = ball.vy;
     }
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    return pongCodec.encode(MSG_STATE, packet);
 }
 
-/**
- * Encode a paddle update packet (compact)
- * Layout: [type:1][paddleY:2][seq:2] = 5 bytes
- */
 function encodePaddlePacket(paddleY, seq) {
-    const buffer = new ArrayBuffer(5);
-    const view = new DataView(buffer);
-    view.setUint8(0, MSG_PADDLE);
-    view.setUint16(1, Math.round(paddleY) & 0xFFFF, true);
-    view.setUint16(3, seq & 0xFFFF, true);
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    return pongCodec.encode(MSG_PADDLE, { paddleY, seq: seq & 0xFFFF });
 }
 
-/**
- * Encode ball event (launch, bounce, collision)
- * Layout: [type:1][timestamp:4][x:2][y:2][vx:2][vy:2] = 13 bytes
- */
+// Launch, bounce and collision events
 function encodeBallEventPacket(type, timestamp, ball) {
-    const buffer = new ArrayBuffer(13);
-    const view = new DataView(buffer);
-    view.setUint8(0, type);
-    view.setUint32(1, timestamp & 0xFFFFFFFF, true);
-    view.setInt16(5, Math.round(ball.x), true); // Use Int16 for Signed coordinates
-    view.setInt16(7, Math.round(ball.y), true);
-    view.setInt16(9, Math.round(ball.vx * 100), true);
-    view.setInt16(11, Math.round(ball.vy * 100), true);
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    return pongCodec.encode(type, { t: timestamp >>> 0, ballX: ball.x, ballY: ball.y, ballVx: ball.vx, ballVy: ball.vy });
 }
 
-/**
- * Encode Ping/Pong packet
- * Layout: [type:1][t:4][origT:4] = 9 bytes
- */
-function encodePingPongPacket(type, t, origT) {
-    const buffer = new ArrayBuffer(9);
-    const view = new DataView(buffer);
-    view.setUint8(0, type);
-    view.setUint32(1, t >>> 0, true);
-    view.setUint32(5, (origT || 0) >>> 0, true);
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
-}
-
-/**
- * Encode a simple packet (exit, reset, etc - no data)
- * Layout: [type:1] = 1 byte
- */
+// Packets without data (exit, reset, etc)
 function encodeSimplePacket(type) {
-    const buffer = new ArrayBuffer(1);
-    const view = new DataView(buffer);
-    view.setUint8(0, type);
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    return pongCodec.encode(type);
 }
 
-/**
- * Encode lives/end game packet
- * Layout: [type:1][local:1][remote:1] = 3 bytes
- */
 function encodeLivesPacket(type, local, remote) {
-    const buffer = new ArrayBuffer(3);
-    const view = new DataView(buffer);
-    view.setUint8(0, type);
-    view.setUint8(1, local & 0xFF);
-    view.setUint8(2, remote & 0xFF);
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    return pongCodec.encode(type, { local, remote });
 }
 
-/**
- * Encode chat/status string packet
- * Layout: [type:1][length:2][string bytes...]
- */
 function encodeStringPacket(type, str) {
-    // Basic ASCII/UTF-8 check (manual text encoder for compatibility)
-    const utf8 = unescape(encodeURIComponent(str));
-    const len = utf8.length;
-    const buffer = new ArrayBuffer(3 + len);
-    const view = new DataView(buffer);
-    view.setUint8(0, type);
-    view.setUint16(1, len, true);
-    for (let i = 0; i < len; i++) {
-        view.setUint8(3 + i, utf8.charCodeAt(i));
-    }
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    return pongCodec.encode(type, type === MSG_CHAT ? { text: str } : { state: str });
 }
 
-/**
- * Encode Connect packet
- * Layout: [type:1][rand:4][sid_len:1][sid_bytes...]
- */
 function encodeConnectPacket(sid, rand) {
-    const sidUtf8 = unescape(encodeURIComponent(sid));
-    const sidLen = sidUtf8.length;
-    const buffer = new ArrayBuffer(1 + 4 + 1 + sidLen);
-    const view = new DataView(buffer);
-
-    view.setUint8(0, MSG_CONNECT);
-    view.setUint32(1, rand >>> 0, true);
-    view.setUint8(5, sidLen);
-
-    for (let i = 0; i < sidLen; i++) {
-        view.setUint8(6 + i, sidUtf8.charCodeAt(i));
-    }
-    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    return pongCodec.encode(MSG_CONNECT, { rand, sid });
 }
 
 /**
- * Decode a binary packet from base64
+ * Decode a binary packet from base64, returns null for anything that isn't a valid Pong packet
  */
 function decodeBinaryPacket(base64) {
-    try {
-        const binary = atob(base64);
-        const buffer = new ArrayBuffer(binary.length);
-        const bytes = new Uint8Array(buffer);
-        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-        const view = new DataView(buffer);
-
-        const type = view.getUint8(0);
-        const result = { type };
-
-        if (type === MSG_STATE && binary.length >= 17) {
-            result.frame = view.getUint16(1, true);
-            result.paddleY = view.getUint16(3, true);
-            result.seq = view.getUint16(5, true);
-            result.lastAck = view.getUint16(7, true);
-            result.ballX = view.getInt16(9, true);
-            result.ballY = view.getInt16(11, true);
-            result.ballVx = view.getInt16(13, true) / 100;
-            result.ballVy = view.getInt16(15, true) / 100;
-            result.isDecodedBinary = true;
-        } else if ((type === MSG_PING || type === MSG_PONG) && binary.length >= 9) {
-            result.t = view.getUint32(1, true);
-            result.origT = view.getUint32(5, true);
-        } else if ((type === MSG_LAUNCH || type === MSG_BOUNCE || type === MSG_COLLISION) && binary.length >= 13) {
-            // Launch/Bounce/Collision
-            result.t = view.getUint32(1, true); // Map timestamp to 't' for handleBallEvent!
-            result.ballX = view.getInt16(5, true);
-            result.ballY = view.getInt16(7, true);
-            result.ballVx = view.getInt16(9, true) / 100;
-            result.ballVy = view.getInt16(11, true) / 100;
-            result.isDecodedBinary = true;
-        } else if (type === MSG_PADDLE && binary.length >= 5) {
-            result.paddleY = view.getUint16(1, true);
-            result.seq = view.getUint16(3, true);
-        } else if ((type === MSG_LIVES || type === MSG_END) && binary.length >= 3) {
-            result.local = view.getUint8(1);
-            result.remote = view.getUint8(2);
-        } else if (type === MSG_CONNECT && binary.length >= 6) {
-            result.rand = view.getUint32(1, true);
-            const sidLen = view.getUint8(5);
-            if (binary.length >= 6 + sidLen) {
-                let sid = "";
-                for (let i = 0; i < sidLen; i++) sid += String.fromCharCode(view.getUint8(6 + i));
-                try { result.sid = decodeURIComponent(escape(sid)); } catch (e) { result.sid = sid; }
-            }
-        } else if ((type === MSG_CHAT || type === MSG_STATUS) && binary.length >= 3) {
-            const len = view.getUint16(1, true);
-            if (binary.length >= 3 + len) {
-                let str = "";
-                for (let i = 0; i < len; i++) str += String.fromCharCode(view.getUint8(3 + i));
-                try {
-                    const decoded = decodeURIComponent(escape(str));
-                    if (type === MSG_CHAT) result.text = decoded;
-                    else result.state = decoded;
-                } catch (e) {
-                    if (type === MSG_CHAT) result.text = str;
-                    else result.state = str;
-                }
-            }
-        } else if (binary.length >= 5) {
-            // Simple packet fallback (Exit, FullReset, Restart)
-            // Just Type + 4 bytes data (optional)
-            // result.data = view.getUint32(1, true);
-            // Actually usually emtpy.
-        }
-
-        return result;
-    } catch (e) {
-        return null; // Not a valid binary packet
+    const result = pongCodec.decode(base64);
+    if (result && result.ballX !== undefined) {
+        result.isDecodedBinary = true;
     }
+    return result;
 }
 
-
-
 function initAudioContext() {
     try {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -954,8 +769,23 @@ function handleConnectionEstablished() {
         statusLabel.textContent = 'Connected';
     }
 
+    startDisconnectCheck();
+
+    // Transition to game screen
+    const waitingScreen = document.getElementById('waiting-screen');
+    const gameScreen = document.getElementById('game-screen');
+
+    waitingScreen.classList.remove('screen-active');
+    waitingScreen.classList.add('screen-hidden');
+
+    gameScreen.classList.remove('screen-hidden');
+    gameScreen.classList.add('screen-active');
 
+    // Auto-start after brief delay
+    autoStartTimer = setTimeout(() => startGame(), 500);
+}
 
+function startDisconnectCheck() {
     // Start disconnect detection (check every 10 seconds)
     if (!disconnectCheckInterval) {
         disconnectCheckInterval = setInterval(() => {
@@ -968,25 +798,10 @@ function handleConnectionEstablished() {
                     clearInterval(disconnectCheckInterval);
                     disconnectCheckInterval = null;
                 }
-                handleOpponentDisconnect();
+                handleOpponentAway();
             }
         }, 10000);
     }
-
-
-
-    // Transition to game screen
-    const waitingScreen = document.getElementById('waiting-screen');
-    const gameScreen = document.getElementById('game-screen');
-
-    waitingScreen.classList.remove('screen-active');
-    waitingScreen.classList.add('screen-hidden');
-
-    gameScreen.classList.remove('screen-hidden');
-    gameScreen.classList.add('screen-active');
-
-    // Auto-start after brief delay
-    autoStartTimer = setTimeout(() => startGame(), 500);
 }
 
 function initGame() {
@@ -1234,11 +1049,6 @@ function startGame() {
         lastFrameTime = performance.now();
         gameLoopId = requestAnimationFrame(gameLoop);
     }
-
-    // Start clock sync
-    if (syncInterval) clearInterval(syncInterval);
-    syncInterval = setInterval(() => timeSync.sendPing(), 1000);
-    timeSync.sendPing(); // Send immediate ping
 }
 
 function resetBallPosition() {
@@ -1344,23 +1154,7 @@ function gameLoop(timestamp) {
             }
         } else {
             // CLIENT: Extrapolate ball position between network updates for smoothness
-            const timeSinceUpdate = (Date.now() - lastBallUpdate.time) / 1000;
-
-            // Only extrapolate for short durations (< 200ms)
-            if (timeSinceUpdate < 0.2 && lastBallUpdate.time > 0 && (Math.abs(lastBallUpdate.vx) > 0.1 || Math.abs(lastBallUpdate.vy) > 0.1)) {
-                // Apply velocity to get predicted position
-                gameState.ball.x = lastBallUpdate.x + lastBallUpdate.vx * timeSinceUpdate * 60;
-                gameState.ball.y = lastBallUpdate.y + lastBallUpdate.vy * timeSinceUpdate * 60;
-
-                // Handle wall bounces locally for smoother visuals
-                if (gameState.ball.y <= BALL_SIZE / 2) {
-                    gameState.ball.y = BALL_SIZE / 2;
-                    lastBallUpdate.vy = Math.abs(lastBallUpdate.vy);
-                } else if (gameState.ball.y >= CANVAS_HEIGHT - BALL_SIZE / 2) {
-                    gameState.ball.y = CANVAS_HEIGHT - BALL_SIZE / 2;
-                    lastBallUpdate.vy = -Math.abs(lastBallUpdate.vy);
-                }
-            }
+            extrapolateBall();
         }
 
         // Update all smoothness effects
@@ -1392,6 +1186,26 @@ function gameLoop(timestamp) {
     }
 }
 
+function extrapolateBall() {
+    const timeSinceUpdate = (Date.now() - lastBallUpdate.time) / 1000;
+
+    // Only extrapolate for short durations (< 200ms)
+    if (timeSinceUpdate < 0.2 && lastBallUpdate.time > 0 && (Math.abs(lastBallUpdate.vx) > 0.1 || Math.abs(lastBallUpdate.vy) > 0.1)) {
+        // Apply velocity to get predicted position
+        gameState.ball.x = lastBallUpdate.x + lastBallUpdate.vx * timeSinceUpdate * 60;
+        gameState.ball.y = lastBallUpdate.y + lastBallUpdate.vy * timeSinceUpdate * 60;
+
+        // Handle wall bounces locally for smoother visuals
+        if (gameState.ball.y <= BALL_SIZE / 2) {
+            gameState.ball.y = BALL_SIZE / 2;
+            lastBallUpdate.vy = Math.abs(lastBallUpdate.vy);
+        } else if (gameState.ball.y >= CANVAS_HEIGHT - BALL_SIZE / 2) {
+            gameState.ball.y = CANVAS_HEIGHT - BALL_SIZE / 2;
+            lastBallUpdate.vy = -Math.abs(lastBallUpdate.vy);
+        }
+    }
+}
+
 function updatePaddle() {
     // If wheel is being dragged, position is already set by handleWheelMove
     if (!isDraggingWheel) {
@@ -1418,7 +1232,7 @@ function updatePaddle() {
     if (gameState.localPaddle.y !== lastSentPaddleY && currentTime - lastPaddleSendTime > 30) {
         inputSequence++;
         const packet = encodePaddlePacket(gameState.localPaddle.y, inputSequence);
-        SpixiAppSdk.sendNetworkData(packet);
+        SpixiAppSdk.sendNetworkData(packet, { channel: 'realtime', key: 'paddle' });
         lastSentPaddleY = gameState.localPaddle.y;
         lastPaddleSendTime = currentTime;
     }
@@ -1812,7 +1626,7 @@ function resetBall(autoLaunch = true) {
 
         // Send ball state immediately
         const b = gameState.ball;
-        const launchTime = timeSync.getSyncedTime();
+        const launchTime = SpixiAppSdk.clock.now();
 
         SpixiAppSdk.sendNetworkData(encodeBallEventPacket(MSG_LAUNCH, launchTime, {
             x: Math.round(b.x), // No mirroring
@@ -2182,7 +1996,6 @@ function exitGame() {
     // Cleanup intervals
     if (gameLoopId) cancelAnimationFrame(gameLoopId);
     if (pingInterval) clearInterval(pingInterval);
-    if (syncInterval) clearInterval(syncInterval);
     if (connectionRetryInterval) clearInterval(connectionRetryInterval);
     if (disconnectCheckInterval) clearInterval(disconnectCheckInterval);
     if (criticalMsgInterval) clearInterval(criticalMsgInterval);
@@ -2470,7 +2283,7 @@ function sendGameState() {
             lastAcknowledgedSequence,
             ball
         );
-        SpixiAppSdk.sendNetworkData(binaryData);
+        SpixiAppSdk.sendNetworkData(binaryData, { channel: 'realtime', key: 'state' });
     } catch (e) {
         console.error("Error sending game state:", e);
     }
@@ -2561,40 +2374,262 @@ function reconcilePaddleState(authPaddleY, lastAckSeq) {
 }
 
 function sendLifeUpdate() {
-    // Send life updates with reliable delivery
+    // Life updates are replayed to an opponent who reopens the app
     const currentTime = SpixiTools.getTimestamp();
     lastDataSent = currentTime;
-    SpixiAppSdk.sendNetworkData(encodeLivesPacket(MSG_LIVES, gameState.localPaddle.lives, gameState.remotePaddle.lives));
+    SpixiAppSdk.recovery.send(encodeLivesPacket(MSG_LIVES, gameState.localPaddle.lives, gameState.remotePaddle.lives))
+        .catch(() => { });
 }
 
 function sendEndGame() {
     const currentTime = SpixiTools.getTimestamp();
     lastDataSent = currentTime;
-    SpixiAppSdk.sendNetworkData(encodeLivesPacket(MSG_END, gameState.localPaddle.lives, gameState.remotePaddle.lives));
+    SpixiAppSdk.recovery.send(encodeLivesPacket(MSG_END, gameState.localPaddle.lives, gameState.remotePaddle.lives))
+        .catch(() => { });
 }
 
+// Final game states are kept per opponent, a new version with migrations is needed when gameState changes shape
+const pongSaves = SpixiAppSdk.storage.namespace('pong', { scope: 'peer', version: 1 });
+
 function saveGameState() {
     // Save final game state for statistics/history (optional)
-    if (remotePlayerAddress !== '') {
-        setTimeout(() => {
-            SpixiAppSdk.setStorageData(remotePlayerAddress, btoa(JSON.stringify(gameState)));
-        }, 50);
+    pongSaves.set('lastGame', gameState);
+}
+
+// ==========================================
+// SESSION RECOVERY
+// ==========================================
+// A player who closes the app mid-game gets the lives back when reopening it and the opponent keeps
+// the game open meanwhile. Both random numbers are kept, so the ball owner stays the same.
+let opponentAway = false; // Opponent went silent mid-game, the game continues when they connect again
+
+function recoverySnapshot() {
+    if (isSpectator || !gameState.gameStarted || gameState.gameEnded) {
+        return null;
+    }
+    return {
+        localLives: gameState.localPaddle.lives,
+        remoteLives: gameState.remotePaddle.lives,
+        myRandomNumber: myRandomNumber,
+        remoteRandomNumber: remoteRandomNumber
+    };
+}
+
+function restoreMatch(saved) {
+    gameState.localPaddle.lives = saved.localLives;
+    gameState.remotePaddle.lives = saved.remoteLives;
+    myRandomNumber = saved.myRandomNumber;
+    remoteRandomNumber = saved.remoteRandomNumber;
+    updateLivesDisplay();
+
+    const waitingText = document.querySelector('.waiting-text');
+    if (waitingText) {
+        waitingText.textContent = 'Resuming game...';
+    }
+}
+
+function handleOpponentAway() {
+    if (!gameState.gameStarted || gameState.gameEnded) {
+        handleOpponentDisconnect();
+        return;
+    }
+    opponentAway = true;
+    if (gameLoopId) {
+        cancelAnimationFrame(gameLoopId);
+        gameLoopId = null;
+    }
+    ui.statusText.textContent = 'Opponent Disconnected';
+    const overlay = document.getElementById('canvasOverlay');
+    if (overlay) {
+        overlay.innerHTML = '<div style="padding: 2rem; background: rgba(0,0,0,0.9); border-radius: 12px; text-align: center;"><h2 style="color: #f56565; margin-bottom: 1rem;">Opponent Disconnected</h2><p style="color: #a0aec0;">Waiting for your opponent to come back...</p></div>';
+        overlay.style.display = 'flex';
+    }
+}
+
+function handleOpponentReturn() {
+    opponentAway = false;
+    const overlay = document.getElementById('canvasOverlay');
+    if (overlay) {
+        overlay.style.display = 'none';
+    }
+    startDisconnectCheck();
+    // Both players continue with a new serve
+    startGame();
+}
+
+// ==========================================
+// SPECTATORS
+// ==========================================
+// The first two participants play, everyone else watches the packets the players send anyway.
+// The spectator view shows the ball owner on the right as the remote paddle and the other player
+// on the left as the local paddle, so render() and the client ball handling work unchanged.
+// The SDK drops everything spectators send except chat.
+
+let isSpectator = false;
+let spectatorLoopId = null;
+const spectatorView = {
+    owner: null, // Address of the ball owner
+    rands: {} // address -> random number from the player's CONNECT packet
+};
+
+// Snapshot for spectators that join while a game runs
+function pongSnapshot() {
+    return {
+        owner: gameState.isBallOwner,
+        started: gameState.gameStarted,
+        ended: gameState.gameEnded,
+        lives: [gameState.localPaddle.lives, gameState.remotePaddle.lives],
+        paddles: [Math.round(gameState.localPaddle.y), Math.round(gameState.remotePaddle.y)],
+        ball: { x: gameState.ball.x, y: gameState.ball.y, vx: gameState.ball.vx, vy: gameState.ball.vy }
+    };
+}
+
+function otherPlayer(address) {
+    return SpixiAppSdk.spectators.players().filter(player => player && player !== address)[0] || null;
+}
+
+// Sets a player's paddle and lives, the ball owner is shown on the right
+function setSpectatedPlayer(address, paddleY, lives) {
+    const isOwner = address === spectatorView.owner;
+    if (paddleY !== undefined) {
+        if (isOwner) {
+            addToRemotePaddleBuffer(paddleY);
+            remotePaddleTarget = paddleY;
+        } else {
+            gameState.localPaddle.y = paddleY;
+        }
+    }
+    if (lives !== undefined) {
+        if (isOwner) {
+            gameState.remotePaddle.lives = lives;
+        } else {
+            gameState.localPaddle.lives = lives;
+        }
+    }
+}
+
+function startSpectating() {
+    isSpectator = true;
+    gameState.isBallOwner = false;
+
+    const waitingScreen = document.getElementById('waiting-screen');
+    const gameScreen = document.getElementById('game-screen');
+    waitingScreen.classList.remove('screen-active');
+    waitingScreen.classList.add('screen-hidden');
+    waitingScreen.style.display = 'none';
+    gameScreen.classList.remove('screen-hidden');
+    gameScreen.classList.add('screen-active');
+    gameScreen.style.display = '';
+
+    // Spectators can't move a paddle or restart the game
+    ['wheelContainer', 'shootBtn', 'restartGameBtn'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = 'none';
+    });
+    ui.statusText.textContent = 'Spectating';
+
+    if (!spectatorLoopId) {
+        lastFrameTime = performance.now();
+        spectatorLoopId = requestAnimationFrame(spectatorLoop);
+    }
+}
+
+function spectatorLoop(timestamp) {
+    spectatorLoopId = requestAnimationFrame(spectatorLoop);
+    if (!lastFrameTime) lastFrameTime = timestamp;
+    const deltaFactor = Math.min(timestamp - lastFrameTime, 50) / 16.67;
+    lastFrameTime = timestamp;
+
+    updateRemotePaddleInterpolation();
+    extrapolateBall();
+    updateDisplayStates(deltaFactor);
+    updateBallTrail();
+    render();
+}
+
+function handleSpectatorSnapshot(snapshot, senderAddress) {
+    spectatorView.owner = snapshot.owner ? senderAddress : otherPlayer(senderAddress);
+    setSpectatedPlayer(senderAddress, snapshot.paddles[0], snapshot.lives[0]);
+    setSpectatedPlayer(otherPlayer(senderAddress), snapshot.paddles[1], snapshot.lives[1]);
+    handleBallEvent({ isDecodedBinary: true, ballX: snapshot.ball.x, ballY: snapshot.ball.y, ballVx: snapshot.ball.vx, ballVy: snapshot.ball.vy });
+    updateLivesDisplay();
+    ui.statusText.textContent = snapshot.ended ? 'Game Over' : snapshot.started ? 'Spectating' : 'Waiting for players';
+}
+
+// The players' packets, read-only
+function handleSpectatorData(senderAddress, data) {
+    const msg = decodeBinaryPacket(data);
+    if (!msg) return;
+
+    switch (msg.id) {
+        case MSG_CONNECT: {
+            // The player with the higher random number owns the ball
+            spectatorView.rands[senderAddress] = msg.rand;
+            const other = otherPlayer(senderAddress);
+            if (other && spectatorView.rands[other] !== undefined) {
+                spectatorView.owner = msg.rand > spectatorView.rands[other] ? senderAddress : other;
+            }
+            break;
+        }
+        case MSG_PADDLE:
+            setSpectatedPlayer(senderAddress, msg.paddleY);
+            break;
+        case MSG_STATE:
+            setSpectatedPlayer(senderAddress, msg.paddleY);
+            if (msg.ballX !== 0 || msg.ballY !== 0) handleBallEvent(msg);
+            break;
+        case MSG_LAUNCH:
+        case MSG_BOUNCE:
+        case MSG_COLLISION:
+            ui.statusText.textContent = 'Spectating';
+            handleBallEvent(msg);
+            break;
+        case MSG_LIVES:
+        case MSG_END:
+            setSpectatedPlayer(senderAddress, undefined, msg.local);
+            setSpectatedPlayer(otherPlayer(senderAddress), undefined, msg.remote);
+            updateLivesDisplay();
+            if (msg.id === MSG_END) ui.statusText.textContent = 'Game Over';
+            break;
+        case MSG_FULL_RESET:
+            // The players pick a new ball owner
+            spectatorView.rands = {};
+            gameState.localPaddle.lives = MAX_LIVES;
+            gameState.remotePaddle.lives = MAX_LIVES;
+            updateLivesDisplay();
+            ui.statusText.textContent = 'Spectating';
+            break;
+        case MSG_EXIT:
+            ui.statusText.textContent = 'A player left';
+            break;
+        case MSG_CHAT:
+            if (msg.text) addChatMessage(msg.text, false);
+            break;
     }
 }
 
 // Spixi SDK callbacks
 SpixiAppSdk.onInit = function (sid, userAddresses) {
     sessionId = sid;
-    const addresses = userAddresses.split(",");
-    remotePlayerAddress = addresses[0];
 
     // Local player is always on the right side
 
-    // Initialize game UI and start connection
+    // Initialize game UI, restore a saved match, then connect to the opponent or watch once the roles are known
     initGame();
-    establishConnection();
+    // Ball launches are scheduled in session time
+    SpixiAppSdk.clock.start();
+    SpixiAppSdk.recovery.enable({ snapshot: recoverySnapshot, restore: restoreMatch })
+        .then(() => SpixiAppSdk.spectators.enable({ players: 2, snapshot: pongSnapshot }))
+        .then(role => {
+            if (role === 'spectator') {
+                startSpectating();
+                return;
+            }
+            remotePlayerAddress = otherPlayer(SpixiAppSdk.roster.localAddress) || '';
+            establishConnection();
+        });
 
-    // Show waiting screen - always start with fresh game
+    // Show waiting screen, a game restored by SpixiAppSdk.recovery continues once connected
     const waitingScreen = document.getElementById('waiting-screen');
     const gameScreen = document.getElementById('game-screen');
     waitingScreen.style.display = 'flex';
@@ -2607,6 +2642,10 @@ SpixiAppSdk.onInit = function (sid, userAddresses) {
 };
 
 SpixiAppSdk.onNetworkData = function (senderAddress, data) {
+    if (isSpectator) {
+        handleSpectatorData(senderAddress, data);
+        return;
+    }
     playerLastSeen = SpixiTools.getTimestamp();
 
     // Track packet rate for connection quality
@@ -2625,38 +2664,32 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) {
         } else {
             connectionQuality = 'poor';
         }
+        // The SDK throttle backs off when the round-trip time or loss is high. It replaces the RTT bands that
+        // used to set networkThrottleDelay, which no send path ever read, so the realtime channel is what
+        // actually slows the paddle and state packets down now
+        if (connectionQuality === 'good' && SpixiAppSdk.throttle.factor < 1) {
+            connectionQuality = 'fair';
+        }
 
         // Update lag indicator UI
         const lagIndicator = document.getElementById('lag-indicator');
         if (lagIndicator) {
             lagIndicator.className = 'lag-' + connectionQuality;
         }
-
-        // Adaptive network rate based on RTT
-        const rtt = timeSync.rtt || 100;
-        if (rtt < 50) {
-            networkThrottleDelay = 0;   // Low latency
-        } else if (rtt < 150) {
-            networkThrottleDelay = 50;  // Medium latency (+50ms interval)
-        } else {
-            networkThrottleDelay = 100; // High latency (+100ms interval)
-        }
     }
 
     try {
-        // Check for binary packet first
-        if (isBinaryPacket(data)) {
-            const binaryMsg = decodeBinaryPacket(data);
-            if (!binaryMsg) return;
+        const binaryMsg = decodeBinaryPacket(data);
+        if (binaryMsg) {
 
-            if (binaryMsg.type === MSG_PADDLE) {
+            if (binaryMsg.id === MSG_PADDLE) {
                 // Fast Path: Paddle Update - add to interpolation buffer
                 addToRemotePaddleBuffer(binaryMsg.paddleY);
                 remotePaddleTarget = binaryMsg.paddleY; // Keep for fallback
                 return;
             }
 
-            if (binaryMsg.type === MSG_STATE) {
+            if (binaryMsg.id === MSG_STATE) {
                 // If we receive state but aren't connected, we might have missed the handshake.
                 // Aggressively send CONNECT to prompt the other side to reply.
                 // THROTTLED: Only send once per second to avoid packet storm.
@@ -2700,20 +2733,7 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) {
                 return; // Binary packet fully processed
             }
 
-            if (binaryMsg.type === MSG_PING) {
-                if (binaryMsg.t) timeSync.handlePing({ t: binaryMsg.t });
-                return;
-            }
-
-            if (binaryMsg.type === MSG_PONG) {
-                // Construct pseudo-msg for TimeSync.handlePong which expects {origT, t}
-                // But decoder gives {t, origT} directly if present.
-                // TimeSync.handlePong expects 'msg' object with properties.
-                if (binaryMsg.origT) timeSync.handlePong(binaryMsg);
-                return;
-            }
-
-            if (binaryMsg.type === MSG_CONNECT) {
+            if (binaryMsg.id === MSG_CONNECT) {
                 if (binaryMsg.rand !== undefined) {
                     remoteRandomNumber = binaryMsg.rand;
                     if (binaryMsg.sid) remotePlayerAddress = binaryMsg.sid; // Save remote session ID
@@ -2725,11 +2745,13 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) {
 
                 if (!connectionEstablished && remoteRandomNumber !== null) {
                     handleConnectionEstablished();
+                } else if (opponentAway) {
+                    handleOpponentReturn();
                 }
                 return;
             }
 
-            if (binaryMsg.type === MSG_LAUNCH) {
+            if (binaryMsg.id === MSG_LAUNCH) {
                 if (!gameState.isBallOwner) {
                     document.getElementById('shootBtn').style.display = 'none';
                     document.getElementById('status-text').textContent = 'Game On!';
@@ -2742,13 +2764,13 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) {
                 return;
             }
 
-            if (binaryMsg.type === MSG_BOUNCE) {
+            if (binaryMsg.id === MSG_BOUNCE) {
                 // BOUNCE -> Update state but DO NOT take authority
                 if (!gameState.isBallOwner) handleBallEvent(binaryMsg, false);
                 return;
             }
 
-            if (binaryMsg.type === MSG_COLLISION) {
+            if (binaryMsg.id === MSG_COLLISION) {
                 if (binaryMsg.t) {
                     // COLLISION -> Take Authority (Opponent hit to us)
                     handleBallEvent(binaryMsg, true);
@@ -2769,7 +2791,7 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) {
                 return;
             }
 
-            if (binaryMsg.type === MSG_LIVES) {
+            if (binaryMsg.id === MSG_LIVES) {
                 if (!gameState.isBallOwner) {
                     gameState.localPaddle.lives = binaryMsg.remote;
                     gameState.remotePaddle.lives = binaryMsg.local;
@@ -2778,7 +2800,7 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) {
                 return;
             }
 
-            if (binaryMsg.type === MSG_END) {
+            if (binaryMsg.id === MSG_END) {
                 if (!gameState.gameEnded) {
                     gameState.localPaddle.lives = binaryMsg.remote;
                     gameState.remotePaddle.lives = binaryMsg.local;
@@ -2787,17 +2809,17 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) {
                 return;
             }
 
-            if (binaryMsg.type === MSG_FULL_RESET) {
+            if (binaryMsg.id === MSG_FULL_RESET) {
                 performFullReset();
                 return;
             }
 
-            if (binaryMsg.type === MSG_EXIT) {
+            if (binaryMsg.id === MSG_EXIT) {
                 handleOpponentDisconnect();
                 return;
             }
 
-            if (binaryMsg.type === MSG_CHAT) {
+            if (binaryMsg.id === MSG_CHAT) {
                 if (binaryMsg.text) addChatMessage(binaryMsg.text, false);
                 return;
             }
@@ -2814,20 +2836,6 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) {
     }
 };
 
-SpixiAppSdk.onStorageData = function (key, value) {
-    // Storage is only used to save final game state
-    // Don't restore old game state on startup - always start fresh
-    if (value !== 'null') {
-        try {
-            const savedState = JSON.parse(atob(value));
-            // Ignore saved state - we always want to start a new game
-            console.log("Previous game state found but ignored - starting fresh");
-        } catch (e) {
-            console.error("Error parsing saved state:", e);
-        }
-    }
-};
-
 // ==========================================
 // CHAT & STATUS LOGIC
 // ==========================================
@@ -2901,8 +2909,12 @@ function sendChatMessage() {
     const text = input.value.trim();
     if (!text) return;
 
-    // Send to remote
-    SpixiAppSdk.sendNetworkData(encodeStringPacket(MSG_CHAT, text));
+    // Send to remote, spectators can only chat through the SDK
+    if (isSpectator) {
+        SpixiAppSdk.spectators.chat(text);
+    } else {
+        SpixiAppSdk.sendNetworkData(encodeStringPacket(MSG_CHAT, text));
+    }
 
     // Add to local UI
     addChatMessage(text, true);
@@ -2984,16 +2996,16 @@ function updateOpponentStatusUI(status) {
     }
 }
 
-// Helper to check if binary
-function isBinaryPacket(str) {
-    // Basic heuristic: check if it looks like base64 and starts with known types
-    if (typeof str !== 'string') return false;
-    // Check for msg type byte at start (base64 encoded first char)
-    // 1 (MSG_STATE) -> A...
-    // 2 (MSG_COLLISION) -> A... (wait, base64 encoding shifts. Need safe check)
-    // Actually, simple JSON check is safer.
-    return !str.trim().startsWith('{');
-}
+// Chat messages of spectators
+SpixiAppSdk.on('chat', message => addChatMessage(message.text, false));
+SpixiAppSdk.on('spectator-snapshot', handleSpectatorSnapshot);
+
+// Paddle and state packets are superseded by the next one, so only the latest waits when the budget runs out.
+// The SDK lowers the rate while the round-trip time or packet loss is high, other packets use the default channel
+SpixiAppSdk.throttle.channel('realtime', { rate: 60, burst: 20, coalesce: true });
+
+// Keep console output of the game in the SDK log, it is forwarded to the host and the dev server
+SpixiAppSdk.log.configure({ captureConsole: true });
 
 // Start the app on load
 window.onload = SpixiAppSdk.fireOnLoad;
@@ -15,15 +15,17 @@
 var SpixiAppSdk = {
     version: 0.3,
     date: "2025-07-31",
-    fireOnLoad: function () { location.href = "ixian:onload"; },
-    back: function () { location.href = "ixian:back"; },
-    sendNetworkData: function (data) { location.href = "ixian:data" + encodeURIComponent(data); },
-    sendNetworkProtocolData: function (protocolId, data) { location.href = "ixian:protocolData" + protocolId + "=" + encodeURIComponent(data); },
-    getStorageData: function (key) { location.href = "ixian:getStorageData" + encodeURIComponent(key); },
-    setStorageData: function (key, value) { location.href = "ixian:setStorageData" + encodeURIComponent(key) + "=" + encodeURIComponent(value); },
-    spixiAction: function (actionData) { location.href = "ixian:action" + encodeURIComponent(actionData); },
-
-    // on* handlers should be overriden by the app
+    // Commands are passed through SpixiAppSdk.queue, each returns a Promise that resolves once the command was issued
+    fireOnLoad: function () { return SpixiAppSdk.queue.push("ixian:onload"); },
+    back: function () { return SpixiAppSdk.queue.push("ixian:back"); },
+    // Network messages pass through SpixiAppSdk.throttle first, options: channel, key for coalescing
+    sendNetworkData: function (data, options) { return SpixiAppSdk.throttle.push("ixian:data" + encodeURIComponent(data), data, options); },
+    sendNetworkProtocolData: function (protocolId, data, options) { return SpixiAppSdk.throttle.push("ixian:protocolData" + protocolId + "=" + encodeURIComponent(data), undefined, options); },
+    getStorageData: function (key) { return SpixiAppSdk.queue.push("ixian:getStorageData" + encodeURIComponent(key)); },
+    setStorageData: function (key, value) { return SpixiAppSdk.queue.push("ixian:setStorageData" + encodeURIComponent(key) + "=" + encodeURIComponent(value)); },
+    spixiAction: function (actionData) { return SpixiAppSdk.queue.push("ixian:action" + encodeURIComponent(actionData)); },
+
+    // on* handlers should be overriden by the app, use SpixiAppSdk.on() to register multiple listeners
     onInit: function (sessionId, userAddresses) { /*alert("Received init with sessionId: " + sessionId + " and userAddresses: " + userAddresses);*/ },
     onStorageData: function (key, value) { /*alert("Received storage data: " + key + "=" + value);*/ },
     onNetworkData: function (senderAddress, data) { /*alert("Received network data from " + senderAddress + ": " + data);*/ },
@@ -32,3 +34,4103 @@ var SpixiAppSdk = {
     onRequestReject: function (data) { /*alert("Received request reject: " + data);*/ },
     onAppEndSession: function (data) { /*alert("Received app end session: " + data);*/ },
 };
+
+// Event bus
+//
+// Every host callback is dispatched to all listeners registered with on/once, in registration order.
+// A handler assigned to one of the legacy on* properties is kept as one of those listeners.
+SpixiAppSdk._listeners = {};
+
+// Maps the host callbacks to the events they emit
+SpixiAppSdk._hostEvents = {
+    onInit: "init",
+    onStorageData: "storage-data",
+    onNetworkData: "network-data",
+    onNetworkProtocolData: "network-protocol-data",
+    onRequestAccept: "request-accept",
+    onRequestReject: "request-reject",
+    onAppEndSession: "app-end-session"
+};
+
+// Registers a listener for an event, returns a function that removes it
+SpixiAppSdk.on = function (event, listener) {
+    if (typeof listener != "function") {
+        throw new TypeError("Listener for '" + event + "' must be a function");
+    }
+    if (!SpixiAppSdk._listeners[event]) {
+        SpixiAppSdk._listeners[event] = [];
+    }
+    SpixiAppSdk._listeners[event].push({ listener: listener, once: false });
+    return function () { SpixiAppSdk.off(event, listener); };
+};
+
+// Registers a listener that is removed after its first call
+SpixiAppSdk.once = function (event, listener) {
+    var off = SpixiAppSdk.on(event, listener);
+    var entries = SpixiAppSdk._listeners[event];
+    entries[entries.length - 1].once = true;
+    return off;
+};
+
+// Registers a listener the SDK itself depends on, off(event) without a listener leaves it in place
+SpixiAppSdk._on = function (event, listener) {
+    var off = SpixiAppSdk.on(event, listener);
+    var entries = SpixiAppSdk._listeners[event];
+    entries[entries.length - 1].internal = true;
+    return off;
+};
+
+// Removes a listener, or every listener the app registered for the event if none is given
+SpixiAppSdk.off = function (event, listener) {
+    var entries = SpixiAppSdk._listeners[event];
+    if (!entries) {
+        return;
+    }
+    if (listener === undefined) {
+        SpixiAppSdk._listeners[event] = entries.filter(function (entry) { return entry.internal; });
+        return;
+    }
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].listener === listener) {
+            entries.splice(i, 1);
+            break;
+        }
+    }
+};
+
+SpixiAppSdk._emit = function (event) {
+    var entries = SpixiAppSdk._listeners[event];
+    if (!entries) {
+        return;
+    }
+    var args = Array.prototype.slice.call(arguments, 1);
+    // Listeners added or removed while dispatching don't affect the current dispatch
+    entries = entries.slice();
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].once) {
+            SpixiAppSdk.off(event, entries[i].listener);
+        }
+        try {
+            entries[i].listener.apply(null, args);
+        } catch (e) {
+            SpixiAppSdk._onListenerError(event, e);
+        }
+    }
+};
+
+SpixiAppSdk._onListenerError = function (event, error) {
+    SpixiAppSdk.errors.report(error, { source: "listener", context: { event: event } });
+};
+
+// Interceptors see host callbacks before the listeners do, an interceptor returning true consumes the callback
+SpixiAppSdk._interceptors = {};
+
+// Interceptors run in registration order, unless first is set
+SpixiAppSdk._intercept = function (event, interceptor, first) {
+    if (!SpixiAppSdk._interceptors[event]) {
+        SpixiAppSdk._interceptors[event] = [];
+    }
+    if (first) {
+        SpixiAppSdk._interceptors[event].unshift(interceptor);
+    } else {
+        SpixiAppSdk._interceptors[event].push(interceptor);
+    }
+};
+
+SpixiAppSdk._receive = function (event, args) {
+    var interceptors = SpixiAppSdk._interceptors[event] || [];
+    for (var i = 0; i < interceptors.length; i++) {
+        try {
+            if (interceptors[i].apply(null, args) === true) {
+                return;
+            }
+        } catch (e) {
+            SpixiAppSdk._onListenerError(event, e);
+        }
+    }
+    SpixiAppSdk._emit.apply(null, [event].concat(args));
+};
+
+(function () {
+    // The host invokes the on* callbacks by name, keep them pointing at SDK dispatchers and
+    // register whatever the app assigns as a listener.
+    Object.keys(SpixiAppSdk._hostEvents).forEach(function (property) {
+        var event = SpixiAppSdk._hostEvents[property];
+        var appHandler = SpixiAppSdk[property];
+        var dispatcher = function () {
+            var args = Array.prototype.slice.call(arguments);
+            SpixiAppSdk.recorder._record({ dir: "in", name: property, args: args });
+            SpixiAppSdk._receive(event, args);
+        };
+        SpixiAppSdk._on(event, function () {
+            if (typeof appHandler == "function") {
+                appHandler.apply(null, arguments);
+            }
+        });
+        Object.defineProperty(SpixiAppSdk, property, {
+            enumerable: true,
+            get: function () { return dispatcher; },
+            set: function (handler) {
+                if (handler !== dispatcher) {
+                    appHandler = handler;
+                }
+            }
+        });
+    });
+})();
+
+// SDK frames
+//
+// SDK modules exchange their own messages over sendNetworkData. These are prefixed with the frame
+// marker and consumed before the data reaches the app's network-data listeners.
+SpixiAppSdk._framePrefix = "spx:";
+SpixiAppSdk._frameHandlers = {};
+// Identifies this SDK instance in frames that are answered by peers
+SpixiAppSdk._instanceId = Math.random().toString(36).substring(2, 10);
+
+SpixiAppSdk._encodeFrame = function (type, payload) {
+    return SpixiAppSdk._framePrefix + type + ":" + payload;
+};
+
+SpixiAppSdk._onFrame = function (type, handler) {
+    SpixiAppSdk._frameHandlers[type] = handler;
+};
+
+SpixiAppSdk._intercept("network-data", function (senderAddress, data) {
+    var prefix = SpixiAppSdk._framePrefix;
+    if (typeof data != "string" || data.substring(0, prefix.length) != prefix) {
+        return false;
+    }
+    var separator = data.indexOf(":", prefix.length);
+    if (separator == -1) {
+        return false;
+    }
+    var handler = SpixiAppSdk._frameHandlers[data.substring(prefix.length, separator)];
+    if (!handler) {
+        return false;
+    }
+    try {
+        handler(senderAddress, data.substring(separator + 1));
+    } catch (e) {
+        SpixiAppSdk._onListenerError("network-data", e);
+    }
+    return true;
+});
+
+// Outbound command queue
+//
+// Assigning location.href several times in the same tick can drop commands, so every command is queued
+// and issued one at a time, at most once per interval. With batchNetworkData enabled, consecutive
+// sendNetworkData messages are combined into a single host command and split again by the receiving SDK.
+// Batching requires every peer to run an SDK that understands batch frames, so it is off by default.
+SpixiAppSdk.queue = {
+    interval: 10,
+    batchNetworkData: false,
+    maxBatchSize: 20,
+    // Time of the last sendNetworkData command issued to the host
+    lastNetworkSend: 0,
+    _entries: [],
+    _timer: null,
+
+    configure: function (options) {
+        var queue = SpixiAppSdk.queue;
+        ["interval", "batchNetworkData", "maxBatchSize"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                queue[name] = options[name];
+            }
+        });
+    },
+    // Queues a host command, networkData is the raw payload of batchable sendNetworkData commands
+    push: function (command, networkData) {
+        var queue = SpixiAppSdk.queue;
+        return new Promise(function (resolve) {
+            queue._entries.push({ command: command, networkData: networkData, resolve: resolve });
+            if (queue._timer == null) {
+                queue._drain();
+            }
+        });
+    },
+    get length() {
+        return SpixiAppSdk.queue._entries.length;
+    },
+
+    _drain: function () {
+        var queue = SpixiAppSdk.queue;
+        queue._timer = null;
+        if (queue._entries.length == 0) {
+            return;
+        }
+
+        var entries = [queue._entries.shift()];
+        if (queue.batchNetworkData && entries[0].networkData !== undefined) {
+            while (queue._entries.length > 0
+                && queue._entries[0].networkData !== undefined
+                && entries.length < queue.maxBatchSize) {
+                entries.push(queue._entries.shift());
+            }
+        }
+
+        var command = entries[0].command;
+        if (entries.length > 1) {
+            var batch = entries.map(function (entry) { return entry.networkData; });
+            command = "ixian:data" + encodeURIComponent(SpixiAppSdk._encodeFrame("batch", JSON.stringify(batch)));
+        }
+        if (entries[0].networkData !== undefined) {
+            queue.lastNetworkSend = Date.now();
+        }
+        queue._timer = setTimeout(queue._drain, queue.interval);
+        SpixiAppSdk.recorder._record({ dir: "out", command: command });
+        location.href = command;
+        entries.forEach(function (entry) { entry.resolve(); });
+    }
+};
+
+SpixiAppSdk._onFrame("batch", function (senderAddress, payload) {
+    var batch = JSON.parse(payload);
+    for (var i = 0; i < batch.length; i++) {
+        SpixiAppSdk._receive("network-data", [senderAddress, batch[i]]);
+    }
+});
+
+// Outbound rate limiting
+//
+// Network messages pass through a token bucket per channel before they reach the queue. A message is issued
+// right away while its channel has tokens left, otherwise it waits for the bucket to refill. On channels with
+// coalesce enabled, a waiting message is replaced by a newer one sent with the same key, so only the latest
+// paddle position or game state goes out. SDK frames use the sdk channel and app messages the default channel
+// unless the send options name another one. The budgets shrink when the session clock measures a round-trip
+// time above rttThreshold or a share of lost clock samples above lossThreshold, and grow back gradually once
+// the connection recovers. Without clock.start() there are no measurements and the budgets stay as set.
+SpixiAppSdk.throttle = {
+    enabled: true,
+    adaptive: true,
+    adaptInterval: 1000,
+    rttThreshold: 300,
+    lossThreshold: 0.2,
+    // Lowest share of the configured rates that backoff goes down to
+    minFactor: 0.25,
+    // Share of the configured rates currently allowed
+    factor: 1,
+    // name -> { name, rate, burst, coalesce, tokens, updated, pending, sent, coalesced, delayed }
+    _channels: {},
+    _timer: null,
+    _adaptTimer: null,
+
+    configure: function (options) {
+        var throttle = SpixiAppSdk.throttle;
+        ["enabled", "adaptive", "adaptInterval", "rttThreshold", "lossThreshold", "minFactor"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                throttle[name] = options[name];
+            }
+        });
+        if (!throttle.adaptive) {
+            throttle.factor = 1;
+        }
+        if (throttle._adaptTimer != null) {
+            throttle.stop();
+            throttle.start();
+        }
+        throttle._drain();
+    },
+    // Options: rate (messages per second, 0 for no limit), burst (bucket size), coalesce (replace waiting
+    // messages that have the same key)
+    channel: function (name, options) {
+        var throttle = SpixiAppSdk.throttle;
+        options = options || {};
+        var channel = throttle._channels[name];
+        if (!channel) {
+            channel = throttle._channels[name] = {
+                name: name,
+                rate: 0,
+                burst: 1,
+                coalesce: false,
+                tokens: 0,
+                updated: Date.now(),
+                pending: [],
+                sent: 0,
+                coalesced: 0,
+                delayed: 0
+            };
+            channel.tokens = options.burst || channel.burst;
+        }
+        ["rate", "burst", "coalesce"].forEach(function (option) {
+            if (options[option] !== undefined) {
+                channel[option] = options[option];
+            }
+        });
+        channel.tokens = Math.min(channel.tokens, channel.burst);
+        throttle._drain();
+        return throttle._describe(channel);
+    },
+    // Returns { factor, rtt, loss, channels: name -> { rate, effectiveRate, burst, tokens, queued, sent, coalesced, delayed } }
+    stats: function () {
+        var throttle = SpixiAppSdk.throttle;
+        var channels = {};
+        Object.keys(throttle._channels).forEach(function (name) {
+            channels[name] = throttle._describe(throttle._channels[name]);
+        });
+        return { factor: throttle.factor, rtt: SpixiAppSdk.clock.rtt, loss: SpixiAppSdk.clock.loss, channels: channels };
+    },
+    start: function () {
+        var throttle = SpixiAppSdk.throttle;
+        if (throttle._adaptTimer == null) {
+            throttle._adaptTimer = setInterval(throttle._adapt, throttle.adaptInterval);
+        }
+    },
+    stop: function () {
+        var throttle = SpixiAppSdk.throttle;
+        if (throttle._adaptTimer != null) {
+            clearInterval(throttle._adaptTimer);
+            throttle._adaptTimer = null;
+        }
+    },
+
+    // Options: channel, key for coalescing
+    push: function (command, networkData, options) {
+        var throttle = SpixiAppSdk.throttle;
+        options = options || {};
+        var name = options.channel;
+        if (!name) {
+            var prefix = SpixiAppSdk._framePrefix;
+            name = typeof networkData == "string" && networkData.substring(0, prefix.length) == prefix ? "sdk" : "default";
+        }
+        if (!throttle._channels[name]) {
+            throttle.channel(name);
+        }
+        var channel = throttle._channels[name];
+        if (!throttle.enabled || channel.rate == 0) {
+            channel.sent++;
+            return SpixiAppSdk.queue.push(command, networkData);
+        }
+        var now = Date.now();
+        throttle._refill(channel, now);
+        if (channel.pending.length == 0 && channel.tokens >= 1) {
+            channel.tokens--;
+            channel.sent++;
+            return SpixiAppSdk.queue.push(command, networkData);
+        }
+
+        if (channel.coalesce && options.key != null) {
+            for (var i = 0; i < channel.pending.length; i++) {
+                if (channel.pending[i].key == options.key) {
+                    // The waiting message is superseded, both callers resolve once the newer one is issued
+                    channel.pending[i].command = command;
+                    channel.pending[i].networkData = networkData;
+                    channel.coalesced++;
+                    return channel.pending[i].promise;
+                }
+            }
+        }
+        var entry = { command: command, networkData: networkData, key: options.key, promise: null, resolve: null };
+        entry.promise = new Promise(function (resolve) {
+            entry.resolve = resolve;
+        });
+        channel.pending.push(entry);
+        channel.delayed++;
+        throttle._schedule(now);
+        return entry.promise;
+    },
+
+    _describe: function (channel) {
+        var throttle = SpixiAppSdk.throttle;
+        throttle._refill(channel, Date.now());
+        return {
+            rate: channel.rate,
+            effectiveRate: throttle._rate(channel),
+            burst: channel.burst,
+            tokens: Math.floor(channel.tokens),
+            queued: channel.pending.length,
+            sent: channel.sent,
+            coalesced: channel.coalesced,
+            delayed: channel.delayed
+        };
+    },
+    _rate: function (channel) {
+        return channel.rate * SpixiAppSdk.throttle.factor;
+    },
+    _refill: function (channel, now) {
+        var rate = SpixiAppSdk.throttle._rate(channel);
+        channel.tokens = Math.min(channel.burst, channel.tokens + (now - channel.updated) / 1000 * rate);
+        channel.updated = now;
+    },
+    _drain: function () {
+        var throttle = SpixiAppSdk.throttle;
+        if (throttle._timer != null) {
+            clearTimeout(throttle._timer);
+            throttle._timer = null;
+        }
+        var now = Date.now();
+        Object.keys(throttle._channels).forEach(function (name) {
+            var channel = throttle._channels[name];
+            throttle._refill(channel, now);
+            while (channel.pending.length > 0 && (!throttle.enabled || channel.rate == 0 || channel.tokens >= 1)) {
+                var entry = channel.pending.shift();
+                if (throttle.enabled && channel.rate > 0) {
+                    channel.tokens--;
+                }
+                channel.sent++;
+                SpixiAppSdk.queue.push(entry.command, entry.networkData).then(entry.resolve);
+            }
+        });
+        throttle._schedule(now);
+    },
+    // Wakes up when the next waiting message has a token
+    _schedule: function (now) {
+        var throttle = SpixiAppSdk.throttle;
+        var delay = null;
+        Object.keys(throttle._channels).forEach(function (name) {
+            var channel = throttle._channels[name];
+            var rate = throttle._rate(channel);
+            if (channel.pending.length > 0 && rate > 0) {
+                var wait = Math.max(0, Math.ceil((1 - channel.tokens) / rate * 1000));
+                delay = delay == null ? wait : Math.min(delay, wait);
+            }
+        });
+        if (delay != null && throttle._timer == null) {
+            throttle._timer = setTimeout(throttle._drain, delay);
+        }
+    },
+    // Halves the budgets while the connection is slow or lossy, recovers by a tenth per interval
+    _adapt: function () {
+        var throttle = SpixiAppSdk.throttle;
+        if (!throttle.adaptive) {
+            return;
+        }
+        var rtt = SpixiAppSdk.clock.rtt;
+        var loss = SpixiAppSdk.clock.loss;
+        var congested = (rtt != null && rtt > throttle.rttThreshold) || (loss != null && loss > throttle.lossThreshold);
+        var previous = throttle.factor;
+        var factor = congested ? Math.max(throttle.minFactor, previous / 2) : Math.min(1, previous + 0.1);
+        factor = Math.round(factor * 1000) / 1000;
+        if (factor == previous) {
+            return;
+        }
+        // Tokens collected at the old rate stay valid
+        Object.keys(throttle._channels).forEach(function (name) {
+            throttle._refill(throttle._channels[name], Date.now());
+        });
+        throttle.factor = factor;
+        SpixiAppSdk._emit("throttle-change", { factor: factor, previous: previous, rtt: rtt, loss: loss });
+        throttle._drain();
+    }
+};
+
+SpixiAppSdk.throttle.channel("default", { rate: 50, burst: 50 });
+// SDK frames are already paced by the modules that send them
+SpixiAppSdk.throttle.channel("sdk", { rate: 0 });
+SpixiAppSdk._on("init", SpixiAppSdk.throttle.start);
+SpixiAppSdk._on("end", SpixiAppSdk.throttle.stop);
+
+// Promise-based storage API
+//
+// Storage responses arrive through onStorageData and are matched to pending get requests by key.
+// The app's own onStorageData handler is still called for every response.
+SpixiAppSdk.storage = {
+    timeout: 5000,
+    _pending: {},
+
+    get: function (key) {
+        var storage = SpixiAppSdk.storage;
+        return new Promise(function (resolve, reject) {
+            var request = { resolve: resolve, reject: reject, timer: null };
+            request.timer = setTimeout(function () {
+                storage._removeRequest(key, request);
+                reject(new Error("Storage request for key '" + key + "' timed out"));
+            }, storage.timeout);
+
+            if (storage._pending[key]) {
+                // A request for this key is already in flight, share its response
+                storage._pending[key].push(request);
+                return;
+            }
+            storage._pending[key] = [request];
+            SpixiAppSdk.getStorageData(key);
+        });
+    },
+    set: function (key, value) {
+        return SpixiAppSdk.setStorageData(key, value);
+    },
+    remove: function (key) {
+        return SpixiAppSdk.setStorageData(key, null);
+    },
+
+    _removeRequest: function (key, request) {
+        var requests = SpixiAppSdk.storage._pending[key];
+        if (!requests) {
+            return;
+        }
+        var index = requests.indexOf(request);
+        if (index > -1) {
+            requests.splice(index, 1);
+        }
+        if (requests.length == 0) {
+            delete SpixiAppSdk.storage._pending[key];
+        }
+    },
+    _onStorageData: function (key, value) {
+        var requests = SpixiAppSdk.storage._pending[key];
+        if (!requests) {
+            return;
+        }
+        delete SpixiAppSdk.storage._pending[key];
+        // The host reports missing keys as the string "null"
+        var result = (value == null || value == "null") ? null : value;
+        for (var i = 0; i < requests.length; i++) {
+            clearTimeout(requests[i].timer);
+            requests[i].resolve(result);
+        }
+    }
+};
+
+SpixiAppSdk._on("storage-data", SpixiAppSdk.storage._onStorageData);
+
+// Namespaced storage
+//
+// storage.namespace() returns a storage view whose values are JSON serialized and base64 encoded, with keys
+// prefixed by the namespace name and, depending on the scope, the addresses of the other participants or the
+// session id. Values are stored together with the namespace version. Values written by an older version,
+// or by an app that stored plain JSON or base64 encoded JSON itself (version 0), are passed through the
+// migrations of every newer version when they are read and saved again.
+//
+// Options: scope ("app", "peer" or "session", default "app"), version (default 1),
+// migrations: { version: function (value) { return upgradedValue; } }
+SpixiAppSdk.storage.namespace = function (name, options) {
+    options = options || {};
+    var scope = options.scope || "app";
+    var version = options.version || 1;
+    var migrations = options.migrations || {};
+    if (["app", "peer", "session"].indexOf(scope) == -1) {
+        throw new Error("Unknown storage scope '" + scope + "'");
+    }
+
+    var storageKey = function (key) {
+        if (scope == "app") {
+            return Promise.resolve(name + ":" + key);
+        }
+        return SpixiAppSdk.ready.then(function (session) {
+            var id = scope == "peer" ? session.userAddresses.slice().sort().join(",") : session.sessionId;
+            return name + ":" + id + ":" + key;
+        });
+    };
+    var encode = function (value) {
+        var json = JSON.stringify({ $v: version, data: value });
+        return SpixiTools._bytesToBase64(new TextEncoder().encode(json));
+    };
+    var parse = function (text) {
+        try {
+            return { value: JSON.parse(text) };
+        } catch (e) {
+            return null;
+        }
+    };
+    // Returns { version, data }, anything that isn't an envelope is version 0
+    var decode = function (stored) {
+        var parsed = null;
+        if (/^[A-Za-z0-9+\/]+={0,2}$/.test(stored)) {
+            try {
+                parsed = parse(SpixiTools.base64ToBytes(stored));
+            } catch (e) {
+            }
+        }
+        parsed = parsed || parse(stored);
+        if (!parsed) {
+            return { version: 0, data: stored };
+        }
+        var value = parsed.value;
+        if (value && typeof value == "object" && typeof value.$v == "number" && value.hasOwnProperty("data")) {
+            return { version: value.$v, data: value.data };
+        }
+        return { version: 0, data: value };
+    };
+
+    var namespace = {
+        name: name,
+        scope: scope,
+        version: version,
+
+        // Resolves with the migrated value, or null if the key is not set
+        get: function (key) {
+            return storageKey(key).then(function (fullKey) {
+                return SpixiAppSdk.storage.get(fullKey).then(function (stored) {
+                    if (stored == null) {
+                        return null;
+                    }
+                    var value = decode(stored);
+                    if (value.version > version) {
+                        throw new Error("Value of '" + fullKey + "' was written by newer version " + value.version);
+                    }
+                    if (value.version == version) {
+                        return value.data;
+                    }
+                    var data = value.data;
+                    for (var v = value.version + 1; v <= version; v++) {
+                        if (typeof migrations[v] == "function") {
+                            data = migrations[v](data);
+                        }
+                    }
+                    SpixiAppSdk.storage.set(fullKey, encode(data));
+                    return data;
+                });
+            });
+        },
+        set: function (key, value) {
+            return storageKey(key).then(function (fullKey) {
+                return SpixiAppSdk.storage.set(fullKey, encode(value));
+            });
+        },
+        remove: function (key) {
+            return storageKey(key).then(function (fullKey) {
+                return SpixiAppSdk.storage.remove(fullKey);
+            });
+        }
+    };
+    return namespace;
+};
+
+// Lifecycle
+//
+// SpixiAppSdk.init() fires onload once the page has loaded and returns the ready Promise, which resolves
+// with the session details from onInit. The pause, resume and end events follow page visibility and
+// onAppEndSession, so apps don't have to track them on their own.
+SpixiAppSdk.lifecycle = {
+    // loading, running, paused or ended
+    state: "loading",
+    sessionId: null,
+    // Addresses of the other users in the session, the host doesn't pass the local user's address
+    userAddresses: [],
+    _loadFired: false,
+    _resolveReady: null
+};
+
+SpixiAppSdk.ready = new Promise(function (resolve) {
+    SpixiAppSdk.lifecycle._resolveReady = resolve;
+});
+
+// Options: onReady(session) callback, a function can also be passed instead of the options object
+SpixiAppSdk.init = function (options) {
+    if (typeof options == "function") {
+        options = { onReady: options };
+    }
+    options = options || {};
+    if (typeof options.onReady == "function") {
+        SpixiAppSdk.ready.then(options.onReady);
+    }
+
+    var lifecycle = SpixiAppSdk.lifecycle;
+    if (!lifecycle._loadFired) {
+        lifecycle._loadFired = true;
+        if (typeof document == "undefined" || document.readyState == "complete") {
+            SpixiAppSdk.fireOnLoad();
+        } else {
+            window.addEventListener("load", function () { SpixiAppSdk.fireOnLoad(); });
+        }
+    }
+    return SpixiAppSdk.ready;
+};
+
+SpixiAppSdk._setLifecycleState = function (state) {
+    var lifecycle = SpixiAppSdk.lifecycle;
+    if (lifecycle.state == state || lifecycle.state == "ended") {
+        return;
+    }
+    var previous = lifecycle.state;
+    lifecycle.state = state;
+    if (state == "paused") {
+        SpixiAppSdk._emit("pause");
+    } else if (state == "running" && previous == "paused") {
+        SpixiAppSdk._emit("resume");
+    }
+};
+
+SpixiAppSdk._parseAddresses = function (userAddresses) {
+    if (Array.isArray(userAddresses)) {
+        return userAddresses.slice();
+    }
+    return String(userAddresses || "").split(",")
+        .map(function (address) { return address.trim(); })
+        .filter(function (address) { return address != ""; });
+};
+
+SpixiAppSdk._on("init", function (sessionId, userAddresses) {
+    var lifecycle = SpixiAppSdk.lifecycle;
+    lifecycle.sessionId = sessionId;
+    lifecycle.userAddresses = SpixiAppSdk._parseAddresses(userAddresses);
+    var hidden = typeof document != "undefined" && document.hidden;
+    SpixiAppSdk._setLifecycleState(hidden ? "paused" : "running");
+    lifecycle._resolveReady({ sessionId: sessionId, userAddresses: lifecycle.userAddresses.slice() });
+});
+
+SpixiAppSdk._on("app-end-session", function (data) {
+    if (SpixiAppSdk.lifecycle.state == "ended") {
+        return;
+    }
+    SpixiAppSdk.lifecycle.state = "ended";
+    SpixiAppSdk._emit("end", data);
+});
+
+if (typeof document != "undefined") {
+    document.addEventListener("visibilitychange", function () {
+        if (SpixiAppSdk.lifecycle.state == "loading") {
+            return;
+        }
+        SpixiAppSdk._setLifecycleState(document.hidden ? "paused" : "running");
+    });
+}
+
+// Reliable channel
+//
+// channel.send() delivers messages to every peer exactly once and in order. Messages carry a sequence
+// number, receivers acknowledge the highest in-order sequence and the sender retransmits unacknowledged
+// messages with exponential backoff. Every SDK instance uses its own stream id, so a peer that reopens
+// the app starts a fresh stream. channel.sendUnreliable() is the fast path for messages that may be lost.
+// When a message runs out of retransmissions or a peer goes offline, every pending message is rejected and
+// the channel starts a new stream, later messages can't be delivered in order past the lost one.
+SpixiAppSdk.channel = {
+    retransmitTimeout: 500,
+    maxRetransmitTimeout: 8000,
+    maxRetransmits: 10,
+    _streamId: SpixiAppSdk._instanceId,
+    _streams: 0,
+    _nextSeq: 1,
+    // seq -> { data, acks, timeout, retryAt, retransmits, resolve, reject }
+    _unacked: {},
+    // sender address -> { streamId, expected, buffer }
+    _incoming: {},
+    _timer: null,
+
+    // Resolves once every peer in the session has acknowledged the message, rejects with code "timeout" or
+    // "peer-offline" when it is dropped
+    send: function (data) {
+        var channel = SpixiAppSdk.channel;
+        var seq = channel._nextSeq++;
+        return new Promise(function (resolve, reject) {
+            channel._unacked[seq] = {
+                data: data,
+                acks: {},
+                timeout: channel.retransmitTimeout,
+                retryAt: Date.now() + channel.retransmitTimeout,
+                retransmits: 0,
+                resolve: resolve,
+                reject: reject
+            };
+            channel._transmit(seq);
+            channel._schedule();
+        });
+    },
+    sendUnreliable: function (data) {
+        return SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("chu", data));
+    },
+    // Number of reliable messages still waiting for acknowledgement
+    get pending() {
+        return Object.keys(SpixiAppSdk.channel._unacked).length;
+    },
+
+    _transmit: function (seq) {
+        var channel = SpixiAppSdk.channel;
+        var payload = channel._streamId + ":" + seq + ":" + channel._unacked[seq].data;
+        SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("chr", payload));
+    },
+    _schedule: function () {
+        var channel = SpixiAppSdk.channel;
+        if (channel._timer == null && channel.pending > 0) {
+            channel._timer = setTimeout(channel._retransmit, 100);
+        }
+    },
+    _retransmit: function () {
+        var channel = SpixiAppSdk.channel;
+        channel._timer = null;
+        var now = Date.now();
+        var seqs = Object.keys(channel._unacked);
+        for (var i = 0; i < seqs.length; i++) {
+            var message = channel._unacked[seqs[i]];
+            if (message.retryAt > now) {
+                continue;
+            }
+            if (message.retransmits >= channel.maxRetransmits) {
+                channel._drop("timeout", "Message " + seqs[i] + " was not acknowledged after "
+                    + message.retransmits + " retransmissions");
+                return;
+            }
+            message.retransmits++;
+            message.timeout = Math.min(message.timeout * 2, channel.maxRetransmitTimeout);
+            message.retryAt = now + message.timeout;
+            channel._transmit(seqs[i]);
+        }
+        channel._schedule();
+    },
+    // Rejects every pending message and continues on a new stream
+    _drop: function (code, reason) {
+        var channel = SpixiAppSdk.channel;
+        var unacked = channel._unacked;
+        channel._unacked = {};
+        channel._streamId = SpixiAppSdk._instanceId + "." + (++channel._streams);
+        channel._nextSeq = 1;
+        if (channel._timer != null) {
+            clearTimeout(channel._timer);
+            channel._timer = null;
+        }
+        Object.keys(unacked).forEach(function (seq) {
+            var error = new Error(reason);
+            error.code = code;
+            unacked[seq].reject(error);
+        });
+    },
+    _onPeerOffline: function (address) {
+        var channel = SpixiAppSdk.channel;
+        var waiting = Object.keys(channel._unacked).some(function (seq) {
+            return !channel._unacked[seq].acks[address];
+        });
+        if (waiting) {
+            channel._drop("peer-offline", "Peer " + address + " went offline before acknowledging");
+        }
+    },
+    _isDelivered: function (message) {
+        var peers = SpixiAppSdk.lifecycle.userAddresses;
+        if (peers.length == 0) {
+            return Object.keys(message.acks).length > 0;
+        }
+        return peers.every(function (address) { return message.acks[address]; });
+    },
+    _onAck: function (senderAddress, payload) {
+        var channel = SpixiAppSdk.channel;
+        var parts = payload.split(":");
+        if (parts[0] != channel._streamId) {
+            // Acknowledges another peer's stream
+            return;
+        }
+        var ackedSeq = parseInt(parts[1], 10);
+        Object.keys(channel._unacked).forEach(function (seq) {
+            if (Number(seq) > ackedSeq) {
+                return;
+            }
+            var message = channel._unacked[seq];
+            message.acks[senderAddress] = true;
+            if (channel._isDelivered(message)) {
+                delete channel._unacked[seq];
+                message.resolve();
+            }
+        });
+    },
+    _onReliable: function (senderAddress, payload) {
+        var channel = SpixiAppSdk.channel;
+        var first = payload.indexOf(":");
+        var second = payload.indexOf(":", first + 1);
+        var streamId = payload.substring(0, first);
+        var seq = parseInt(payload.substring(first + 1, second), 10);
+        var data = payload.substring(second + 1);
+
+        var stream = channel._incoming[senderAddress];
+        if (!stream || stream.streamId != streamId) {
+            stream = channel._incoming[senderAddress] = { streamId: streamId, expected: 1, buffer: {} };
+        }
+        if (seq >= stream.expected) {
+            stream.buffer[seq] = data;
+        }
+        var delivered = [];
+        while (stream.buffer.hasOwnProperty(stream.expected)) {
+            delivered.push(stream.buffer[stream.expected]);
+            delete stream.buffer[stream.expected];
+            stream.expected++;
+        }
+        // Duplicates are acknowledged again in case the previous acknowledgement was lost
+        SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("cha", streamId + ":" + (stream.expected - 1)));
+        delivered.forEach(function (message) {
+            SpixiAppSdk._emit("channel-data", senderAddress, message, { reliable: true });
+        });
+    }
+};
+
+SpixiAppSdk._onFrame("chr", SpixiAppSdk.channel._onReliable);
+SpixiAppSdk._onFrame("cha", SpixiAppSdk.channel._onAck);
+SpixiAppSdk._onFrame("chu", function (senderAddress, data) {
+    SpixiAppSdk._emit("channel-data", senderAddress, data, { reliable: false });
+});
+SpixiAppSdk._on("peer-offline", SpixiAppSdk.channel._onPeerOffline);
+
+// Presence
+//
+// Tracks when each peer was last heard from and emits peer-online, peer-idle and peer-offline as that
+// changes. Any network data received from a peer counts as a sign of life, heartbeats are only sent when
+// the app itself has not sent anything for heartbeatInterval. Heartbeats are answered by the peer's SDK,
+// which gives a round-trip time measurement. They only run while the app is visible in a session with
+// other users.
+SpixiAppSdk.presence = {
+    heartbeatInterval: 2000,
+    idleAfter: 5000,
+    offlineAfter: 15000,
+    // Heartbeats are sent at least this often to keep the round-trip time current
+    rttInterval: 10000,
+    // address -> { address, status, lastSeen, rtt }
+    _peers: {},
+    _lastProbe: 0,
+    _timer: null,
+
+    configure: function (options) {
+        var presence = SpixiAppSdk.presence;
+        ["heartbeatInterval", "idleAfter", "offlineAfter", "rttInterval"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                presence[name] = options[name];
+            }
+        });
+        if (presence._timer != null) {
+            // Apply the new heartbeat interval
+            presence.stop();
+            presence.start();
+        }
+    },
+    peers: function () {
+        var presence = SpixiAppSdk.presence;
+        return Object.keys(presence._peers).map(function (address) { return presence.get(address); });
+    },
+    // Returns { address, status, lastSeen, rtt } or null for unknown addresses
+    get: function (address) {
+        var peer = SpixiAppSdk.presence._peers[address];
+        if (!peer) {
+            return null;
+        }
+        return { address: peer.address, status: peer.status, lastSeen: peer.lastSeen, rtt: peer.rtt };
+    },
+    lastSeen: function (address) {
+        var peer = SpixiAppSdk.presence._peers[address];
+        return peer ? peer.lastSeen : 0;
+    },
+    rtt: function (address) {
+        var peer = SpixiAppSdk.presence._peers[address];
+        return peer ? peer.rtt : null;
+    },
+    start: function () {
+        var presence = SpixiAppSdk.presence;
+        if (presence._timer == null) {
+            presence._timer = setInterval(presence._tick, Math.min(500, presence.heartbeatInterval));
+        }
+    },
+    stop: function () {
+        var presence = SpixiAppSdk.presence;
+        if (presence._timer != null) {
+            clearInterval(presence._timer);
+            presence._timer = null;
+        }
+    },
+
+    _resume: function () {
+        var lifecycle = SpixiAppSdk.lifecycle;
+        if (lifecycle.state == "running" && lifecycle.userAddresses.length > 0) {
+            SpixiAppSdk.presence.start();
+        }
+    },
+    _track: function (address) {
+        var presence = SpixiAppSdk.presence;
+        if (!presence._peers[address]) {
+            presence._peers[address] = { address: address, status: "unknown", lastSeen: 0, rtt: null };
+        }
+        return presence._peers[address];
+    },
+    _setStatus: function (peer, status) {
+        if (peer.status == status) {
+            return;
+        }
+        peer.status = status;
+        SpixiAppSdk._emit("peer-" + status, peer.address);
+    },
+    _seen: function (address) {
+        var peer = SpixiAppSdk.presence._track(address);
+        peer.lastSeen = Date.now();
+        SpixiAppSdk.presence._setStatus(peer, "online");
+    },
+    _tick: function () {
+        var presence = SpixiAppSdk.presence;
+        var now = Date.now();
+        Object.keys(presence._peers).forEach(function (address) {
+            var peer = presence._peers[address];
+            if (peer.lastSeen == 0) {
+                return;
+            }
+            var silence = now - peer.lastSeen;
+            if (silence >= presence.offlineAfter) {
+                presence._setStatus(peer, "offline");
+            } else if (silence >= presence.idleAfter) {
+                presence._setStatus(peer, "idle");
+            }
+        });
+
+        if (now - SpixiAppSdk.queue.lastNetworkSend >= presence.heartbeatInterval
+            || now - presence._lastProbe >= presence.rttInterval) {
+            presence._lastProbe = now;
+            SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("hb", SpixiAppSdk._instanceId + ":" + now));
+        }
+    }
+};
+
+SpixiAppSdk._on("init", function () {
+    var presence = SpixiAppSdk.presence;
+    SpixiAppSdk.lifecycle.userAddresses.forEach(presence._track);
+    presence._resume();
+});
+SpixiAppSdk._on("resume", SpixiAppSdk.presence._resume);
+SpixiAppSdk._on("pause", SpixiAppSdk.presence.stop);
+SpixiAppSdk._on("end", SpixiAppSdk.presence.stop);
+
+// Runs before the frame handlers, so SDK frames count as signs of life as well
+SpixiAppSdk._intercept("network-data", function (senderAddress) {
+    SpixiAppSdk.presence._seen(senderAddress);
+    return false;
+}, true);
+SpixiAppSdk._intercept("network-protocol-data", function (senderAddress) {
+    if (SpixiAppSdk.presence._peers[senderAddress]) {
+        SpixiAppSdk.presence._seen(senderAddress);
+    }
+    return false;
+});
+
+SpixiAppSdk._onFrame("hb", function (senderAddress, payload) {
+    SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("hbr", payload));
+});
+SpixiAppSdk._onFrame("hbr", function (senderAddress, payload) {
+    var parts = payload.split(":");
+    if (parts[0] != SpixiAppSdk._instanceId) {
+        // Answers another peer's heartbeat
+        return;
+    }
+    var peer = SpixiAppSdk.presence._track(senderAddress);
+    peer.rtt = Date.now() - parseInt(parts[1], 10);
+});
+
+// Session handshake
+//
+// handshake.start() exchanges hello frames with every peer until each side has seen the other, checking
+// that both run the same app version in the same session. Roles are then elected deterministically:
+// every participant draws a random number and the highest one (ties broken by instance id) becomes host.
+SpixiAppSdk.handshake = {
+    retryInterval: 500,
+    version: null,
+    role: null,
+    isHost: false,
+    complete: false,
+    // address -> { instanceId, random, confirmed }
+    _peers: {},
+    _random: Math.random(),
+    // Addresses to wait for, null for everyone in lifecycle.userAddresses
+    _addresses: null,
+    _started: false,
+    _timer: null,
+    _resolve: null,
+    _promise: null,
+
+    // Options: version of the app, checked against every peer, the version of the manifest by default.
+    // peers - addresses to wait for instead of every user in the session, e.g. the seated players.
+    // Resolves with { role, isHost, peers }
+    start: function (options) {
+        var handshake = SpixiAppSdk.handshake;
+        if (handshake._promise) {
+            return handshake._promise;
+        }
+        options = options || {};
+        var version = options.version !== undefined ? options.version : SpixiAppSdk.manifest && SpixiAppSdk.manifest.version;
+        handshake.version = version != null ? String(version) : "";
+        handshake._addresses = options.peers ? options.peers.slice() : null;
+        handshake._promise = new Promise(function (resolve) {
+            handshake._resolve = resolve;
+        });
+        SpixiAppSdk.ready.then(function () {
+            handshake._started = true;
+            handshake._sendHello();
+            handshake._timer = setInterval(handshake._sendHello, handshake.retryInterval);
+            // Completes right away when there are no peers to wait for
+            handshake._update();
+        });
+        return handshake._promise;
+    },
+    stop: function () {
+        var handshake = SpixiAppSdk.handshake;
+        if (handshake._timer != null) {
+            clearInterval(handshake._timer);
+            handshake._timer = null;
+        }
+    },
+
+    _sendHello: function () {
+        var handshake = SpixiAppSdk.handshake;
+        var seen = Object.keys(handshake._peers).map(function (address) { return handshake._peers[address].instanceId; });
+        var hello = {
+            v: handshake.version,
+            s: SpixiAppSdk.lifecycle.sessionId,
+            i: SpixiAppSdk._instanceId,
+            r: handshake._random,
+            seen: seen
+        };
+        SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("hs", JSON.stringify(hello)));
+    },
+    _onHello: function (senderAddress, payload) {
+        var handshake = SpixiAppSdk.handshake;
+        if (!handshake._started) {
+            // The peer keeps retrying until this side has started the handshake as well
+            return;
+        }
+        var hello = JSON.parse(payload);
+        if (hello.s != SpixiAppSdk.lifecycle.sessionId) {
+            SpixiAppSdk._emit("handshake-failed", { address: senderAddress, reason: "session" });
+            return;
+        }
+        if (hello.v != handshake.version) {
+            SpixiAppSdk._emit("handshake-failed", { address: senderAddress, reason: "version", version: hello.v });
+            return;
+        }
+
+        var known = handshake._peers[senderAddress];
+        var isNewInstance = !known || known.instanceId != hello.i;
+        handshake._peers[senderAddress] = {
+            instanceId: hello.i,
+            random: hello.r,
+            confirmed: hello.seen.indexOf(SpixiAppSdk._instanceId) > -1
+        };
+        if (isNewInstance || handshake.complete) {
+            // Let the peer know right away that its hello arrived, peers only keep sending hellos
+            // until their own handshake is complete
+            handshake._sendHello();
+        }
+        handshake._update();
+    },
+    _update: function () {
+        var handshake = SpixiAppSdk.handshake;
+        var addresses = handshake._addresses;
+        if (addresses == null) {
+            addresses = SpixiAppSdk.lifecycle.userAddresses;
+            if (addresses.length == 0) {
+                addresses = Object.keys(handshake._peers);
+            }
+            if (addresses.length == 0) {
+                return;
+            }
+        }
+        var ready = addresses.every(function (address) {
+            return handshake._peers[address] && handshake._peers[address].confirmed;
+        });
+        if (!ready) {
+            return;
+        }
+
+        var hostId = SpixiAppSdk._instanceId;
+        var hostRandom = handshake._random;
+        addresses.forEach(function (address) {
+            var peer = handshake._peers[address];
+            if (peer.random > hostRandom || (peer.random == hostRandom && peer.instanceId > hostId)) {
+                hostId = peer.instanceId;
+                hostRandom = peer.random;
+            }
+        });
+        var role = hostId == SpixiAppSdk._instanceId ? "host" : "guest";
+        if (handshake.complete && handshake.role == role) {
+            return;
+        }
+
+        handshake.stop();
+        handshake.complete = true;
+        handshake.role = role;
+        handshake.isHost = role == "host";
+        var result = { role: role, isHost: handshake.isHost, peers: addresses.slice() };
+        handshake._resolve(result);
+        SpixiAppSdk._emit("handshake-complete", result);
+    }
+};
+
+SpixiAppSdk._onFrame("hs", SpixiAppSdk.handshake._onHello);
+
+// Fragmented transfers
+//
+// Payloads larger than fragmentSize are split into numbered fragments, sent one after another through
+// the queue and reassembled by the receiving SDK, which checks the length and CRC-32 of the result before
+// delivering it as a single network-data or network-protocol-data event. transfer-progress is emitted as
+// fragments arrive, transfer-failed when a transfer times out or fails the integrity check.
+SpixiAppSdk.transfer = {
+    // Maximum number of characters of payload per fragment
+    fragmentSize: 16000,
+    // Incomplete transfers are dropped when no fragment arrived for this long
+    timeout: 30000,
+    _nextId: 1,
+    // sender address/protocol id/transfer id -> { id, protocolId, total, length, checksum, fragments, received, timer }
+    _incoming: {},
+
+    configure: function (options) {
+        var transfer = SpixiAppSdk.transfer;
+        ["fragmentSize", "timeout"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                transfer[name] = options[name];
+            }
+        });
+    },
+    // Options: onProgress(sent, total) called as fragments are issued
+    // Resolves once the last fragment was issued
+    sendNetworkData: function (data, options) {
+        return SpixiAppSdk.transfer._send(null, String(data), options || {});
+    },
+    sendNetworkProtocolData: function (protocolId, data, options) {
+        return SpixiAppSdk.transfer._send(protocolId, String(data), options || {});
+    },
+
+    _send: function (protocolId, data, options) {
+        var transfer = SpixiAppSdk.transfer;
+        var sendData = function (payload) {
+            return protocolId == null
+                ? SpixiAppSdk.sendNetworkData(payload)
+                : SpixiAppSdk.sendNetworkProtocolData(protocolId, payload);
+        };
+        if (data.length <= transfer.fragmentSize) {
+            return sendData(data).then(function () {
+                if (options.onProgress) {
+                    options.onProgress(1, 1);
+                }
+            });
+        }
+
+        var chunks = transfer._split(data, transfer.fragmentSize);
+        var header = SpixiAppSdk._instanceId + "." + transfer._nextId++ + ":" + chunks.length + ":"
+            + data.length + ":" + transfer._crc32(data);
+        var sent = 0;
+        return Promise.all(chunks.map(function (chunk, index) {
+            return sendData(SpixiAppSdk._encodeFrame("frag", header + ":" + index + ":" + chunk)).then(function () {
+                sent++;
+                if (options.onProgress) {
+                    options.onProgress(sent, chunks.length);
+                }
+            });
+        })).then(function () {});
+    },
+    // Splits into chunks of at most size characters without separating surrogate pairs
+    _split: function (data, size) {
+        var chunks = [];
+        var start = 0;
+        while (start < data.length) {
+            var end = Math.min(start + size, data.length);
+            var last = data.charCodeAt(end - 1);
+            if (end < data.length && end - start > 1 && last >= 0xd800 && last <= 0xdbff) {
+                end--;
+            }
+            chunks.push(data.substring(start, end));
+            start = end;
+        }
+        return chunks;
+    },
+    _crc32: function (text) {
+        var table = SpixiAppSdk.transfer._crcTable;
+        if (!table) {
+            table = SpixiAppSdk.transfer._crcTable = [];
+            for (var n = 0; n < 256; n++) {
+                var c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+        }
+        var bytes = new TextEncoder().encode(text);
+        var crc = 0xffffffff;
+        for (var i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return ((crc ^ 0xffffffff) >>> 0).toString(16);
+    },
+    _fail: function (key, reason) {
+        var transfer = SpixiAppSdk.transfer;
+        var incoming = transfer._incoming[key];
+        clearTimeout(incoming.timer);
+        delete transfer._incoming[key];
+        SpixiAppSdk._emit("transfer-failed", incoming.senderAddress, {
+            id: incoming.id,
+            protocolId: incoming.protocolId,
+            reason: reason
+        });
+    },
+    _onFragment: function (senderAddress, protocolId, payload) {
+        var transfer = SpixiAppSdk.transfer;
+        var parts = payload.split(":", 5);
+        var id = parts[0];
+        var total = parseInt(parts[1], 10);
+        var index = parseInt(parts[4], 10);
+        if (parts.length < 5 || !(total > 0) || !(index >= 0 && index < total)) {
+            return;
+        }
+        var chunk = payload.substring(parts.join(":").length + 1);
+
+        var key = senderAddress + "/" + (protocolId == null ? "" : protocolId) + "/" + id;
+        var incoming = transfer._incoming[key];
+        if (!incoming) {
+            incoming = transfer._incoming[key] = {
+                senderAddress: senderAddress,
+                id: id,
+                protocolId: protocolId,
+                total: total,
+                length: parseInt(parts[2], 10),
+                checksum: parts[3],
+                fragments: {},
+                received: 0,
+                timer: null
+            };
+        }
+        clearTimeout(incoming.timer);
+        incoming.timer = setTimeout(function () { transfer._fail(key, "timeout"); }, transfer.timeout);
+        if (incoming.fragments.hasOwnProperty(index)) {
+            return;
+        }
+        incoming.fragments[index] = chunk;
+        incoming.received++;
+        SpixiAppSdk._emit("transfer-progress", senderAddress, {
+            id: id,
+            protocolId: protocolId,
+            received: incoming.received,
+            total: total
+        });
+        if (incoming.received < total) {
+            return;
+        }
+
+        var data = "";
+        for (var i = 0; i < total; i++) {
+            data += incoming.fragments[i];
+        }
+        if (data.length != incoming.length || transfer._crc32(data) != incoming.checksum) {
+            transfer._fail(key, "checksum");
+            return;
+        }
+        clearTimeout(incoming.timer);
+        delete transfer._incoming[key];
+        if (protocolId == null) {
+            SpixiAppSdk._receive("network-data", [senderAddress, data]);
+        } else {
+            SpixiAppSdk._receive("network-protocol-data", [senderAddress, protocolId, data]);
+        }
+    }
+};
+
+SpixiAppSdk._on("end", function () {
+    var transfer = SpixiAppSdk.transfer;
+    Object.keys(transfer._incoming).forEach(function (key) {
+        clearTimeout(transfer._incoming[key].timer);
+    });
+    transfer._incoming = {};
+});
+
+SpixiAppSdk._onFrame("frag", function (senderAddress, payload) {
+    SpixiAppSdk.transfer._onFragment(senderAddress, null, payload);
+});
+// Fragments sent with sendNetworkProtocolData
+SpixiAppSdk._intercept("network-protocol-data", function (senderAddress, protocolId, data) {
+    var prefix = SpixiAppSdk._encodeFrame("frag", "");
+    if (typeof data != "string" || data.substring(0, prefix.length) != prefix) {
+        return false;
+    }
+    SpixiAppSdk.transfer._onFragment(senderAddress, protocolId, data.substring(prefix.length));
+    return true;
+});
+
+// Shared clock
+//
+// Estimates the offset between the local clock and the session clock, which is the clock of the SDK
+// instance with the lowest instance id, so every participant converges on the same time. Each sample is an
+// NTP-style exchange of four timestamps. Only the samples with the lowest round-trip delay in the window are
+// trusted, as queuing delays on the way out or back are what make an offset estimate wrong, and the median
+// of their offsets is used. clock-synced is emitted with the first estimate, clock-drift whenever the
+// estimate moves by more than driftThreshold. Apps that need the session time call clock.start(), sampling
+// is suspended while the app is paused. Requests from peers are answered either way.
+SpixiAppSdk.clock = {
+    // Time between samples, the first windowSize samples are taken at a quarter of it
+    interval: 2000,
+    windowSize: 8,
+    driftThreshold: 20,
+    // Whether start() was called
+    enabled: false,
+    // Milliseconds to add to Date.now() to get the session time
+    offset: 0,
+    synced: false,
+    // Median round-trip time and mean deviation between consecutive round-trip times of recent samples
+    rtt: null,
+    jitter: null,
+    // Share of the recent samples that got no answer within the sample interval, null until a peer answered
+    loss: null,
+    // instance id -> { address, samples: [{ offset, delay }] }
+    _sources: {},
+    _timer: null,
+    _sampleCount: 0,
+    // Send times of unanswered samples, and 1 (lost) or 0 (answered) for the recent samples
+    _requests: {},
+    _outcomes: [],
+
+    configure: function (options) {
+        var clock = SpixiAppSdk.clock;
+        ["interval", "windowSize", "driftThreshold"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                clock[name] = options[name];
+            }
+        });
+        if (clock._timer != null) {
+            clock._suspend();
+            clock._resume();
+        }
+    },
+    // Current session time in milliseconds
+    now: function () {
+        return Date.now() + SpixiAppSdk.clock.offset;
+    },
+    // Whether this instance's clock is the session clock
+    get isReference() {
+        return SpixiAppSdk.clock._reference() == null;
+    },
+    stats: function () {
+        var clock = SpixiAppSdk.clock;
+        var reference = clock._reference();
+        return {
+            offset: clock.offset,
+            rtt: clock.rtt,
+            jitter: clock.jitter,
+            loss: clock.loss,
+            synced: clock.synced,
+            reference: reference ? clock._sources[reference].address : null,
+            samples: reference ? clock._sources[reference].samples.length : 0
+        };
+    },
+    // Sampling begins once the session started and the app is running
+    start: function () {
+        SpixiAppSdk.clock.enabled = true;
+        SpixiAppSdk.clock._resume();
+    },
+    stop: function () {
+        SpixiAppSdk.clock.enabled = false;
+        SpixiAppSdk.clock._suspend();
+    },
+
+    _resume: function () {
+        var clock = SpixiAppSdk.clock;
+        if (clock.enabled && clock._timer == null && SpixiAppSdk.lifecycle.state == "running") {
+            clock._sample();
+        }
+    },
+    _suspend: function () {
+        var clock = SpixiAppSdk.clock;
+        if (clock._timer != null) {
+            clearTimeout(clock._timer);
+            clock._timer = null;
+        }
+    },
+
+    _sample: function () {
+        var clock = SpixiAppSdk.clock;
+        clock._sampleCount++;
+        var delay = clock._sampleCount < clock.windowSize ? clock.interval / 4 : clock.interval;
+        clock._timer = setTimeout(clock._sample, delay);
+        var now = Date.now();
+        Object.keys(clock._requests).forEach(function (sent) {
+            if (now - sent >= clock.interval) {
+                delete clock._requests[sent];
+                clock._recordOutcome(1);
+            }
+        });
+        clock._requests[now] = true;
+        SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("ck", SpixiAppSdk._instanceId + ":" + now));
+    },
+    // Samples only count once a peer answered, so an app that is alone in the session shows no loss
+    _recordOutcome: function (lost) {
+        var clock = SpixiAppSdk.clock;
+        if (Object.keys(clock._sources).length == 0) {
+            return;
+        }
+        clock._outcomes.push(lost);
+        if (clock._outcomes.length > clock.windowSize * 2) {
+            clock._outcomes.shift();
+        }
+        clock.loss = clock._outcomes.reduce(function (sum, value) { return sum + value; }, 0) / clock._outcomes.length;
+    },
+    // Instance id of the session clock, or null if it is this instance
+    _reference: function () {
+        var lowest = null;
+        Object.keys(SpixiAppSdk.clock._sources).forEach(function (instanceId) {
+            if (instanceId < SpixiAppSdk._instanceId && (lowest == null || instanceId < lowest)) {
+                lowest = instanceId;
+            }
+        });
+        return lowest;
+    },
+    _median: function (values) {
+        var sorted = values.slice().sort(function (a, b) { return a - b; });
+        var middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    },
+    _update: function () {
+        var clock = SpixiAppSdk.clock;
+        var reference = clock._reference();
+        var samples = [];
+        Object.keys(clock._sources).forEach(function (instanceId) {
+            if (reference == null || instanceId == reference) {
+                samples = samples.concat(clock._sources[instanceId].samples);
+            }
+        });
+        if (samples.length == 0) {
+            return;
+        }
+        var delays = samples.map(function (sample) { return sample.delay; });
+        clock.rtt = clock._median(delays);
+        var deviation = 0;
+        for (var i = 1; i < delays.length; i++) {
+            deviation += Math.abs(delays[i] - delays[i - 1]);
+        }
+        clock.jitter = delays.length > 1 ? deviation / (delays.length - 1) : 0;
+
+        var offset = 0;
+        if (reference != null) {
+            var best = samples.slice().sort(function (a, b) { return a.delay - b.delay; })
+                .slice(0, Math.max(1, Math.ceil(samples.length / 3)));
+            offset = Math.round(clock._median(best.map(function (sample) { return sample.offset; })));
+        }
+        var previous = clock.offset;
+        if (!clock.synced) {
+            clock.offset = offset;
+            clock.synced = true;
+            SpixiAppSdk._emit("clock-synced", clock.stats());
+        } else if (Math.abs(offset - previous) > clock.driftThreshold) {
+            clock.offset = offset;
+            SpixiAppSdk._emit("clock-drift", { offset: offset, previous: previous, delta: offset - previous });
+        }
+    },
+    _onRequest: function (senderAddress, payload) {
+        var received = Date.now();
+        var parts = payload.split(":");
+        SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("ckr",
+            parts[0] + ":" + parts[1] + ":" + SpixiAppSdk._instanceId + ":" + received + ":" + Date.now()));
+    },
+    _onReply: function (senderAddress, payload) {
+        var clock = SpixiAppSdk.clock;
+        var arrived = Date.now();
+        var parts = payload.split(":");
+        if (parts[0] != SpixiAppSdk._instanceId) {
+            // Answers another peer's request
+            return;
+        }
+        var sent = parseInt(parts[1], 10);
+        var received = parseInt(parts[3], 10);
+        var replied = parseInt(parts[4], 10);
+        var source = clock._sources[parts[2]];
+        if (!source) {
+            source = clock._sources[parts[2]] = { address: senderAddress, samples: [] };
+        }
+        if (clock._requests[sent]) {
+            delete clock._requests[sent];
+            clock._recordOutcome(0);
+        }
+        source.samples.push({
+            offset: ((received - sent) + (replied - arrived)) / 2,
+            delay: Math.max(0, (arrived - sent) - (replied - received))
+        });
+        if (source.samples.length > clock.windowSize) {
+            source.samples.shift();
+        }
+        clock._update();
+    }
+};
+
+SpixiAppSdk._on("init", SpixiAppSdk.clock._resume);
+SpixiAppSdk._on("resume", SpixiAppSdk.clock._resume);
+SpixiAppSdk._on("pause", SpixiAppSdk.clock._suspend);
+SpixiAppSdk._on("end", SpixiAppSdk.clock.stop);
+// A peer that left no longer provides the session clock
+SpixiAppSdk._on("peer-offline", function (address) {
+    var clock = SpixiAppSdk.clock;
+    Object.keys(clock._sources).forEach(function (instanceId) {
+        if (clock._sources[instanceId].address == address) {
+            delete clock._sources[instanceId];
+        }
+    });
+});
+
+SpixiAppSdk._onFrame("ck", SpixiAppSdk.clock._onRequest);
+SpixiAppSdk._onFrame("ckr", SpixiAppSdk.clock._onReply);
+
+// Replicated state
+//
+// SpixiAppSdk.createStore(name) returns a key-value store that every peer can modify and that converges to
+// the same content everywhere without coordination. Keys hold either a last-writer-wins register, ordered
+// by Lamport time with the instance id as tie-breaker, or a counter that keeps a total per instance so
+// concurrent increments add up. Local changes are broadcast as deltas. Peers also compare a digest of their
+// stores on init, when a peer comes online and every syncInterval, and exchange the full content when the
+// digests differ, which repairs lost deltas. Stores are persisted in the "spx-store" storage namespace.
+SpixiAppSdk._stores = {};
+
+// Options: initial values for unset keys, persist (default true), storageKey (default the name), scope of the
+// storage namespace (default "app"), syncInterval (default 5000)
+SpixiAppSdk.createStore = function (name, options) {
+    options = options || {};
+    if (SpixiAppSdk._stores[name]) {
+        throw new Error("Store '" + name + "' already exists");
+    }
+    var initial = options.initial || {};
+    var persist = options.persist !== false;
+    var storageKey = options.storageKey || name;
+    var saves = SpixiAppSdk.storage.namespace("spx-store", { scope: options.scope || "app" });
+    // key -> { t, i, v, d } for registers (deleted if d), { c: { instanceId: [increments, decrements] } } for counters
+    var entries = {};
+    var clock = 0;
+    var listeners = [];
+    var saveTimer = null;
+    var syncTimer = null;
+
+    var isNewer = function (a, b) {
+        return !b || a.t > b.t || (a.t == b.t && a.i > b.i);
+    };
+    var valueOf = function (entry, key) {
+        if (!entry || entry.d) {
+            return initial.hasOwnProperty(key) ? initial[key] : undefined;
+        }
+        if (entry.c) {
+            var total = 0;
+            Object.keys(entry.c).forEach(function (instanceId) {
+                total += entry.c[instanceId][0] - entry.c[instanceId][1];
+            });
+            return total;
+        }
+        return entry.v;
+    };
+    // Merges remote entries, returns { key: { value, previous } } for every key whose value changed
+    var merge = function (remote) {
+        var changes = {};
+        Object.keys(remote).forEach(function (key) {
+            var entry = remote[key];
+            var current = entries[key];
+            var previous = valueOf(current, key);
+            if (entry.c) {
+                var counter = current && current.c ? current : { c: {} };
+                Object.keys(entry.c).forEach(function (instanceId) {
+                    var mine = counter.c[instanceId] || [0, 0];
+                    counter.c[instanceId] = [Math.max(mine[0], entry.c[instanceId][0]), Math.max(mine[1], entry.c[instanceId][1])];
+                });
+                entries[key] = counter;
+            } else {
+                clock = Math.max(clock, entry.t);
+                if (current && current.c || !isNewer(entry, current)) {
+                    return;
+                }
+                entries[key] = entry;
+            }
+            var value = valueOf(entries[key], key);
+            if (JSON.stringify(value) !== JSON.stringify(previous)) {
+                changes[key] = { value: value, previous: previous };
+            }
+        });
+        return changes;
+    };
+    var canonical = function (value) {
+        if (value && typeof value == "object" && !Array.isArray(value)) {
+            return "{" + Object.keys(value).sort().map(function (key) {
+                return JSON.stringify(key) + ":" + canonical(value[key]);
+            }).join(",") + "}";
+        }
+        return Array.isArray(value) ? "[" + value.map(canonical).join(",") + "]" : JSON.stringify(value);
+    };
+    var digest = function () {
+        return SpixiAppSdk.transfer._crc32(canonical(entries));
+    };
+    var notify = function (changes, info) {
+        if (Object.keys(changes).length == 0) {
+            return;
+        }
+        if (persist) {
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(store.save, 100);
+        }
+        listeners.slice().forEach(function (listener) {
+            try {
+                listener(changes, info);
+            } catch (e) {
+                SpixiAppSdk._onListenerError("state-change", e);
+            }
+        });
+        SpixiAppSdk._emit("state-change", name, changes, info);
+    };
+    // Applies and broadcasts local changes
+    var commit = function (delta) {
+        var changes = merge(delta);
+        SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("st", JSON.stringify({ n: name, e: delta })));
+        notify(changes, { local: true, address: null });
+    };
+    var register = function (value, deleted) {
+        clock++;
+        var entry = { t: clock, i: SpixiAppSdk._instanceId, v: value };
+        if (deleted) {
+            entry.d = true;
+            delete entry.v;
+        }
+        return entry;
+    };
+
+    var store = {
+        name: name,
+        // Resolves once the persisted content has been loaded
+        ready: null,
+
+        get: function (key) {
+            var value = valueOf(entries[key], key);
+            // Copy, so changing the result doesn't change the store without replicating it
+            return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+        },
+        has: function (key) {
+            return entries[key] !== undefined && !entries[key].d || initial.hasOwnProperty(key);
+        },
+        set: function (key, value) {
+            var delta = {};
+            delta[key] = register(value);
+            commit(delta);
+        },
+        // Sets several keys at once, they are replicated together
+        update: function (values) {
+            var delta = {};
+            Object.keys(values).forEach(function (key) {
+                delta[key] = values[key] === undefined ? register(null, true) : register(values[key]);
+            });
+            commit(delta);
+        },
+        remove: function (key) {
+            var delta = {};
+            delta[key] = register(null, true);
+            commit(delta);
+        },
+        increment: function (key, amount) {
+            amount = amount === undefined ? 1 : amount;
+            var current = entries[key] && entries[key].c ? entries[key].c[SpixiAppSdk._instanceId] : null;
+            var total = current ? current.slice() : [0, 0];
+            total[amount < 0 ? 1 : 0] += Math.abs(amount);
+            var delta = {};
+            delta[key] = { c: {} };
+            delta[key].c[SpixiAppSdk._instanceId] = total;
+            commit(delta);
+        },
+        keys: function () {
+            var keys = Object.keys(initial);
+            Object.keys(entries).forEach(function (key) {
+                if (keys.indexOf(key) == -1) {
+                    keys.push(key);
+                }
+            });
+            return keys.filter(store.has);
+        },
+        // Plain object with the current value of every key
+        toObject: function () {
+            var result = {};
+            store.keys().forEach(function (key) {
+                result[key] = store.get(key);
+            });
+            return result;
+        },
+        // listener(changes, { local, address }) with changes as { key: { value, previous } }
+        onChange: function (listener) {
+            listeners.push(listener);
+            return function () {
+                var index = listeners.indexOf(listener);
+                if (index > -1) {
+                    listeners.splice(index, 1);
+                }
+            };
+        },
+        save: function () {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+            return saves.set(storageKey, entries);
+        },
+        // Asks peers to compare their content with this store
+        sync: function () {
+            SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("sth", JSON.stringify({ n: name, h: digest() })));
+        },
+        // Stops replicating, the persisted content is kept
+        destroy: function () {
+            clearInterval(syncTimer);
+            if (saveTimer != null) {
+                store.save();
+            }
+            removeListeners.forEach(function (remove) { remove(); });
+            delete SpixiAppSdk._stores[name];
+        },
+
+        _digest: digest,
+        _onDigest: function (senderAddress, remoteDigest) {
+            if (remoteDigest != digest()) {
+                SpixiAppSdk.transfer.sendNetworkData(SpixiAppSdk._encodeFrame("st",
+                    JSON.stringify({ n: name, e: entries, h: digest() })));
+            }
+        },
+        _onEntries: function (senderAddress, message) {
+            notify(merge(message.e), { local: false, address: senderAddress });
+            // Full content from a peer that is missing some of ours
+            if (message.h !== undefined && message.h != digest()) {
+                store._onDigest(senderAddress, message.h);
+            }
+        }
+    };
+
+    store.ready = !persist ? Promise.resolve(store) : saves.get(storageKey).then(function (value) {
+        if (value != null) {
+            notify(merge(value), { local: true, address: null });
+        }
+    }).catch(function (e) {
+        SpixiAppSdk.errors.report(e, { source: "store", context: { store: name } });
+    }).then(function () {
+        return store;
+    });
+    var removeListeners = [
+        SpixiAppSdk._on("init", store.sync),
+        SpixiAppSdk._on("peer-online", store.sync)
+    ];
+    if (options.syncInterval !== 0) {
+        syncTimer = setInterval(store.sync, options.syncInterval || 5000);
+    }
+    SpixiAppSdk._stores[name] = store;
+    store.ready.then(store.sync);
+    return store;
+};
+
+SpixiAppSdk._onFrame("st", function (senderAddress, payload) {
+    var message = JSON.parse(payload);
+    var store = SpixiAppSdk._stores[message.n];
+    if (store) {
+        store._onEntries(senderAddress, message);
+    }
+});
+SpixiAppSdk._onFrame("sth", function (senderAddress, payload) {
+    var message = JSON.parse(payload);
+    var store = SpixiAppSdk._stores[message.n];
+    if (store) {
+        store._onDigest(senderAddress, message.h);
+    }
+});
+
+// Turn-based games
+//
+// SpixiAppSdk.createTurnGame() runs the bookkeeping of a turn-based game. The app describes the rules with
+// setup, applyMove and result functions, the engine assigns seats, only accepts moves from the player whose
+// turn it is and that applyMove accepts, exchanges moves with the other players, saves the game and offers
+// rematches. Every participant keeps the full move history. Histories are compared by game number and
+// length, the longer one wins and is replayed through applyMove, which is how missed moves, reopened apps
+// and saved games are brought back in sync.
+SpixiAppSdk._turnGames = {};
+
+// Options:
+//   name - identifies the game in messages and storage
+//   version - passed to the handshake, players need the same version (default: the manifest's version)
+//   players - number of seats (default 2), further participants don't get a seat. With spectators.enable()
+//             the players are the spectator module's players instead of the first peers
+//   setup(players, firstPlayer) - returns the state of a new game
+//   applyMove(state, move, player) - returns the next state, or null/undefined if the move is illegal
+//   result(state) - returns null while the game runs, or the result, e.g. { winner: player } or { draw: true }
+//   turn(state, moveCount, firstPlayer) - optional, returns the player to move (default: players take turns)
+//   syncInterval - how often to compare histories with the other players (default 3000)
+//   outbox - send moves through SpixiAppSdk.outbox, so they reach players that are offline or closed the app
+SpixiAppSdk.createTurnGame = function (options) {
+    var name = options.name || "game";
+    if (SpixiAppSdk._turnGames[name]) {
+        throw new Error("Turn game '" + name + "' already exists");
+    }
+    var seatCount = options.players || 2;
+    var listeners = {};
+    var syncTimer = null;
+    var removeListeners = [];
+    // Games are saved per set of participants
+    var saves = SpixiAppSdk.storage.namespace("spx-game", { scope: "peer" });
+
+    var clone = function (value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    };
+    var emit = function (event) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        (listeners[event] || []).slice().forEach(function (listener) {
+            try {
+                listener.apply(null, args);
+            } catch (e) {
+                SpixiAppSdk._onListenerError("game-" + event, e);
+            }
+        });
+        SpixiAppSdk._emit.apply(null, ["game-" + event, name].concat(args));
+    };
+    var send = function (message, durable) {
+        message.n = name;
+        var frame = SpixiAppSdk._encodeFrame("tg", JSON.stringify(message));
+        return durable && options.outbox ? SpixiAppSdk.outbox.send(frame) : SpixiAppSdk.sendNetworkData(frame);
+    };
+    var turnOf = function (state, moveCount, firstPlayer) {
+        if (options.turn) {
+            return options.turn(state, moveCount, firstPlayer);
+        }
+        return (firstPlayer + moveCount) % seatCount;
+    };
+    // Compares game number and history length, returns < 0 if a is behind b
+    var compare = function (gameA, lengthA, gameB, lengthB) {
+        return gameA != gameB ? gameA - gameB : lengthA - lengthB;
+    };
+    // Replays a history from the start, returns null if one of the moves is illegal or allowed(index, player)
+    // returns false for it
+    var replay = function (history, firstPlayer, allowed) {
+        var state = options.setup(seatCount, firstPlayer);
+        for (var i = 0; i < history.length; i++) {
+            var player = turnOf(state, i, firstPlayer);
+            if (options.result(state) != null || (allowed && !allowed(i, player))) {
+                return null;
+            }
+            state = options.applyMove(clone(state), clone(history[i]), player);
+            if (state == null) {
+                return null;
+            }
+        }
+        return state;
+    };
+    var seatOf = function (address) {
+        return game._seats.indexOf(address);
+    };
+    // With spectators enabled, resolves with the ranking entries of the players once every seat is claimed
+    var seated = function () {
+        var players = SpixiAppSdk.spectators._ranking().slice(0, seatCount);
+        if (players.length == seatCount) {
+            return Promise.resolve(players);
+        }
+        return new Promise(function (resolve) {
+            var remove = SpixiAppSdk._on("players-change", function () {
+                remove();
+                resolve(seated());
+            });
+            removeListeners.push(remove);
+        });
+    };
+    var update = function () {
+        game.turn = game.state == null ? null : turnOf(game.state, game.history.length, game.firstPlayer);
+        game.result = game.state == null ? null : options.result(game.state);
+        game.isMyTurn = game.player != null && game.result == null && game.turn == game.player;
+    };
+    var save = function () {
+        saves.set(name, { g: game.gameNumber, h: game.history, f: game.firstPlayer, s: game._seats });
+    };
+    // Adopts a game from a message or storage, senderAddress is null for saved games. A peer can't rewrite
+    // the moves this participant knows about or make moves for it: the current game is only extended, and
+    // the history of a game this participant hasn't seen may not contain moves for its seat
+    var adopt = function (senderAddress, message) {
+        var seats = message.s.map(function (address) { return address == null ? senderAddress : address; });
+        var player = -1;
+        var peers = SpixiAppSdk.lifecycle.userAddresses;
+        for (var i = 0; i < seats.length; i++) {
+            if (seats[i] == null || (senderAddress != null && peers.indexOf(seats[i]) == -1)) {
+                player = i;
+            }
+        }
+        var checked = senderAddress != null && game.state != null;
+        var known = 0;
+        if (checked && message.g == game.gameNumber) {
+            var prefix = message.h.slice(0, game.history.length);
+            if (message.f != game.firstPlayer || JSON.stringify(prefix) != JSON.stringify(game.history)) {
+                return false;
+            }
+            seats = game._seats.slice();
+            player = game.player != null ? game.player : -1;
+            known = game.history.length;
+        }
+        var state = replay(message.h, message.f, function (index, turn) {
+            return !checked || index < known || turn != player;
+        });
+        if (state == null) {
+            return false;
+        }
+        var isNewGame = message.g != game.gameNumber;
+        if (player > -1) {
+            seats[player] = null;
+        }
+        game._seats = seats;
+        game.player = player > -1 ? player : null;
+        game.gameNumber = message.g;
+        game.firstPlayer = message.f;
+        game.history = clone(message.h);
+        game.state = state;
+        game._rematch = {};
+        update();
+        save();
+        if (isNewGame) {
+            emit("start", { gameNumber: game.gameNumber, player: game.player, firstPlayer: game.firstPlayer });
+        }
+        emit("sync", game.getState(), { restored: senderAddress == null });
+        if (game.result != null) {
+            emit("end", game.result);
+        }
+        return true;
+    };
+    var newGame = function (gameNumber, firstPlayer, seats) {
+        game.gameNumber = gameNumber;
+        game.firstPlayer = firstPlayer;
+        game._seats = seats;
+        game.player = seats.indexOf(null);
+        game.history = [];
+        game.state = options.setup(seatCount, firstPlayer);
+        game._rematch = {};
+        update();
+        save();
+        emit("start", { gameNumber: gameNumber, player: game.player, firstPlayer: firstPlayer });
+    };
+    var apply = function (move, player, local) {
+        var next = options.applyMove(clone(game.state), clone(move), player);
+        if (next == null) {
+            return false;
+        }
+        game.history.push(clone(move));
+        game.state = next;
+        update();
+        save();
+        emit("move", clone(move), player, game.getState(), { local: local });
+        if (game.result != null) {
+            emit("end", game.result);
+        }
+        return true;
+    };
+
+    var game = {
+        name: name,
+        // This participant's seat, null until seats are assigned or for participants without a seat
+        player: null,
+        // Seat of the player to move
+        turn: null,
+        isMyTurn: false,
+        // Result of the finished game, null while it runs
+        result: null,
+        // Current state, don't modify it
+        state: null,
+        history: [],
+        gameNumber: 0,
+        firstPlayer: 0,
+        // seat -> address, null for this participant
+        _seats: [],
+        _rematch: {},
+
+        // Restores the saved game or has seats assigned once the handshake completes, resolves with the game
+        start: function () {
+            return saves.get(name).catch(function () { return null; }).then(function (saved) {
+                if (saved != null && game.gameNumber == 0) {
+                    adopt(null, saved);
+                }
+                removeListeners.push(SpixiAppSdk._on("peer-online", game.sync));
+                syncTimer = setInterval(game.sync, options.syncInterval || 3000);
+                game.sync();
+                if (!SpixiAppSdk.spectators.enabled) {
+                    return SpixiAppSdk.handshake.start({ version: options.version }).then(function (handshake) {
+                        return { opens: handshake.isHost, seats: [null].concat(handshake.peers.slice().sort()) };
+                    });
+                }
+                // With spectators enabled only players get seats and the first player opens the game. The
+                // handshake only waits for the players, so members that never open the app don't hold it up
+                return SpixiAppSdk.spectators.enable().then(seated).then(function (players) {
+                    var others = players.filter(function (entry) { return !entry.local; });
+                    return SpixiAppSdk.handshake.start({
+                        version: options.version,
+                        peers: others.map(function (entry) { return entry.address; })
+                    }).then(function () {
+                        return {
+                            opens: players[0].local,
+                            seats: players.map(function (entry) { return entry.local ? null : entry.address; })
+                        };
+                    });
+                });
+            }).then(function (opening) {
+                if (opening.opens && game.gameNumber == 0) {
+                    newGame(1, 0, opening.seats.slice(0, seatCount));
+                    send({ k: "state", g: game.gameNumber, h: [], f: game.firstPlayer, s: game._seats });
+                }
+                return game;
+            });
+        },
+        // Resolves once the move was applied and sent, or received by every player with the outbox option.
+        // Rejects if it isn't this player's turn or is illegal
+        move: function (move) {
+            if (game.player == null || game.state == null) {
+                return Promise.reject(new Error("The game has not started"));
+            }
+            if (game.result != null) {
+                return Promise.reject(new Error("The game has ended"));
+            }
+            if (!game.isMyTurn) {
+                return Promise.reject(new Error("It is not your turn"));
+            }
+            var index = game.history.length;
+            if (!apply(move, game.player, true)) {
+                return Promise.reject(new Error("Illegal move"));
+            }
+            return send({ k: "move", g: game.gameNumber, i: index, m: move }, true);
+        },
+        // Asks for a new game, it starts once every player asked for it
+        rematch: function () {
+            if (game.player == null) {
+                return;
+            }
+            game._rematch[game.player] = true;
+            send({ k: "rematch", g: game.gameNumber });
+            game._checkRematch();
+        },
+        getState: function () {
+            return clone(game.state);
+        },
+        // Events: start, move, end, sync, rejected and rematch, returns a function that removes the listener
+        on: function (event, listener) {
+            if (!listeners[event]) {
+                listeners[event] = [];
+            }
+            listeners[event].push(listener);
+            return function () {
+                var index = listeners[event].indexOf(listener);
+                if (index > -1) {
+                    listeners[event].splice(index, 1);
+                }
+            };
+        },
+        // Compares histories with the other players
+        sync: function () {
+            send({ k: "sync", g: game.gameNumber, c: game.history.length });
+        },
+        destroy: function () {
+            clearInterval(syncTimer);
+            removeListeners.forEach(function (remove) { remove(); });
+            delete SpixiAppSdk._turnGames[name];
+        },
+
+        _checkRematch: function () {
+            for (var seat = 0; seat < game._seats.length; seat++) {
+                if (!game._rematch[seat]) {
+                    return;
+                }
+            }
+            // The next game is opened by the next player
+            newGame(game.gameNumber + 1, (game.firstPlayer + 1) % seatCount, game._seats);
+        },
+        // Messages carry seats as addresses with null for the sender
+        _onMessage: function (senderAddress, message) {
+            switch (message.k) {
+                case "sync":
+                    var order = compare(game.gameNumber, game.history.length, message.g, message.c);
+                    if (order > 0) {
+                        send({ k: "state", g: game.gameNumber, h: game.history, f: game.firstPlayer, s: game._seats });
+                    } else if (order < 0) {
+                        game.sync();
+                    }
+                    break;
+                case "state":
+                    if (SpixiAppSdk.spectators.isSpectator(senderAddress)) {
+                        return;
+                    }
+                    if (compare(game.gameNumber, game.history.length, message.g, message.h.length) < 0
+                        && !adopt(senderAddress, message)) {
+                        emit("rejected", null, seatOf(senderAddress), "history");
+                    }
+                    break;
+                case "move":
+                    var player = seatOf(senderAddress);
+                    if (message.g != game.gameNumber || message.i != game.history.length) {
+                        // Duplicate, or moves were missed
+                        if (compare(game.gameNumber, game.history.length, message.g, message.i) < 0) {
+                            game.sync();
+                        }
+                        return;
+                    }
+                    if (player < 0 || game.result != null || player != game.turn || !apply(message.m, player, false)) {
+                        emit("rejected", clone(message.m), player, player != game.turn ? "turn" : "illegal");
+                        // Show the sender the accepted history
+                        send({ k: "state", g: game.gameNumber, h: game.history, f: game.firstPlayer, s: game._seats });
+                    }
+                    break;
+                case "rematch":
+                    var seat = seatOf(senderAddress);
+                    if (message.g != game.gameNumber || seat < 0 || game._rematch[seat]) {
+                        return;
+                    }
+                    game._rematch[seat] = true;
+                    emit("rematch", seat);
+                    game._checkRematch();
+                    break;
+            }
+        }
+    };
+
+    SpixiAppSdk._turnGames[name] = game;
+    return game;
+};
+
+SpixiAppSdk._onFrame("tg", function (senderAddress, payload) {
+    var message = JSON.parse(payload);
+    var game = SpixiAppSdk._turnGames[message.n];
+    if (game) {
+        game._onMessage(senderAddress, message);
+    }
+});
+
+// Payments
+//
+// payments.request() asks Spixi to open the wallet with a prefilled payment. The host answers with
+// onRequestAccept or onRequestReject carrying the requestId, which settles the returned Promise. Every
+// request keeps a status record (pending, paid, declined or failed) that is emitted as payment-status
+// whenever it changes.
+SpixiAppSdk.payments = {
+    // Requests still pending after this long fail, 0 waits forever
+    timeout: 600000,
+    // requestId -> { requestId, to, amount, memo, status, created, updated, data }
+    _records: {},
+    _pending: {},
+    _nextId: 1,
+
+    // Resolves with the record once paid, rejects with an Error carrying the record when declined or failed
+    request: function (options) {
+        var payments = SpixiAppSdk.payments;
+        options = options || {};
+        var amount = payments._normalizeAmount(options.amount);
+        if (amount == null) {
+            return Promise.reject(new Error("Invalid payment amount '" + options.amount + "'"));
+        }
+        if (typeof options.to != "string" || options.to.trim() == "") {
+            return Promise.reject(new Error("Invalid payment recipient"));
+        }
+
+        var requestId = String(Date.now()) + SpixiAppSdk._instanceId + payments._nextId++;
+        var now = Date.now();
+        var record = {
+            requestId: requestId,
+            to: options.to.trim(),
+            amount: amount,
+            memo: options.memo != null ? String(options.memo) : null,
+            status: "pending",
+            created: now,
+            updated: now,
+            data: null
+        };
+        payments._records[requestId] = record;
+        var action = { command: "sendPayment", to: record.to, amount: amount, requestId: requestId };
+        if (record.memo != null) {
+            action.memo = record.memo;
+        }
+
+        return new Promise(function (resolve, reject) {
+            var pending = { resolve: resolve, reject: reject, timer: null };
+            if (payments.timeout > 0) {
+                pending.timer = setTimeout(function () {
+                    payments._settle(requestId, "failed", "Payment request timed out");
+                }, payments.timeout);
+            }
+            payments._pending[requestId] = pending;
+            SpixiAppSdk._emit("payment-status", payments.get(requestId));
+            SpixiAppSdk.spixiAction(JSON.stringify(action));
+        });
+    },
+    // Returns a copy of the record, or null for unknown request ids
+    get: function (requestId) {
+        var record = SpixiAppSdk.payments._records[requestId];
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    },
+    list: function () {
+        return Object.keys(SpixiAppSdk.payments._records).map(SpixiAppSdk.payments.get);
+    },
+
+    // Returns the amount as a decimal string, or null unless it is a positive number with at most 8 decimals
+    _normalizeAmount: function (amount) {
+        var text = typeof amount == "number"
+            ? amount.toFixed(8).replace(/\.?0+$/, "")
+            : String(amount == null ? "" : amount).trim();
+        if (!/^\d+(\.\d{1,8})?$/.test(text) || !(Number(text) > 0)) {
+            return null;
+        }
+        return text.replace(/^0+(?=\d)/, "");
+    },
+    // The host passes the request id either directly or as part of a JSON object
+    _parse: function (data) {
+        var parsed = null;
+        try {
+            parsed = JSON.parse(data);
+        } catch (e) {
+        }
+        if (parsed && typeof parsed == "object" && parsed.requestId != null) {
+            return { requestId: String(parsed.requestId), data: parsed };
+        }
+        return { requestId: String(data == null ? "" : data).trim(), data: parsed != null ? parsed : data };
+    },
+    _settle: function (requestId, status, reason, data) {
+        var payments = SpixiAppSdk.payments;
+        var record = payments._records[requestId];
+        var pending = payments._pending[requestId];
+        if (!record || !pending) {
+            return;
+        }
+        delete payments._pending[requestId];
+        clearTimeout(pending.timer);
+        record.status = status;
+        record.updated = Date.now();
+        record.data = data === undefined ? null : data;
+        var result = payments.get(requestId);
+        SpixiAppSdk._emit("payment-status", result);
+        if (status == "paid") {
+            pending.resolve(result);
+        } else {
+            var error = new Error(reason);
+            error.payment = result;
+            pending.reject(error);
+        }
+    }
+};
+
+// The answers still reach the request-accept and request-reject listeners
+SpixiAppSdk._intercept("request-accept", function (data) {
+    var answer = SpixiAppSdk.payments._parse(data);
+    SpixiAppSdk.payments._settle(answer.requestId, "paid", null, answer.data);
+    return false;
+});
+SpixiAppSdk._intercept("request-reject", function (data) {
+    var answer = SpixiAppSdk.payments._parse(data);
+    SpixiAppSdk.payments._settle(answer.requestId, "declined", "Payment request was declined", answer.data);
+    return false;
+});
+
+// App protocols
+//
+// SpixiAppSdk.protocol(id) returns a handle for one of the app protocols declared in appinfo.spixi, so apps
+// don't have to filter onNetworkProtocolData by protocol id themselves. Messages are JSON encoded and can be
+// validated against a JSON schema (see SpixiTools.validateSchema), invalid incoming messages are dropped.
+// The onNetworkProtocolData handler and network-protocol-data listeners still receive every message.
+
+// Protocol ids declared in appinfo.spixi, null while they are unknown
+SpixiAppSdk.declaredProtocols = null;
+SpixiAppSdk._protocols = {};
+SpixiAppSdk._undeclaredWarnings = {};
+
+// Options: schema for the messages in both directions, onInvalid(errors, data, senderAddress) for
+// incoming messages that don't match it, timeout and retries for RPC calls
+SpixiAppSdk.protocol = function (id, options) {
+    var handle = SpixiAppSdk._protocols[id];
+    if (handle) {
+        if (options) {
+            handle.configure(options);
+        }
+        return handle;
+    }
+    SpixiAppSdk._checkProtocol(id);
+
+    var listeners = [];
+    handle = {
+        id: id,
+        schema: null,
+        onInvalid: null,
+
+        configure: function (options) {
+            if (options.schema !== undefined) {
+                handle.schema = options.schema;
+            }
+            if (options.onInvalid !== undefined) {
+                handle.onInvalid = options.onInvalid;
+            }
+            if (options.timeout !== undefined) {
+                handle.timeout = options.timeout;
+            }
+            if (options.retries !== undefined) {
+                handle.retries = options.retries;
+            }
+        },
+        // Throws if the message doesn't match the schema
+        send: function (message) {
+            var errors = handle.validate(message);
+            if (errors.length > 0) {
+                throw new Error("Invalid message for protocol '" + id + "': " + errors.join(", "));
+            }
+            return SpixiAppSdk.sendNetworkProtocolData(id, JSON.stringify(message));
+        },
+        // listener(message, senderAddress), returns a function that removes the listener
+        on: function (listener) {
+            listeners.push(listener);
+            return function () {
+                var index = listeners.indexOf(listener);
+                if (index > -1) {
+                    listeners.splice(index, 1);
+                }
+            };
+        },
+        validate: function (message) {
+            return handle.schema ? SpixiTools.validateSchema(message, handle.schema, "message") : [];
+        },
+        // Removes the handle and its listeners, pending calls are cancelled
+        close: function () {
+            handle._closeRpc();
+            listeners = [];
+            delete SpixiAppSdk._protocols[id];
+        },
+
+        _receive: function (senderAddress, data) {
+            var message;
+            try {
+                message = JSON.parse(data);
+            } catch (e) {
+                message = data;
+            }
+            if (handle._receiveRpc(senderAddress, message)) {
+                return;
+            }
+            var errors = handle.validate(message);
+            if (errors.length > 0) {
+                if (handle.onInvalid) {
+                    handle.onInvalid(errors, data, senderAddress);
+                } else {
+                    SpixiAppSdk.log._write("warn", "protocol", ["Dropped invalid message for protocol '" + id + "' from " +
+                        senderAddress + ": " + errors.join(", ")]);
+                }
+                return;
+            }
+            listeners.slice().forEach(function (listener) {
+                try {
+                    listener(message, senderAddress);
+                } catch (e) {
+                    SpixiAppSdk._onListenerError("network-protocol-data", e);
+                }
+            });
+        }
+    };
+    SpixiAppSdk._addRpc(handle);
+    handle.configure(options || {});
+    SpixiAppSdk._protocols[id] = handle;
+    return handle;
+};
+
+// Sets the protocol ids declared in appinfo.spixi, as an array or comma separated. Handles that are already
+// open are checked against them as well
+SpixiAppSdk.declareProtocols = function (ids) {
+    if (!Array.isArray(ids)) {
+        ids = String(ids).split(",");
+    }
+    SpixiAppSdk.declaredProtocols = ids.map(function (id) {
+        return String(id).trim();
+    }).filter(function (id) {
+        return id != "";
+    });
+    Object.keys(SpixiAppSdk._protocols).forEach(SpixiAppSdk._checkProtocol);
+};
+
+// Warns once per protocol id that isn't declared in appinfo.spixi, the host drops messages of such protocols
+SpixiAppSdk._checkProtocol = function (id) {
+    var declared = SpixiAppSdk.declaredProtocols;
+    if (declared == null || declared.indexOf(id) > -1 || SpixiAppSdk._undeclaredWarnings[id]) {
+        return;
+    }
+    SpixiAppSdk._undeclaredWarnings[id] = true;
+    SpixiAppSdk.log._write("warn", "protocol", ["Protocol '" + id + "' is not declared in appinfo.spixi (protocols = " +
+        declared.join(", ") + ")"]);
+};
+
+SpixiAppSdk._intercept("network-protocol-data", function (senderAddress, protocolId, data) {
+    var handle = SpixiAppSdk._protocols[protocolId];
+    if (handle) {
+        handle._receive(senderAddress, data);
+    }
+    return false;
+});
+
+// Remote procedure calls
+//
+// Protocol handles can call methods on the other side and serve calls themselves. Every call carries a
+// correlation id, so the caller knows which response belongs to which call instead of guessing from later
+// status messages. A call that gets no response within timeout ms is sent again with the same id up to retries
+// times; the callee answers repeated ids from its recent responses instead of running the handler again, so
+// retrying a call such as toggling a gate is safe. Handlers can stream partial results before the final one,
+// each of them restarts the caller's timeout. RPC messages are JSON objects with an rpc field (call, stream,
+// result, error or cancel), they bypass the schema and don't reach the handle's on() listeners.
+
+// How long a callee keeps its responses to answer retried calls
+SpixiAppSdk._rpcReplayWindow = 60000;
+
+SpixiAppSdk._addRpc = function (handle) {
+    var pending = {};
+    var handlers = {};
+    var served = {};
+    var nextId = 1;
+
+    handle.timeout = 10000;
+    handle.retries = 0;
+
+    // Resolves with the result of the first response, rejects with an Error whose code is timeout, cancelled or
+    // the code sent by the callee. Options: timeout and retries override the handle's, onStream(data,
+    // senderAddress) receives partial results. The returned Promise has a cancel() function.
+    handle.call = function (method, params, options) {
+        options = options || {};
+        var callId = SpixiAppSdk._instanceId + "." + nextId++;
+        var envelope = JSON.stringify({ rpc: "call", id: callId, method: method, params: params === undefined ? null : params });
+        var timeout = options.timeout !== undefined ? options.timeout : handle.timeout;
+        var retries = options.retries !== undefined ? options.retries : handle.retries;
+        var call = null;
+
+        var promise = new Promise(function (resolve, reject) {
+            call = { method: method, resolve: resolve, reject: reject, onStream: options.onStream, timer: null, attempts: 0 };
+            pending[callId] = call;
+        });
+        call.send = function () {
+            call.attempts++;
+            call.restart();
+            SpixiAppSdk.transfer.sendNetworkProtocolData(handle.id, envelope);
+        };
+        call.restart = function () {
+            clearTimeout(call.timer);
+            if (timeout > 0) {
+                call.timer = setTimeout(function () {
+                    if (call.attempts <= retries) {
+                        call.send();
+                    } else {
+                        settle(callId, "timeout", "RPC call '" + method + "' timed out");
+                    }
+                }, timeout);
+            }
+        };
+        promise.cancel = function () {
+            if (pending[callId]) {
+                SpixiAppSdk.sendNetworkProtocolData(handle.id, JSON.stringify({ rpc: "cancel", id: callId }));
+                settle(callId, "cancelled", "RPC call '" + method + "' was cancelled");
+            }
+        };
+        call.send();
+        return promise;
+    };
+
+    // handler(params, context) returns the result or a Promise of it, a thrown error or rejection is sent back
+    // with its message and code. context has senderAddress, id, stream(data) to send a partial result, and
+    // cancelled, which becomes true when the caller cancels. Returns a function that removes the handler.
+    handle.handle = function (method, handler) {
+        handlers[method] = handler;
+        return function () {
+            if (handlers[method] === handler) {
+                delete handlers[method];
+            }
+        };
+    };
+
+    function settle(callId, code, message, result) {
+        var call = pending[callId];
+        if (!call) {
+            return;
+        }
+        delete pending[callId];
+        clearTimeout(call.timer);
+        if (code == null) {
+            call.resolve(result);
+            return;
+        }
+        var error = new Error(message);
+        error.code = code;
+        call.reject(error);
+    }
+
+    function respond(entry, response) {
+        response.id = entry.id;
+        entry.response = JSON.stringify(response);
+        entry.expires = Date.now() + SpixiAppSdk._rpcReplayWindow;
+        if (!entry.context.cancelled) {
+            SpixiAppSdk.transfer.sendNetworkProtocolData(handle.id, entry.response);
+        }
+    }
+
+    function serve(senderAddress, message) {
+        var now = Date.now();
+        Object.keys(served).forEach(function (key) {
+            if (served[key].expires < now) {
+                delete served[key];
+            }
+        });
+
+        var key = senderAddress + ":" + message.id;
+        var entry = served[key];
+        if (entry) {
+            // A retry, answered once the handler is done
+            if (entry.response && !entry.context.cancelled) {
+                SpixiAppSdk.transfer.sendNetworkProtocolData(handle.id, entry.response);
+            }
+            return;
+        }
+        var handler = handlers[message.method];
+        if (!handler) {
+            // Apps that only make calls on this protocol leave the answer to the peers that serve it
+            if (Object.keys(handlers).length > 0) {
+                SpixiAppSdk.transfer.sendNetworkProtocolData(handle.id, JSON.stringify({
+                    rpc: "error", id: message.id, error: { message: "Unknown method '" + message.method + "'", code: "not-found" }
+                }));
+            }
+            return;
+        }
+
+        entry = { id: message.id, response: null, expires: Infinity };
+        entry.context = {
+            senderAddress: senderAddress,
+            id: message.id,
+            cancelled: false,
+            stream: function (data) {
+                if (entry.context.cancelled || entry.response) {
+                    return false;
+                }
+                SpixiAppSdk.transfer.sendNetworkProtocolData(handle.id, JSON.stringify({ rpc: "stream", id: message.id, data: data }));
+                return true;
+            }
+        };
+        served[key] = entry;
+        new Promise(function (resolve) {
+            resolve(handler(message.params, entry.context));
+        }).then(function (result) {
+            respond(entry, { rpc: "result", result: result === undefined ? null : result });
+        }, function (error) {
+            respond(entry, {
+                rpc: "error",
+                error: { message: error && error.message ? error.message : String(error), code: error && error.code ? error.code : "error" }
+            });
+        });
+    }
+
+    // Returns true for RPC messages
+    handle._receiveRpc = function (senderAddress, message) {
+        if (!message || typeof message != "object" || typeof message.rpc != "string" || message.id == null) {
+            return false;
+        }
+        var call = pending[message.id];
+        switch (message.rpc) {
+            case "call":
+                serve(senderAddress, message);
+                break;
+            case "cancel":
+                var entry = served[senderAddress + ":" + message.id];
+                if (entry) {
+                    entry.context.cancelled = true;
+                }
+                break;
+            case "stream":
+                if (call) {
+                    call.restart();
+                    if (call.onStream) {
+                        try {
+                            call.onStream(message.data, senderAddress);
+                        } catch (e) {
+                            SpixiAppSdk._onListenerError("network-protocol-data", e);
+                        }
+                    }
+                }
+                break;
+            case "result":
+                settle(message.id, null, null, message.result);
+                break;
+            case "error":
+                var error = message.error || {};
+                settle(message.id, error.code || "error", error.message || "RPC call '" + (call ? call.method : message.id) + "' failed");
+                break;
+        }
+        return true;
+    };
+
+    handle._closeRpc = function () {
+        Object.keys(pending).forEach(function (callId) {
+            settle(callId, "cancelled", "Protocol '" + handle.id + "' was closed");
+        });
+        handlers = {};
+        served = {};
+    };
+};
+
+// Errors
+//
+// Exceptions thrown by app callbacks and listeners, uncaught errors and unhandled Promise rejections are
+// reported to SpixiAppSdk.errors instead of interrupting the user with a modal alert. Each report becomes an
+// error record that is logged, emitted as the error event, sent to the host when reportToHost is enabled and,
+// during development, shown in an overlay on top of the app.
+SpixiAppSdk.errors = {
+    // Sends error records to the host with the reportError action, without the callback arguments
+    reportToHost: false,
+    // Shows errors in an overlay, null enables it when the app is served by the local dev server
+    overlay: null,
+    maxOverlayEntries: 5,
+    _reporting: false,
+    _overlayElement: null,
+    _globalTarget: null,
+
+    configure: function (options) {
+        var errors = SpixiAppSdk.errors;
+        ["reportToHost", "overlay", "maxOverlayEntries"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                errors[name] = options[name];
+            }
+        });
+    },
+    // info: source (app, listener, ui-command, window or unhandled-rejection) and context, returns the record
+    report: function (error, info) {
+        var errors = SpixiAppSdk.errors;
+        info = info || {};
+        var record = {
+            message: error && error.message ? String(error.message) : String(error),
+            name: error && error.name ? String(error.name) : "Error",
+            stack: error && error.stack ? String(error.stack) : null,
+            source: info.source || "app",
+            context: info.context || {},
+            time: Date.now(),
+            error: error
+        };
+        SpixiAppSdk.log._write("error", record.source, [error, record.context]);
+        // An error listener that throws would report its own error again
+        if (errors._reporting) {
+            return record;
+        }
+        errors._reporting = true;
+        try {
+            SpixiAppSdk._emit("error", record);
+            if (errors.reportToHost) {
+                errors._sendToHost(record);
+            }
+            if (errors.overlay === true || (errors.overlay == null && SpixiAppSdk._isDevServer())) {
+                errors._showOverlay(record);
+            }
+        } finally {
+            errors._reporting = false;
+        }
+        return record;
+    },
+    // Reports uncaught errors and unhandled rejections of the window, done automatically when the SDK loads
+    installGlobalHandlers: function (target) {
+        var errors = SpixiAppSdk.errors;
+        if (!target || errors._globalTarget === target) {
+            return;
+        }
+        errors._globalTarget = target;
+        target.addEventListener("error", function (event) {
+            errors.report(event.error || event.message, {
+                source: "window",
+                context: { filename: event.filename, line: event.lineno, column: event.colno }
+            });
+        });
+        target.addEventListener("unhandledrejection", function (event) {
+            errors.report(event.reason, { source: "unhandled-rejection" });
+        });
+    },
+
+    _sendToHost: function (record) {
+        var context = {};
+        Object.keys(record.context).forEach(function (name) {
+            if (name != "args") {
+                context[name] = record.context[name];
+            }
+        });
+        SpixiAppSdk.spixiAction(JSON.stringify({
+            command: "reportError",
+            error: { message: record.message, name: record.name, stack: record.stack, source: record.source, context: context, time: record.time }
+        }));
+    },
+    _showOverlay: function (record) {
+        var errors = SpixiAppSdk.errors;
+        if (typeof document == "undefined" || !document.body) {
+            return;
+        }
+        var overlay = errors._overlayElement;
+        if (!overlay || !overlay.parentNode) {
+            overlay = document.createElement("div");
+            overlay.id = "spixi-error-overlay";
+            overlay.title = "Tap to dismiss";
+            overlay.style.cssText = "position:fixed;left:0;right:0;bottom:0;z-index:2147483647;max-height:40%;"
+                + "overflow:auto;background:rgba(160,20,20,0.92);color:#fff;font:12px monospace;padding:4px 8px;";
+            overlay.addEventListener("click", function () {
+                overlay.parentNode.removeChild(overlay);
+            });
+            document.body.appendChild(overlay);
+            errors._overlayElement = overlay;
+        }
+        var entry = document.createElement("pre");
+        entry.style.cssText = "margin:4px 0;white-space:pre-wrap;";
+        entry.textContent = "[" + record.source + "] " + record.message + (record.stack ? "\n" + record.stack : "");
+        overlay.appendChild(entry);
+        while (overlay.childNodes.length > errors.maxOverlayEntries) {
+            overlay.removeChild(overlay.childNodes[0]);
+        }
+    }
+};
+
+// True when the app is served by the local dev server (server.js) instead of the host
+SpixiAppSdk._isDevServer = function () {
+    var hostname = typeof location != "undefined" ? location.hostname : null;
+    return hostname == "localhost" || hostname == "127.0.0.1";
+};
+
+// Assigning SpixiAppSdk.onError keeps the handler as one of the error listeners, like the host callbacks
+(function () {
+    var appHandler = null;
+    SpixiAppSdk._on("error", function (record) {
+        if (typeof appHandler == "function") {
+            appHandler(record);
+        }
+    });
+    Object.defineProperty(SpixiAppSdk, "onError", {
+        enumerable: true,
+        get: function () { return appHandler; },
+        set: function (handler) { appHandler = handler; }
+    });
+})();
+
+if (typeof window != "undefined" && window.addEventListener) {
+    SpixiAppSdk.errors.installGlobalHandlers(window);
+}
+
+// Logging
+//
+// console output of a mini app is invisible on a device, so SpixiAppSdk.log keeps the latest entries in a
+// buffer and forwards them in batches: to the host with the log action when forwardToHost is enabled, and to
+// the /api/logs endpoint of the dev server, where they can be tailed per app and per user. Entries have a
+// level, a tag and a message, and are echoed to the console as well. captureConsole makes console.* calls
+// entries too, so existing console.log calls are forwarded without changes to the app.
+SpixiAppSdk.log = {
+    levels: ["debug", "info", "warn", "error"],
+    // Entries below this level are neither kept nor echoed, debug also shows the SDK's own debug entries
+    level: "info",
+    // Number of entries kept in the buffer
+    bufferSize: 500,
+    flushInterval: 1000,
+    // Sends entries to the host with the log action
+    forwardToHost: false,
+    // Dev server endpoint, null disables it, only used when the app is served by the dev server
+    devEndpoint: "/api/logs",
+    // Echoes entries to the console
+    echo: true,
+    // Identifies the app and the simulated user on the dev server, derived from the URL when null
+    app: null,
+    user: null,
+    _buffer: [],
+    _pending: [],
+    _timer: null,
+    _console: null,
+
+    configure: function (options) {
+        var log = SpixiAppSdk.log;
+        ["level", "bufferSize", "flushInterval", "forwardToHost", "devEndpoint", "echo", "app", "user"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                log[name] = options[name];
+            }
+        });
+        if (options.captureConsole !== undefined) {
+            log.captureConsole(options.captureConsole);
+        }
+    },
+    debug: function () { SpixiAppSdk.log._write("debug", "app", arguments); },
+    info: function () { SpixiAppSdk.log._write("info", "app", arguments); },
+    warn: function () { SpixiAppSdk.log._write("warn", "app", arguments); },
+    error: function () { SpixiAppSdk.log._write("error", "app", arguments); },
+    // Returns a logger whose entries carry the tag
+    tag: function (tag) {
+        var logger = {};
+        SpixiAppSdk.log.levels.forEach(function (level) {
+            logger[level] = function () { SpixiAppSdk.log._write(level, tag, arguments); };
+        });
+        return logger;
+    },
+    // Returns the buffered entries, optionally only those of a level and above or of a tag
+    entries: function (filter) {
+        var log = SpixiAppSdk.log;
+        filter = filter || {};
+        var minimum = filter.level ? log.levels.indexOf(filter.level) : 0;
+        return log._buffer.filter(function (entry) {
+            return log.levels.indexOf(entry.level) >= minimum && (!filter.tag || entry.tag == filter.tag);
+        }).map(function (entry) {
+            return { time: entry.time, level: entry.level, tag: entry.tag, message: entry.message };
+        });
+    },
+    clear: function () {
+        SpixiAppSdk.log._buffer = [];
+    },
+    // Forwards the entries logged since the last flush
+    flush: function () {
+        var log = SpixiAppSdk.log;
+        clearTimeout(log._timer);
+        log._timer = null;
+        if (log._pending.length == 0) {
+            return;
+        }
+        var entries = log._pending;
+        log._pending = [];
+        if (log.forwardToHost) {
+            SpixiAppSdk.spixiAction(JSON.stringify({ command: "log", entries: entries }));
+        }
+        if (log.devEndpoint && typeof fetch == "function" && SpixiAppSdk._isDevServer()) {
+            fetch(log.devEndpoint, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ app: log._appId(), user: log._userId(), entries: entries })
+            }).catch(function () {
+                // Older dev servers don't have the endpoint, there is nowhere left to report this
+            });
+        }
+    },
+    // Turns console.debug/log/info/warn/error calls into entries tagged console, false restores the console
+    captureConsole: function (enabled) {
+        var log = SpixiAppSdk.log;
+        if (typeof console == "undefined" || (enabled === false) == (log._console == null)) {
+            return;
+        }
+        if (enabled === false) {
+            Object.keys(log._console).forEach(function (name) {
+                console[name] = log._console[name];
+            });
+            log._console = null;
+            return;
+        }
+        log._console = {};
+        ["debug", "log", "info", "warn", "error"].forEach(function (name) {
+            var original = console[name];
+            log._console[name] = original;
+            console[name] = function () {
+                log._write(name == "log" ? "info" : name, "console", arguments, true);
+                original.apply(console, arguments);
+            };
+        });
+    },
+
+    _write: function (level, tag, args, fromConsole) {
+        var log = SpixiAppSdk.log;
+        if (log.levels.indexOf(level) < log.levels.indexOf(log.level)) {
+            return;
+        }
+        args = Array.prototype.slice.call(args);
+        if (!fromConsole && log.echo && typeof console != "undefined") {
+            var method = level == "info" ? "log" : level;
+            var write = log._console ? log._console[method] : console[method];
+            write.apply(console, ["[" + tag + "]"].concat(args));
+        }
+        var entry = { time: Date.now(), level: level, tag: tag, message: args.map(log._format).join(" ") };
+        log._buffer.push(entry);
+        if (log._buffer.length > log.bufferSize) {
+            log._buffer.splice(0, log._buffer.length - log.bufferSize);
+        }
+        if (log.forwardToHost || (log.devEndpoint && SpixiAppSdk._isDevServer())) {
+            log._pending.push(entry);
+            if (log._pending.length > log.bufferSize) {
+                log._pending.splice(0, log._pending.length - log.bufferSize);
+            }
+            if (log._timer == null) {
+                log._timer = setTimeout(log.flush, log.flushInterval);
+            }
+        }
+    },
+    _format: function (value) {
+        if (typeof value == "string") {
+            return value;
+        }
+        if (value instanceof Error || (value && value.stack && value.message)) {
+            return value.stack || String(value);
+        }
+        try {
+            var json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch (e) {
+            return String(value);
+        }
+    },
+    // The dev server serves apps from /apps/<id>/app/ or with ?app=<id>
+    _appId: function () {
+        var log = SpixiAppSdk.log;
+        if (log.app) {
+            return log.app;
+        }
+        if (SpixiAppSdk.manifest && SpixiAppSdk.manifest.id) {
+            return SpixiAppSdk.manifest.id;
+        }
+        var match = /\/apps\/([^\/]+)\/app\//.exec(location.pathname || "") || /[?&]app=([^&]+)/.exec(location.search || "");
+        return match ? decodeURIComponent(match[1]) : "unknown";
+    },
+    // Simulated users are told apart with ?user=<name>, the instance id is used otherwise
+    _userId: function () {
+        var log = SpixiAppSdk.log;
+        if (log.user) {
+            return log.user;
+        }
+        var match = /[?&]user=([^&]+)/.exec(location.search || "");
+        return match ? decodeURIComponent(match[1]) : SpixiAppSdk._instanceId;
+    }
+};
+
+SpixiAppSdk._on("end", SpixiAppSdk.log.flush);
+SpixiAppSdk._on("pause", SpixiAppSdk.log.flush);
+
+// Manifest
+//
+// SpixiAppSdk.manifest describes the running app as declared in its appinfo.spixi: id, name, version,
+// capabilities, the number of users it supports and its protocols. The host can pass it with setManifest,
+// otherwise the SDK uses the manifest that pack-app.js embeds in index.html, or reads appinfo.spixi from the
+// dev server. It stays null when none of them is available, apps should treat that as "unknown" rather than
+// as a missing capability.
+SpixiAppSdk.manifest = null;
+SpixiAppSdk._manifestSources = ["dev-server", "packer", "host"];
+
+// Accepts an object, its JSON or the text of appinfo.spixi, source is host, packer or dev-server.
+// A manifest from a less trusted source doesn't replace the current one.
+SpixiAppSdk.setManifest = function (manifest, source) {
+    source = source || "host";
+    var current = SpixiAppSdk.manifest;
+    var sources = SpixiAppSdk._manifestSources;
+    if (current && sources.indexOf(current.source) > sources.indexOf(source)) {
+        return current;
+    }
+    var parsed = SpixiAppSdk._parseManifest(manifest);
+    if (!parsed) {
+        SpixiAppSdk.errors.report(new Error("Invalid manifest"), { source: "app", context: { manifestSource: source } });
+        return current;
+    }
+    parsed.source = source;
+    SpixiAppSdk.manifest = parsed;
+    SpixiAppSdk.declareProtocols(parsed.protocols);
+    SpixiAppSdk._emit("manifest", parsed);
+    return parsed;
+};
+
+// Capability names are compared case-insensitively, false while the manifest is unknown
+SpixiAppSdk.hasCapability = function (name) {
+    var manifest = SpixiAppSdk.manifest;
+    if (!manifest || typeof name != "string") {
+        return false;
+    }
+    name = name.toLowerCase();
+    return manifest.capabilities.some(function (capability) {
+        return capability.toLowerCase() == name;
+    });
+};
+
+SpixiAppSdk._parseManifest = function (manifest) {
+    if (typeof manifest == "string") {
+        var text = manifest;
+        try {
+            manifest = JSON.parse(text);
+        } catch (e) {
+            manifest = {};
+            text.split(/\r?\n/).forEach(function (line) {
+                var match = /^\s*([^=#][^=]*?)\s*=\s*(.*?)\s*$/.exec(line);
+                if (match) {
+                    manifest[match[1]] = match[2];
+                }
+            });
+        }
+    }
+    if (!manifest || typeof manifest != "object" || !manifest.id) {
+        return null;
+    }
+    var list = function (value) {
+        if (Array.isArray(value)) {
+            return value.map(String);
+        }
+        return String(value == null ? "" : value).split(",").map(function (item) {
+            return item.trim();
+        }).filter(function (item) {
+            return item != "";
+        });
+    };
+    var count = function (value) {
+        var number = parseInt(value, 10);
+        return isNaN(number) ? null : number;
+    };
+    return {
+        id: String(manifest.id),
+        name: manifest.name != null ? String(manifest.name) : null,
+        version: manifest.version != null ? String(manifest.version) : null,
+        publisher: manifest.publisher != null ? String(manifest.publisher) : null,
+        capabilities: list(manifest.capabilities),
+        minUsers: count(manifest.minUsers),
+        maxUsers: count(manifest.maxUsers),
+        protocols: list(manifest.protocols),
+        source: null
+    };
+};
+
+// pack-app.js embeds the manifest as SpixiAppManifest before the app's scripts
+if (typeof SpixiAppManifest != "undefined") {
+    SpixiAppSdk.setManifest(SpixiAppManifest, "packer");
+} else if (SpixiAppSdk._isDevServer() && typeof fetch == "function") {
+    // Apps opened from the local server are served from apps/<id>/app/, next to their appinfo.spixi
+    fetch("../appinfo.spixi").then(function (response) {
+        return response.ok ? response.text() : null;
+    }).then(function (text) {
+        if (text) {
+            SpixiAppSdk.setManifest(text, "dev-server");
+        }
+    }).catch(function () {
+        // Not served by the main server, the manifest stays unknown
+    });
+}
+
+// Roster
+//
+// Lists everyone in the session for apps with more than two users. The host passes the addresses of the
+// other users to onInit, but not the local user's, which the SDK learns from the peers: each peer answers
+// the roster hello with the address it sees the sender as. Peers join when presence first hears from them
+// and leave when presence considers them offline. sendTo addresses one peer; the host broadcasts every
+// message, so the receivers whose peers include the target address drop it and only the target keeps it.
+SpixiAppSdk.roster = {
+    // Address of the local user, null until a peer told it
+    localAddress: null,
+    // Addresses of the other users, in the order the host passed them
+    _peers: [],
+    // address -> true for peers that joined
+    _joined: {},
+
+    // Returns { address, local, joined, status } for everyone in the session, the local user first
+    participants: function () {
+        var roster = SpixiAppSdk.roster;
+        var list = roster._peers.map(roster.get);
+        list.unshift(roster._describe(roster.localAddress, true));
+        return list;
+    },
+    // Addresses of the other users
+    peers: function () {
+        return SpixiAppSdk.roster._peers.slice();
+    },
+    // Addresses of the peers that joined and aren't offline
+    joined: function () {
+        var roster = SpixiAppSdk.roster;
+        return roster._peers.filter(function (address) { return roster._joined[address]; });
+    },
+    get: function (address) {
+        var roster = SpixiAppSdk.roster;
+        if (address != null && address == roster.localAddress) {
+            return roster._describe(address, true);
+        }
+        return roster._peers.indexOf(address) > -1 ? roster._describe(address, false) : null;
+    },
+    has: function (address) {
+        return SpixiAppSdk.roster.get(address) != null;
+    },
+    isLocal: function (address) {
+        return address != null && address == SpixiAppSdk.roster.localAddress;
+    },
+    // Number of users in the session, including the local user
+    get size() {
+        return SpixiAppSdk.roster._peers.length + 1;
+    },
+    // Delivers data to one peer as network-data, rejects for addresses that aren't peers
+    sendTo: function (address, data) {
+        if (SpixiAppSdk.roster._peers.indexOf(address) == -1) {
+            return Promise.reject(new Error("'" + address + "' is not a peer in this session"));
+        }
+        return SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("to", address + ":" + data));
+    },
+    // Delivers data to every peer as network-data
+    broadcast: function (data) {
+        return SpixiAppSdk.sendNetworkData(data);
+    },
+
+    _describe: function (address, local) {
+        var presence = local ? null : SpixiAppSdk.presence.get(address);
+        return {
+            address: address,
+            local: local,
+            joined: local || !!SpixiAppSdk.roster._joined[address],
+            status: local ? "online" : presence ? presence.status : "unknown"
+        };
+    },
+    // The host doesn't pass the local address, an address that isn't one of the peers is the local user's
+    _learnLocal: function (address) {
+        var roster = SpixiAppSdk.roster;
+        if (!address || roster._peers.indexOf(address) > -1 || roster.localAddress == address) {
+            return false;
+        }
+        roster.localAddress = address;
+        SpixiAppSdk._emit("roster-local", address);
+        return true;
+    },
+    _join: function (address) {
+        var roster = SpixiAppSdk.roster;
+        if (roster._peers.indexOf(address) == -1 || roster._joined[address]) {
+            return;
+        }
+        roster._joined[address] = true;
+        SpixiAppSdk._emit("roster-join", roster.get(address));
+    },
+    _leave: function (address, participant) {
+        var roster = SpixiAppSdk.roster;
+        if (!roster._joined[address]) {
+            return;
+        }
+        delete roster._joined[address];
+        SpixiAppSdk._emit("roster-leave", participant || roster.get(address));
+    }
+};
+
+// Runs before the init listeners, so the roster is current in the app's onInit
+SpixiAppSdk._intercept("init", function (sessionId, userAddresses) {
+    var roster = SpixiAppSdk.roster;
+    var peers = SpixiAppSdk._parseAddresses(userAddresses);
+    roster._peers.filter(function (address) {
+        return peers.indexOf(address) == -1;
+    }).forEach(function (address) {
+        var participant = roster._describe(address, false);
+        participant.joined = false;
+        roster._leave(address, participant);
+    });
+    roster._peers = peers;
+    if (peers.indexOf(roster.localAddress) > -1) {
+        roster.localAddress = null;
+    }
+    return false;
+});
+SpixiAppSdk._on("init", function () {
+    if (SpixiAppSdk.roster.localAddress == null) {
+        SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("rh", ""));
+    }
+});
+SpixiAppSdk._on("peer-online", SpixiAppSdk.roster._join);
+SpixiAppSdk._on("peer-offline", function (address) {
+    SpixiAppSdk.roster._leave(address);
+});
+
+SpixiAppSdk._onFrame("rh", function (senderAddress) {
+    SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("ry", senderAddress));
+});
+SpixiAppSdk._onFrame("ry", function (senderAddress, payload) {
+    SpixiAppSdk.roster._learnLocal(payload);
+});
+SpixiAppSdk._onFrame("to", function (senderAddress, payload) {
+    var separator = payload.indexOf(":");
+    var address = payload.substring(0, separator);
+    if (separator == -1 || SpixiAppSdk.roster._peers.indexOf(address) > -1) {
+        // Addressed to another peer
+        return;
+    }
+    SpixiAppSdk.roster._learnLocal(address);
+    SpixiAppSdk._receive("network-data", [senderAddress, payload.substring(separator + 1)]);
+});
+
+// Spectators
+//
+// Real-time games with a fixed number of players let everyone else in the session watch. spectators.enable()
+// claims a seat with the session time at which this participant first opened the app in the session, the claim
+// is kept in session storage and exchanged with the peers. The earliest claims (ties broken by address) are
+// the players, everyone else spectates. The players' SDK drops the data and protocol messages of spectators,
+// only SDK housekeeping frames, turn game syncs and the spectator frames get through, so spectators can't
+// inject moves. Players and spectators can chat, and a spectator asks the players for a snapshot of the game,
+// which the app provides as the snapshot option, whenever it becomes a spectator.
+SpixiAppSdk.spectators = {
+    enabled: false,
+    // Number of players, further participants spectate
+    seats: 2,
+    // "player" or "spectator", null until the claims of the peers are known
+    role: null,
+    // How long to wait for the claims of peers that don't answer
+    settleTimeout: 2000,
+    // Frames that spectators may send
+    allowedFrames: ["batch", "frag", "to", "hb", "hbr", "hs", "ck", "ckr", "rh", "ry", "cha", "oba", "rc", "tg", "sp"],
+    // address -> session time of the peer's claim
+    _claims: {},
+    _claim: null,
+    _snapshot: null,
+    _snapshotPending: false,
+    _settled: false,
+    // JSON of the last players emitted with players-change
+    _players: null,
+    _timer: null,
+    _resolve: null,
+    _promise: null,
+
+    // Options: players (default 2), snapshot() returning the game for spectators that join late.
+    // Resolves with the role once it is known, calling it again returns the same Promise
+    enable: function (options) {
+        var spectators = SpixiAppSdk.spectators;
+        if (spectators._promise) {
+            return spectators._promise;
+        }
+        options = options || {};
+        spectators.enabled = true;
+        spectators.seats = options.players || 2;
+        spectators._snapshot = options.snapshot || null;
+        // Seats go to the earliest claims in session time
+        SpixiAppSdk.clock.start();
+        spectators._promise = new Promise(function (resolve) {
+            spectators._resolve = resolve;
+        });
+        var claims = SpixiAppSdk.storage.namespace("spx-spectators", { scope: "session" });
+        claims.get("claim").catch(function () { return null; }).then(function (claim) {
+            if (claim == null) {
+                claim = SpixiAppSdk.clock.now();
+                claims.set("claim", claim);
+            }
+            spectators._claim = claim;
+            spectators._send({ k: "claim", t: claim });
+            spectators._timer = setTimeout(function () {
+                spectators._timer = null;
+                spectators._settle();
+            }, spectators.settleTimeout);
+            spectators._update();
+        });
+        return spectators._promise;
+    },
+    // Whether the address, or the local user if none is given, is a player
+    isPlayer: function (address) {
+        return SpixiAppSdk.spectators._roleOf(address) == "player";
+    },
+    // Whether the address, or the local user if none is given, is a known spectator
+    isSpectator: function (address) {
+        return SpixiAppSdk.spectators._roleOf(address) == "spectator";
+    },
+    // Addresses of the players in seat order, the local user's is roster.localAddress
+    players: function () {
+        var spectators = SpixiAppSdk.spectators;
+        return spectators._ranking().slice(0, spectators.seats).map(function (entry) { return entry.address; });
+    },
+    spectators: function () {
+        var spectators = SpixiAppSdk.spectators;
+        return spectators._ranking().slice(spectators.seats).map(function (entry) { return entry.address; });
+    },
+    // Sends a chat message to everyone, peers emit chat with { address, text, spectator }
+    chat: function (text) {
+        return SpixiAppSdk.spectators._send({ k: "chat", x: String(text) });
+    },
+    // Asks the players for a snapshot, emitted as spectator-snapshot(snapshot, senderAddress)
+    requestSnapshot: function () {
+        SpixiAppSdk.spectators._snapshotPending = true;
+        return SpixiAppSdk.spectators._send({ k: "snapshot?" });
+    },
+
+    _send: function (message) {
+        return SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("sp", JSON.stringify(message)));
+    },
+    // Claims of the local user and the peers in the session, earliest first
+    _ranking: function () {
+        var spectators = SpixiAppSdk.spectators;
+        var entries = SpixiAppSdk.roster.peers().filter(function (address) {
+            return spectators._claims[address] !== undefined;
+        }).map(function (address) {
+            return { address: address, local: false, time: spectators._claims[address] };
+        });
+        if (spectators._claim != null) {
+            entries.push({ address: SpixiAppSdk.roster.localAddress, local: true, time: spectators._claim });
+        }
+        return entries.sort(function (a, b) {
+            if (a.time != b.time) {
+                return a.time - b.time;
+            }
+            return String(a.address || "") < String(b.address || "") ? -1 : 1;
+        });
+    },
+    _roleOf: function (address) {
+        var spectators = SpixiAppSdk.spectators;
+        if (address == null || SpixiAppSdk.roster.isLocal(address)) {
+            return spectators.role;
+        }
+        var ranking = spectators._ranking();
+        for (var i = 0; i < ranking.length; i++) {
+            if (!ranking[i].local && ranking[i].address == address) {
+                return i < spectators.seats ? "player" : "spectator";
+            }
+        }
+        return null;
+    },
+    // Settles once every peer's claim is known, or when settleTimeout passes
+    _update: function () {
+        var spectators = SpixiAppSdk.spectators;
+        if (spectators._claim == null) {
+            return;
+        }
+        var players = spectators.players();
+        if (JSON.stringify(players) != spectators._players) {
+            spectators._players = JSON.stringify(players);
+            SpixiAppSdk._emit("players-change", players);
+        }
+        var complete = SpixiAppSdk.roster.peers().every(function (address) {
+            return spectators._claims[address] !== undefined;
+        });
+        if (complete || spectators._settled) {
+            spectators._settle();
+        }
+    },
+    _settle: function () {
+        var spectators = SpixiAppSdk.spectators;
+        if (spectators._timer != null) {
+            clearTimeout(spectators._timer);
+            spectators._timer = null;
+        }
+        spectators._settled = true;
+        var ranking = spectators._ranking();
+        var seat = -1;
+        for (var i = 0; i < ranking.length; i++) {
+            if (ranking[i].local) {
+                seat = i;
+            }
+        }
+        var role = seat < spectators.seats ? "player" : "spectator";
+        if (role == spectators.role) {
+            return;
+        }
+        var previous = spectators.role;
+        spectators.role = role;
+        spectators._resolve(role);
+        SpixiAppSdk._emit("role-change", { role: role, previous: previous });
+        if (role == "spectator") {
+            spectators.requestSnapshot();
+        }
+    },
+    _onMessage: function (senderAddress, payload) {
+        var spectators = SpixiAppSdk.spectators;
+        var message = JSON.parse(payload);
+        switch (message.k) {
+            case "claim":
+                if (typeof message.t != "number") {
+                    return;
+                }
+                var known = spectators._claims[senderAddress] !== undefined;
+                spectators._claims[senderAddress] = message.t;
+                if (!known && spectators._claim != null) {
+                    // Answer new peers with the local claim
+                    spectators._send({ k: "claim", t: spectators._claim });
+                }
+                spectators._update();
+                break;
+            case "chat":
+                SpixiAppSdk._emit("chat", {
+                    address: senderAddress,
+                    text: String(message.x),
+                    spectator: spectators.isSpectator(senderAddress)
+                });
+                break;
+            case "snapshot?":
+                if (spectators.role == "player" && spectators._snapshot) {
+                    spectators._send({ k: "snapshot", s: spectators._snapshot() });
+                }
+                break;
+            case "snapshot":
+                // Every player answers, the first answer is used
+                if (spectators._snapshotPending && spectators.isPlayer(senderAddress)) {
+                    spectators._snapshotPending = false;
+                    SpixiAppSdk._emit("spectator-snapshot", message.s, senderAddress);
+                }
+                break;
+        }
+    }
+};
+
+SpixiAppSdk._onFrame("sp", SpixiAppSdk.spectators._onMessage);
+
+// Runs before presence and the frame handlers, data of spectators never reaches the app
+SpixiAppSdk._intercept("network-data", function (senderAddress, data) {
+    var spectators = SpixiAppSdk.spectators;
+    if (!spectators.enabled || !spectators.isSpectator(senderAddress)) {
+        return false;
+    }
+    var prefix = SpixiAppSdk._framePrefix;
+    if (typeof data == "string" && data.substring(0, prefix.length) == prefix) {
+        var type = data.substring(prefix.length, data.indexOf(":", prefix.length));
+        if (spectators.allowedFrames.indexOf(type) > -1) {
+            return false;
+        }
+    }
+    SpixiAppSdk.log._write("debug", "spectators", ["Dropped data from spectator " + senderAddress]);
+    return true;
+}, true);
+SpixiAppSdk._intercept("network-protocol-data", function (senderAddress, protocolId) {
+    var spectators = SpixiAppSdk.spectators;
+    if (!spectators.enabled || !spectators.isSpectator(senderAddress)) {
+        return false;
+    }
+    SpixiAppSdk.log._write("debug", "spectators", ["Dropped " + protocolId + " message from spectator " + senderAddress]);
+    return true;
+}, true);
+// Ties are broken by address and peers may leave the session, both can change the roles
+SpixiAppSdk._on("roster-local", function () {
+    SpixiAppSdk.spectators._update();
+});
+SpixiAppSdk._on("init", function () {
+    SpixiAppSdk.spectators._update();
+});
+
+// Outbox
+//
+// outbox.send() is for messages that must not get lost when the peer is offline or either side closes the
+// app. Pending messages are saved in session storage together with the peers that haven't acknowledged them
+// yet, sent again whenever presence sees one of those peers come back online (and every retryInterval while
+// it is online) and dropped once they expire. Receivers acknowledge every copy but deliver each message only
+// once, as network-data from the sender, and remember the ids of delivered messages until they expire, also
+// across a reopen. The stored state is read when the outbox is first used or on the first retry, which keeps
+// the storage request out of the start-up traffic.
+SpixiAppSdk.outbox = {
+    // Milliseconds after which undelivered messages are dropped
+    ttl: 3600000,
+    retryInterval: 5000,
+    // [{ id, data, to: [addresses that haven't acknowledged], expires }]
+    _items: [],
+    // sender address + id -> expiry time of delivered messages
+    _seen: {},
+    // id -> { resolve, reject } of messages sent by this instance
+    _waiting: {},
+    _nextId: 1,
+    _timer: null,
+    _loaded: false,
+    // Resolves once the stored state was restored, received messages wait for it to be deduplicated
+    _ready: null,
+    _storage: SpixiAppSdk.storage.namespace("spx-outbox", { scope: "session" }),
+
+    configure: function (options) {
+        var outbox = SpixiAppSdk.outbox;
+        ["ttl", "retryInterval"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                outbox[name] = options[name];
+            }
+        });
+        if (outbox._timer != null) {
+            outbox.stop();
+            outbox.start();
+        }
+    },
+    // Options: ttl of this message. Resolves once every peer acknowledged it, rejects with code "expired"
+    send: function (data, options) {
+        var outbox = SpixiAppSdk.outbox;
+        options = options || {};
+        outbox._load();
+        var item = {
+            id: SpixiAppSdk._instanceId + "." + outbox._nextId++,
+            data: String(data),
+            to: SpixiAppSdk.lifecycle.userAddresses.slice(),
+            expires: Date.now() + (options.ttl || outbox.ttl)
+        };
+        var promise = new Promise(function (resolve, reject) {
+            outbox._waiting[item.id] = { resolve: resolve, reject: reject };
+        });
+        outbox._items.push(item);
+        outbox._save();
+        outbox._transmit(item);
+        return promise;
+    },
+    // Messages that still wait for acknowledgements, as { id, data, to, expires }
+    pending: function () {
+        return SpixiAppSdk.outbox._items.map(function (item) {
+            return { id: item.id, data: item.data, to: item.to.slice(), expires: item.expires };
+        });
+    },
+    start: function () {
+        var outbox = SpixiAppSdk.outbox;
+        if (outbox._timer == null) {
+            outbox._timer = setInterval(outbox._retry, outbox.retryInterval);
+        }
+    },
+    stop: function () {
+        var outbox = SpixiAppSdk.outbox;
+        if (outbox._timer != null) {
+            clearInterval(outbox._timer);
+            outbox._timer = null;
+        }
+    },
+
+    _transmit: function (item) {
+        var message = { id: item.id, e: item.expires, d: item.data };
+        SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("ob", JSON.stringify(message)));
+    },
+    _save: function () {
+        var outbox = SpixiAppSdk.outbox;
+        if (!outbox._loaded) {
+            // Saved once the stored state was merged in
+            return;
+        }
+        outbox._storage.set("state", { pending: outbox._items, seen: outbox._seen });
+    },
+    // Restores the messages and delivered ids of a previous run of the app in this session, once
+    _load: function () {
+        var outbox = SpixiAppSdk.outbox;
+        if (outbox._ready != null) {
+            return outbox._ready;
+        }
+        outbox._ready = outbox._storage.get("state").catch(function () {
+            return null;
+        }).then(function (stored) {
+            stored = stored || {};
+            var ids = outbox._items.map(function (item) { return item.id; });
+            (stored.pending || []).forEach(function (item) {
+                if (ids.indexOf(item.id) == -1) {
+                    outbox._items.push(item);
+                }
+            });
+            var seen = stored.seen || {};
+            Object.keys(seen).forEach(function (key) {
+                outbox._seen[key] = seen[key];
+            });
+            outbox._loaded = true;
+            outbox._expire();
+            if (outbox._items.length > 0 || Object.keys(outbox._seen).length > 0) {
+                outbox._save();
+            }
+            outbox._items.forEach(outbox._transmit);
+        });
+        return outbox._ready;
+    },
+    _expire: function () {
+        var outbox = SpixiAppSdk.outbox;
+        var now = Date.now();
+        Object.keys(outbox._seen).forEach(function (key) {
+            if (outbox._seen[key] <= now) {
+                delete outbox._seen[key];
+            }
+        });
+        outbox._items.filter(function (item) {
+            return item.expires <= now;
+        }).forEach(function (item) {
+            outbox._remove(item);
+            var error = new Error("Message " + item.id + " expired before every peer received it");
+            error.code = "expired";
+            SpixiAppSdk._emit("outbox-expired", { id: item.id, data: item.data, to: item.to.slice() });
+            if (outbox._waiting[item.id]) {
+                outbox._waiting[item.id].reject(error);
+                delete outbox._waiting[item.id];
+            }
+        });
+    },
+    _remove: function (item) {
+        var outbox = SpixiAppSdk.outbox;
+        outbox._items.splice(outbox._items.indexOf(item), 1);
+        outbox._save();
+    },
+    // Sends the messages that online peers haven't acknowledged, or only those for address
+    _retry: function (address) {
+        var outbox = SpixiAppSdk.outbox;
+        if (!outbox._loaded) {
+            // Only the timer loads the stored state, peers come online with the start-up traffic.
+            // Everything restored is sent once loaded
+            if (typeof address != "string") {
+                outbox._load();
+            }
+            return;
+        }
+        outbox._expire();
+        outbox._items.forEach(function (item) {
+            var waitingFor = typeof address == "string" ? [address] : item.to;
+            var online = waitingFor.some(function (peer) {
+                var presence = SpixiAppSdk.presence.get(peer);
+                return item.to.indexOf(peer) > -1 && presence != null && presence.status == "online";
+            });
+            if (online) {
+                outbox._transmit(item);
+            }
+        });
+    },
+    _onMessage: function (senderAddress, payload) {
+        var outbox = SpixiAppSdk.outbox;
+        var message = JSON.parse(payload);
+        outbox._load().then(function () {
+            // Every copy is acknowledged in case an earlier acknowledgement was lost
+            SpixiAppSdk.sendNetworkData(SpixiAppSdk._encodeFrame("oba", message.id));
+            var key = senderAddress + "/" + message.id;
+            if (outbox._seen[key] !== undefined) {
+                return;
+            }
+            outbox._seen[key] = message.e;
+            outbox._save();
+            SpixiAppSdk._receive("network-data", [senderAddress, message.d]);
+        });
+    },
+    _onAck: function (senderAddress, id) {
+        var outbox = SpixiAppSdk.outbox;
+        var item = outbox._items.filter(function (item) { return item.id == id; })[0];
+        if (!item || item.to.indexOf(senderAddress) == -1) {
+            return;
+        }
+        item.to.splice(item.to.indexOf(senderAddress), 1);
+        if (item.to.length > 0) {
+            outbox._save();
+            return;
+        }
+        outbox._remove(item);
+        SpixiAppSdk._emit("outbox-delivered", { id: item.id, data: item.data });
+        if (outbox._waiting[item.id]) {
+            outbox._waiting[item.id].resolve();
+            delete outbox._waiting[item.id];
+        }
+    }
+};
+
+SpixiAppSdk._onFrame("ob", SpixiAppSdk.outbox._onMessage);
+SpixiAppSdk._onFrame("oba", SpixiAppSdk.outbox._onAck);
+SpixiAppSdk._on("init", SpixiAppSdk.outbox.start);
+SpixiAppSdk._on("end", SpixiAppSdk.outbox.stop);
+SpixiAppSdk._on("peer-online", SpixiAppSdk.outbox._retry);
+
+// Session recovery
+//
+// Lets an app that is closed mid-game continue where it left off when it is reopened in the same session.
+// recovery.enable() takes a snapshot function and stores its result in session storage every interval, when
+// the app is paused or ends and after every recovery.send(). Events sent with recovery.send() are numbered
+// per sender, kept in a log and delivered through the outbox. Receivers remember the last event of every
+// sender in the snapshot, so after a reopen the snapshot is restored and every peer is asked for the events
+// that followed it, which are delivered again as network-data. A receiver that sees a gap in the numbers, or
+// a peer coming back online, asks for the missing events the same way.
+SpixiAppSdk.recovery = {
+    enabled: false,
+    // Milliseconds between snapshots
+    interval: 2000,
+    // Number of sent events kept for peers that ask for them
+    logSize: 100,
+    // Milliseconds before the same missing events are asked for again
+    requestInterval: 1000,
+    // Time of the restored snapshot, null if the app started fresh
+    restoredAt: null,
+    _options: null,
+    // [{ s: sequence number, d: data }] of sent events
+    _log: [],
+    _nextSeq: 1,
+    // sender address -> sequence number of the last delivered event
+    _received: {},
+    // sender address -> { since, time } of the last request for missing events
+    _requested: {},
+    // JSON of the last stored snapshot, unchanged snapshots aren't stored again
+    _saved: null,
+    _timer: null,
+    // Set once the stored state was read, snapshots aren't stored before
+    _loaded: false,
+    // Resolves once the stored state was read, received events wait for it
+    _ready: null,
+    _resolveReady: null,
+    _storage: SpixiAppSdk.storage.namespace("spx-recovery", { scope: "session" }),
+
+    configure: function (options) {
+        var recovery = SpixiAppSdk.recovery;
+        ["interval", "logSize", "requestInterval"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                recovery[name] = options[name];
+            }
+        });
+        if (recovery._timer != null) {
+            recovery.stop();
+            recovery.start();
+        }
+    },
+    // Options: snapshot() returns the app state, restore(state) applies a stored one, interval.
+    // Resolves with the restored state, or null if there was nothing to restore
+    enable: function (options) {
+        var recovery = SpixiAppSdk.recovery;
+        options = options || {};
+        if (typeof options.snapshot != "function") {
+            return Promise.reject(new Error("recovery.enable needs a snapshot function"));
+        }
+        if (options.interval !== undefined) {
+            recovery.configure({ interval: options.interval });
+        }
+        recovery._options = options;
+        if (recovery.enabled) {
+            return recovery._ready.then(function () { return null; });
+        }
+        recovery.enabled = true;
+        return recovery._storage.get("state").catch(function () {
+            return null;
+        }).then(function (stored) {
+            var state = null;
+            if (stored) {
+                recovery._log = stored.log || [];
+                recovery._nextSeq = stored.nextSeq || 1;
+                recovery._received = stored.received || {};
+                recovery.restoredAt = stored.time;
+                state = stored.state === undefined ? null : stored.state;
+                if (state != null && typeof options.restore == "function") {
+                    options.restore(state);
+                }
+                recovery._saved = JSON.stringify(recovery._describe(stored.state));
+            }
+            recovery._loaded = true;
+            recovery._resolveReady();
+            if (state != null) {
+                SpixiAppSdk._emit("recovery-restored", { state: state, time: stored.time });
+            }
+            SpixiAppSdk.lifecycle.userAddresses.forEach(function (address) {
+                recovery._request(address, true);
+            });
+            recovery.start();
+            return state;
+        });
+    },
+    // Sends an event that peers get again after they reopen the app, call it after applying the event locally
+    send: function (data) {
+        var recovery = SpixiAppSdk.recovery;
+        var entry = { s: recovery._nextSeq++, d: String(data) };
+        recovery._log.push(entry);
+        if (recovery._log.length > recovery.logSize) {
+            recovery._log.shift();
+        }
+        recovery.save();
+        return SpixiAppSdk.outbox.send(SpixiAppSdk._encodeFrame("rc", JSON.stringify({ k: "ev", s: entry.s, d: entry.d })));
+    },
+    // Stores a snapshot now, unless it didn't change since the last one
+    save: function () {
+        var recovery = SpixiAppSdk.recovery;
+        if (!recovery._loaded) {
+            return;
+        }
+        var snapshot = recovery._describe(recovery._options.snapshot());
+        var json = JSON.stringify(snapshot);
+        if (json == recovery._saved) {
+            return;
+        }
+        recovery._saved = json;
+        snapshot.time = Date.now();
+        recovery._storage.set("state", snapshot);
+    },
+    // Forgets the stored snapshot, for example once a game ended
+    clear: function () {
+        var recovery = SpixiAppSdk.recovery;
+        recovery._saved = null;
+        recovery.restoredAt = null;
+        return recovery._storage.remove("state");
+    },
+    start: function () {
+        var recovery = SpixiAppSdk.recovery;
+        if (recovery._timer == null && recovery.enabled) {
+            recovery._timer = setInterval(recovery.save, recovery.interval);
+        }
+    },
+    stop: function () {
+        var recovery = SpixiAppSdk.recovery;
+        if (recovery._timer != null) {
+            clearInterval(recovery._timer);
+            recovery._timer = null;
+        }
+    },
+
+    _describe: function (state) {
+        var recovery = SpixiAppSdk.recovery;
+        return { state: state, log: recovery._log, nextSeq: recovery._nextSeq, received: recovery._received };
+    },
+    // Asks address for the events after the last one delivered, repeated requests wait for requestInterval
+    _request: function (address, force) {
+        var recovery = SpixiAppSdk.recovery;
+        var since = recovery._received[address] || 0;
+        var last = recovery._requested[address];
+        var now = Date.now();
+        if (!force && last && last.since == since && now - last.time < recovery.requestInterval) {
+            return;
+        }
+        recovery._requested[address] = { since: since, time: now };
+        SpixiAppSdk.roster.sendTo(address, SpixiAppSdk._encodeFrame("rc", JSON.stringify({ k: "req", s: since })))
+            .catch(function () { });
+    },
+    _onFrame: function (senderAddress, payload) {
+        var recovery = SpixiAppSdk.recovery;
+        var message = JSON.parse(payload);
+        recovery._ready.then(function () {
+            if (message.k == "req") {
+                recovery._answer(senderAddress, message.s);
+            } else if (message.k == "gap") {
+                // The events up to f were dropped from the sender's log
+                var from = (recovery._received[senderAddress] || 0) + 1;
+                if (message.f > from) {
+                    recovery._received[senderAddress] = message.f - 1;
+                    SpixiAppSdk._emit("recovery-gap", { address: senderAddress, from: from, to: message.f - 1 });
+                }
+            } else if (message.k == "ev") {
+                recovery._deliver(senderAddress, message.s, message.d);
+            }
+        });
+    },
+    _answer: function (address, since) {
+        var recovery = SpixiAppSdk.recovery;
+        var send = function (message) {
+            SpixiAppSdk.roster.sendTo(address, SpixiAppSdk._encodeFrame("rc", JSON.stringify(message))).catch(function () { });
+        };
+        if (recovery._log.length > 0 && recovery._log[0].s > since + 1) {
+            send({ k: "gap", f: recovery._log[0].s });
+        }
+        recovery._log.forEach(function (entry) {
+            if (entry.s > since) {
+                send({ k: "ev", s: entry.s, d: entry.d });
+            }
+        });
+    },
+    _deliver: function (senderAddress, seq, data) {
+        var recovery = SpixiAppSdk.recovery;
+        if (SpixiAppSdk.spectators.enabled && SpixiAppSdk.spectators.isSpectator(senderAddress)) {
+            return;
+        }
+        var last = recovery._received[senderAddress] || 0;
+        if (seq <= last) {
+            // Delivered before
+            return;
+        }
+        if (seq > last + 1) {
+            // Delivered again in order once the missing events arrive
+            recovery._request(senderAddress);
+            return;
+        }
+        recovery._received[senderAddress] = seq;
+        SpixiAppSdk._receive("network-data", [senderAddress, data]);
+    }
+};
+
+SpixiAppSdk.recovery._ready = new Promise(function (resolve) {
+    SpixiAppSdk.recovery._resolveReady = resolve;
+});
+SpixiAppSdk._onFrame("rc", SpixiAppSdk.recovery._onFrame);
+SpixiAppSdk._on("pause", SpixiAppSdk.recovery.save);
+SpixiAppSdk._on("end", function () {
+    SpixiAppSdk.recovery.save();
+    SpixiAppSdk.recovery.stop();
+});
+SpixiAppSdk._on("peer-online", function (address) {
+    if (SpixiAppSdk.recovery._loaded) {
+        SpixiAppSdk.recovery._request(address);
+    }
+});
+
+// Recorder
+//
+// Desyncs between peers are hard to reproduce, so SpixiAppSdk.recorder captures everything that crosses the
+// boundary to the host while it records: the host callbacks (init, network and storage data, ...) with their
+// arguments and the commands the SDK issues, each with the milliseconds since the recording started. The
+// trace can be downloaded as JSON or uploaded to the dev server. recorder.replay() feeds the callbacks of a
+// trace into the running app in the recorded order and timing, in a browser or in the SDK loaded by Node
+// tests, and resolves with the commands the app issued meanwhile. Apps served by the dev server start
+// recording on load with ?record=1 and replay an uploaded trace with ?replay=<trace id>.
+SpixiAppSdk.recorder = {
+    recording: false,
+    replaying: false,
+    // Only the latest events are kept
+    maxEvents: 10000,
+    // Dev server endpoint for uploads and ?replay=, null disables it
+    devEndpoint: "/api/traces",
+    _events: [],
+    _dropped: 0,
+    _startedAt: 0,
+    // Commands issued during the current replay
+    _replaySent: null,
+
+    configure: function (options) {
+        var recorder = SpixiAppSdk.recorder;
+        ["maxEvents", "devEndpoint"].forEach(function (name) {
+            if (options[name] !== undefined) {
+                recorder[name] = options[name];
+            }
+        });
+    },
+    // Starts a new recording, call it before SpixiAppSdk.init() to include the init callback
+    start: function () {
+        var recorder = SpixiAppSdk.recorder;
+        recorder._events = [];
+        recorder._dropped = 0;
+        recorder._startedAt = Date.now();
+        recorder.recording = true;
+    },
+    stop: function () {
+        SpixiAppSdk.recorder.recording = false;
+        return SpixiAppSdk.recorder.trace();
+    },
+    // { version, app, user, instanceId, startedAt, dropped, events: [{ t, dir: "in", name, args } or { t, dir: "out", command }] }
+    trace: function () {
+        var recorder = SpixiAppSdk.recorder;
+        return {
+            version: 1,
+            app: SpixiAppSdk.log._appId(),
+            user: SpixiAppSdk.log._userId(),
+            instanceId: SpixiAppSdk._instanceId,
+            startedAt: recorder._startedAt,
+            dropped: recorder._dropped,
+            events: JSON.parse(JSON.stringify(recorder._events))
+        };
+    },
+    // Saves the trace as a JSON file through the browser
+    download: function (filename) {
+        var trace = SpixiAppSdk.recorder.trace();
+        var blob = new Blob([JSON.stringify(trace, null, 2)], { type: "application/json" });
+        var link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = filename || "spixi-trace-" + trace.app + "-" + trace.startedAt + ".json";
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function () { URL.revokeObjectURL(link.href); }, 0);
+        return trace;
+    },
+    // Uploads the trace to the dev server, resolves with its id
+    upload: function () {
+        var recorder = SpixiAppSdk.recorder;
+        if (!recorder.devEndpoint || typeof fetch != "function") {
+            return Promise.reject(new Error("Traces can only be uploaded to the dev server"));
+        }
+        return fetch(recorder.devEndpoint, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(recorder.trace())
+        }).then(function (response) {
+            return response.json();
+        }).then(function (result) {
+            if (!result.success) {
+                throw new Error(result.error || "Upload failed");
+            }
+            return result.id;
+        });
+    },
+    // Options: speed (1 replays in recorded time, 2 twice as fast, 0 without waiting), filter(event) to skip
+    // callbacks. Resolves once the queue is empty with { events: number of callbacks replayed, sent: commands
+    // issued meanwhile }
+    replay: function (trace, options) {
+        var recorder = SpixiAppSdk.recorder;
+        options = options || {};
+        var speed = options.speed === undefined ? 1 : options.speed;
+        if (recorder.replaying) {
+            return Promise.reject(new Error("A trace is already being replayed"));
+        }
+        var events = (trace.events || []).filter(function (event) {
+            return event.dir == "in" && SpixiAppSdk._hostEvents.hasOwnProperty(event.name)
+                && (!options.filter || options.filter(event));
+        });
+        recorder.replaying = true;
+        recorder._replaySent = [];
+        var start = Date.now();
+        return new Promise(function (resolve) {
+            var index = 0;
+            var next = function () {
+                if (index >= events.length) {
+                    // Commands the last callbacks queued are part of the result
+                    if (SpixiAppSdk.queue.length > 0) {
+                        setTimeout(next, SpixiAppSdk.queue.interval);
+                        return;
+                    }
+                    var sent = recorder._replaySent;
+                    recorder.replaying = false;
+                    recorder._replaySent = null;
+                    resolve({ events: events.length, sent: sent });
+                    return;
+                }
+                var event = events[index++];
+                try {
+                    SpixiAppSdk[event.name].apply(null, event.args);
+                } catch (e) {
+                    SpixiAppSdk._onListenerError(SpixiAppSdk._hostEvents[event.name], e);
+                }
+                var delay = 0;
+                if (speed > 0 && index < events.length) {
+                    delay = Math.max(0, start + events[index].t / speed - Date.now());
+                }
+                setTimeout(next, delay);
+            };
+            setTimeout(next, speed > 0 && events.length > 0 ? events[0].t / speed : 0);
+        });
+    },
+
+    _record: function (event) {
+        var recorder = SpixiAppSdk.recorder;
+        if (recorder.replaying && event.dir == "out") {
+            recorder._replaySent.push(event.command);
+        }
+        if (!recorder.recording) {
+            return;
+        }
+        event.t = Date.now() - recorder._startedAt;
+        recorder._events.push(event);
+        if (recorder._events.length > recorder.maxEvents) {
+            recorder._dropped += recorder._events.length - recorder.maxEvents;
+            recorder._events.splice(0, recorder._events.length - recorder.maxEvents);
+        }
+    },
+    // ?record=1 and ?replay=<trace id> of the dev server
+    _applyDevOptions: function () {
+        var recorder = SpixiAppSdk.recorder;
+        if (typeof location == "undefined" || !SpixiAppSdk._isDevServer()) {
+            return;
+        }
+        var search = location.search || "";
+        if (/[?&]record=1(&|$)/.test(search)) {
+            recorder.start();
+        }
+        var replay = /[?&]replay=([^&]+)/.exec(search);
+        if (replay && recorder.devEndpoint && typeof fetch == "function") {
+            fetch(recorder.devEndpoint + "/" + replay[1]).then(function (response) {
+                if (!response.ok) {
+                    throw new Error("Trace " + replay[1] + " not found");
+                }
+                return response.json();
+            }).then(function (trace) {
+                return recorder.replay(trace);
+            }).then(function (result) {
+                SpixiAppSdk.log._write("info", "recorder", ["Replayed " + result.events + " callbacks"]);
+            }).catch(function (e) {
+                SpixiAppSdk.log._write("error", "recorder", ["Replay failed:", e]);
+            });
+        }
+    }
+};
+
+SpixiAppSdk.recorder._applyDevOptions();
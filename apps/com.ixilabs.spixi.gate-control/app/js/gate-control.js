@@ -11,11 +11,25 @@
 // MIT License for more details.
 
 
+// Requests sent to QuIXI and the status updates and camera frames it sends back
+const gateControlSchema = {
+    type: "object",
+    properties: {
+        action: { enum: ["toggle", "ping"] },
+        ts: { type: "integer" },
+        status: { type: "string" },
+        imageBase64: { type: "string" }
+    }
+};
+
 class GateControlApp {
     constructor(protocolId = "com.ixilabs.gatecontrol", pingInterval = 5000) {
         this.protocolId = protocolId;
         this.pingInterval = pingInterval;
         this.pingTimer = null;
+        this.protocol = null;
+        this.removeProtocolListener = null;
+        this.removeLifecycleListeners = [];
 
         // State holds reactive data
         this.state = {
@@ -50,7 +64,7 @@ class GateControlApp {
 
     setupControls = () => {
         this.toggleBtn?.addEventListener("click", () => {
-            SpixiAppSdk.sendNetworkProtocolData(this.protocolId, JSON.stringify({ action: "toggle" }));
+            this.protocol.send({ action: "toggle" });
             this.status = "Toggling gate...";
         });
 
@@ -58,27 +72,21 @@ class GateControlApp {
     };
 
     setupCameraFeedListener = () => {
-        SpixiAppSdk.onNetworkProtocolData = (senderAddress, receivedProtocolId, data) => {
-            if (receivedProtocolId !== this.protocolId) return;
-
-            try {
-                const msg = JSON.parse(data);
-
-                if (msg.imageBase64) {
-                    this.cameraSrc = `data:image/jpeg;base64,${msg.imageBase64}`;
-                    this.status = "Camera feed updated";
-                } else if (msg.status) {
-                    this.status = msg.status;
-                }
-            } catch (err) {
-                console.error("Error parsing protocol data:", err);
-            }
-        };
+        this.removeProtocolListener = this.protocol.on(this.showMessage);
+    };
+
+    showMessage = (msg) => {
+        if (msg.imageBase64) {
+            this.cameraSrc = `data:image/jpeg;base64,${msg.imageBase64}`;
+            this.status = "Camera feed updated";
+        } else if (msg.status) {
+            this.status = msg.status;
+        }
     };
 
     pingQuIXI = () => {
         const timestamp = SpixiTools.getTimestamp();
-        SpixiAppSdk.sendNetworkProtocolData(this.protocolId, JSON.stringify({ action: "ping", ts: timestamp }));
+        this.protocol.send({ action: "ping", ts: timestamp });
         this.status = "Pinging QuIXI...";
     };
 
@@ -97,24 +105,33 @@ class GateControlApp {
         }
     };
 
-    handleVisibilityChange = () => {
-        document.hidden ? this.stopPinging() : this.startPinging();
-    };
-
     onInit = (sessionId, userAddresses) => {
         console.log("App initialized. Session:", sessionId, "Users:", userAddresses);
 
+        this.protocol = SpixiAppSdk.protocol(this.protocolId, {
+            schema: gateControlSchema,
+            onInvalid: (errors) => console.error("Invalid gate control message:", errors.join(", "))
+        });
         this.initElements();
         this.setupControls();
         this.setupCameraFeedListener();
 
         this.startPinging();
-        document.addEventListener("visibilitychange", this.handleVisibilityChange);
+        this.removeLifecycleListeners = [
+            SpixiAppSdk.on("pause", this.stopPinging),
+            SpixiAppSdk.on("resume", this.startPinging),
+            SpixiAppSdk.on("end", this.destroy)
+        ];
     };
 
     destroy = () => {
         this.stopPinging();
-        document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+        if (this.removeProtocolListener) {
+            this.removeProtocolListener();
+            this.removeProtocolListener = null;
+        }
+        this.removeLifecycleListeners.forEach((remove) => remove());
+        this.removeLifecycleListeners = [];
     };
 }
 
@@ -123,4 +140,4 @@ SpixiAppSdk.onInit = (sessionId, userAddresses) => {
     gateControlApp.onInit(sessionId, userAddresses);
 };
 
-window.onload = SpixiAppSdk.fireOnLoad;
+SpixiAppSdk.init();
@@ -1 +1,290 @@
-// Spixi Mini Apps Tools Placeholder, replace with actual spixi-tools.js
+// Copyright (C) 2025 IXI Labs
+// This file is part of Ixian Core - https://github.com/ixian-platform/Spixi-Mini-Apps
+//
+// Ixian Core is free software: you can redistribute it and/or modify
+// it under the terms of the MIT License as published
+// by the Open Source Initiative.
+//
+// Ixian Core is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// MIT License for more details.
+
+function executeUiCommand(cmd) {
+    SpixiTools.executeUiCommand.apply(null, arguments);
+};
+
+var SpixiTools = {
+    version: 0.2,
+    base64ToBytes: function (base64) {
+        const binString = atob(base64);
+        return new TextDecoder().decode(Uint8Array.from(binString, (m) => m.codePointAt(0)));
+    },
+    executeUiCommand: function (cmd) {
+        try {
+            var decodedArgs = new Array();
+            for (var i = 1; i < arguments.length; i++) {
+                decodedArgs.push(SpixiTools.base64ToBytes(arguments[i]));
+            }
+            cmd.apply(null, decodedArgs);
+        } catch (e) {
+            SpixiTools.reportError(e, { source: "ui-command", context: { command: cmd.name || String(cmd), args: decodedArgs } });
+        }
+    },
+    // Passes the error to the SDK's error channel, or logs it when the SDK isn't loaded
+    reportError: function (error, info) {
+        if (typeof SpixiAppSdk != "undefined" && SpixiAppSdk.errors) {
+            SpixiAppSdk.errors.report(error, info);
+        } else {
+            console.error("SpixiTools:", error, info);
+        }
+    },
+    unescapeParameter: function (str) {
+        return str.replace(/&gt;/g, ">")
+            .replace(/&lt;/g, "<")
+            .replace(/&#92;/g, "\\")
+            .replace(/&#39;/g, "'")
+            .replace(/&#34;/g, "\"");
+    },
+    escapeParameter: function (str) {
+        return str.replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    },
+    getTimestamp: function() {
+        return Math.round(+new Date() / 1000);
+    },
+
+    // Creates a binary codec from a schema of message types:
+    //   { version: 1, messages: { paddle: { id: 1, fields: { y: "u16", vy: { type: "i16", scale: 100 } } } } }
+    // Packets are [version:1][type id:1][fields...] encoded as base64. Integers are little-endian, scaled
+    // values are stored as Math.round(value * scale), strings (UTF-8) and bytes are prefixed with a u16 length.
+    // decode() returns { type, id, ...fields } or null if the packet is malformed or of another version.
+    createCodec: function (schema) {
+        var version = schema.version || 0;
+        var byName = {};
+        var byId = {};
+        Object.keys(schema.messages).forEach(function (name) {
+            var message = schema.messages[name];
+            if (!(message.id >= 0 && message.id <= 255) || byId[message.id]) {
+                throw new Error("Message '" + name + "' needs a unique id between 0 and 255");
+            }
+            var fields = Object.keys(message.fields || {}).map(function (fieldName) {
+                var field = message.fields[fieldName];
+                if (typeof field == "string") {
+                    field = { type: field };
+                }
+                if (!SpixiTools._codecTypeSizes.hasOwnProperty(field.type)) {
+                    throw new Error("Unknown type '" + field.type + "' of field '" + name + "." + fieldName + "'");
+                }
+                return { name: fieldName, type: field.type, scale: field.scale || 1 };
+            });
+            byName[name] = byId[message.id] = { name: name, id: message.id, fields: fields };
+        });
+
+        return {
+            version: version,
+            // type is the message name or id
+            encode: function (type, values) {
+                var message = typeof type == "number" ? byId[type] : byName[type];
+                if (!message) {
+                    throw new Error("Unknown message type '" + type + "'");
+                }
+                return SpixiTools._encodePacket(version, message, values || {});
+            },
+            decode: function (base64) {
+                return SpixiTools._decodePacket(version, byId, base64);
+            }
+        };
+    },
+
+    // Byte size of each codec field type, variable sized types store a u16 length
+    _codecTypeSizes: { u8: 1, u16: 2, i16: 2, u32: 4, f32: 4, string: -1, bytes: -1 },
+    // Values an integer field can hold, the encoder throws instead of letting DataView wrap them
+    _codecTypeRanges: { u8: [0, 0xFF], u16: [0, 0xFFFF], i16: [-0x8000, 0x7FFF], u32: [0, 0xFFFFFFFF] },
+
+    _encodePacket: function (version, message, values) {
+        var size = 2;
+        var encoded = message.fields.map(function (field) {
+            var value = values[field.name];
+            if (field.type == "string" || field.type == "bytes") {
+                var bytes = field.type == "string"
+                    ? new TextEncoder().encode(value == null ? "" : String(value))
+                    : new Uint8Array(value || []);
+                if (bytes.length > 0xFFFF) {
+                    throw new Error("Field '" + message.name + "." + field.name + "' is too long");
+                }
+                size += 2 + bytes.length;
+                return bytes;
+            }
+            size += SpixiTools._codecTypeSizes[field.type];
+            value = (value == null ? 0 : Number(value)) * field.scale;
+            if (!isFinite(value)) {
+                throw new Error("Field '" + message.name + "." + field.name + "' is not a number");
+            }
+            if (field.type == "f32") {
+                return value;
+            }
+            value = Math.round(value);
+            var range = SpixiTools._codecTypeRanges[field.type];
+            if (value < range[0] || value > range[1]) {
+                throw new Error("Field '" + message.name + "." + field.name + "' is out of the " + field.type +
+                    " range (" + range[0] + " to " + range[1] + ")");
+            }
+            return value;
+        });
+
+        var packet = new Uint8Array(size);
+        var view = new DataView(packet.buffer);
+        view.setUint8(0, version);
+        view.setUint8(1, message.id);
+        var offset = 2;
+        message.fields.forEach(function (field, i) {
+            var value = encoded[i];
+            switch (field.type) {
+                case "u8": view.setUint8(offset, value); offset += 1; break;
+                case "u16": view.setUint16(offset, value, true); offset += 2; break;
+                case "i16": view.setInt16(offset, value, true); offset += 2; break;
+                case "u32": view.setUint32(offset, value, true); offset += 4; break;
+                case "f32": view.setFloat32(offset, value, true); offset += 4; break;
+                default:
+                    view.setUint16(offset, value.length, true);
+                    packet.set(value, offset + 2);
+                    offset += 2 + value.length;
+            }
+        });
+        return SpixiTools._bytesToBase64(packet);
+    },
+
+    _decodePacket: function (version, byId, base64) {
+        if (typeof base64 != "string" || base64.length % 4 != 0 || !/^[A-Za-z0-9+\/]*={0,2}$/.test(base64)) {
+            return null;
+        }
+        var packet = SpixiTools._base64ToUint8Array(base64);
+        if (packet.length < 2 || packet[0] != version || !byId[packet[1]]) {
+            return null;
+        }
+        var message = byId[packet[1]];
+        var view = new DataView(packet.buffer);
+        var result = { type: message.name, id: message.id };
+        var offset = 2;
+        for (var i = 0; i < message.fields.length; i++) {
+            var field = message.fields[i];
+            var size = SpixiTools._codecTypeSizes[field.type];
+            if (size == -1) {
+                if (offset + 2 > packet.length) {
+                    return null;
+                }
+                size = view.getUint16(offset, true);
+                offset += 2;
+            }
+            if (offset + size > packet.length) {
+                return null;
+            }
+            switch (field.type) {
+                case "u8": result[field.name] = view.getUint8(offset) / field.scale; break;
+                case "u16": result[field.name] = view.getUint16(offset, true) / field.scale; break;
+                case "i16": result[field.name] = view.getInt16(offset, true) / field.scale; break;
+                case "u32": result[field.name] = view.getUint32(offset, true) / field.scale; break;
+                case "f32": result[field.name] = view.getFloat32(offset, true) / field.scale; break;
+                case "bytes": result[field.name] = packet.slice(offset, offset + size); break;
+                case "string":
+                    try {
+                        result[field.name] = new TextDecoder("utf-8", { fatal: true }).decode(packet.subarray(offset, offset + size));
+                    } catch (e) {
+                        return null;
+                    }
+                    break;
+            }
+            offset += size;
+        }
+        // Trailing bytes mean the packet doesn't match the schema
+        return offset == packet.length ? result : null;
+    },
+
+    // Validates a value against a JSON schema subset: type (or a list of types), enum, const, properties,
+    // required, additionalProperties, items, minimum, maximum, minLength, maxLength, minItems and maxItems.
+    // Returns a list of error messages, empty if the value is valid.
+    validateSchema: function (value, schema, path) {
+        path = path || "value";
+        var errors = [];
+        var type = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+        if (schema.type !== undefined) {
+            var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            var matches = types.some(function (expected) {
+                if (expected == "integer") {
+                    return type == "number" && Math.floor(value) === value;
+                }
+                return expected == type;
+            });
+            if (!matches) {
+                return [path + " should be " + types.join(" or ")];
+            }
+        }
+        if (schema.enum && !schema.enum.some(function (option) { return JSON.stringify(option) === JSON.stringify(value); })) {
+            errors.push(path + " should be one of " + JSON.stringify(schema.enum));
+        }
+        if (schema.hasOwnProperty("const") && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+            errors.push(path + " should be " + JSON.stringify(schema.const));
+        }
+        if (type == "number") {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(path + " should be at least " + schema.minimum);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(path + " should be at most " + schema.maximum);
+            }
+        }
+        if (type == "string") {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(path + " should have at least " + schema.minLength + " characters");
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(path + " should have at most " + schema.maxLength + " characters");
+            }
+        }
+        if (type == "array") {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(path + " should have at least " + schema.minItems + " items");
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(path + " should have at most " + schema.maxItems + " items");
+            }
+            if (schema.items) {
+                value.forEach(function (item, index) {
+                    errors = errors.concat(SpixiTools.validateSchema(item, schema.items, path + "[" + index + "]"));
+                });
+            }
+        }
+        if (type == "object") {
+            var properties = schema.properties || {};
+            (schema.required || []).forEach(function (name) {
+                if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                    errors.push(path + "." + name + " is required");
+                }
+            });
+            Object.keys(value).forEach(function (name) {
+                if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                    errors = errors.concat(SpixiTools.validateSchema(value[name], properties[name], path + "." + name));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(path + "." + name + " is not allowed");
+                }
+            });
+        }
+        return errors;
+    },
+
+    _bytesToBase64: function (bytes) {
+        var binary = "";
+        for (var i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    },
+
+    _base64ToUint8Array: function (base64) {
+        return Uint8Array.from(atob(base64), function (c) { return c.charCodeAt(0); });
+    }
+}
@@ -12,67 +12,41 @@
 
 var protocolId = "com.ixilabs.spixi.mini-apps-test";
 
-function storageDataTest() {
-    var onStorageData1 = function (key, val) {
-        if (key != "testKey") {
-            alert("Storage key is '" + key + "', expecting 'testKey' ");
+function expectStorageValue(key, expected) {
+    return SpixiAppSdk.storage.get(key).then(function (val) {
+        if (val != null) {
+            val = atob(val);
         }
-        val = atob(val);
-        if (val != "testValue") {
-            alert("Storage value is '" + val + "', expecting 'testValue' ");
+        if (val != expected) {
+            throw new Error("Storage value for '" + key + "' is '" + val + "', expecting '" + expected + "'");
         }
+    });
+}
 
-        var onStorageData2 = function (key, val) {
-            if (key != "testKey") {
-                alert("Storage key is '" + key + "', expecting 'testKey' ");
-            }
-            val = atob(val);
-            if (val != "testValue2") {
-                alert("Storage value is '" + val + "', expecting 'testValue2' ");
-            }
-
-            var onStorageData3 = function (key, val) {
-                if (key != "testKey3") {
-                    alert("Storage key is '" + key + "', expecting 'testKey3' ");
-                }
-                val = atob(val);
-                if (val != "testValue3") {
-                    alert("Storage value is '" + val + "', expecting 'testValue3' ");
-                }
-
-                var onStorageData4 = function (key, val) {
-                    if (key != "testKey") {
-                        alert("Storage key is '" + key + "', expecting 'testKey' ");
-                    }
-                    if (val != 'null') {
-                        alert("Storage value is '" + val + "', expecting 'null' ");
-                    }
-
-                    alert("All tests have passed.");
-                };
-                setDataKey("testKey", null, onStorageData4)
-            };
-            setDataKey("testKey3", "testValue3", onStorageData3)
-        };
-        setDataKey("testKey", "testValue2", onStorageData2)
-    };
-    setDataKey("testKey", "testValue", onStorageData1)
+function storageDataTest() {
+    SpixiAppSdk.storage.set("testKey", btoa("testValue"))
+        .then(function () { return expectStorageValue("testKey", "testValue"); })
+        .then(function () { return SpixiAppSdk.storage.set("testKey", btoa("testValue2")); })
+        .then(function () { return expectStorageValue("testKey", "testValue2"); })
+        .then(function () { return SpixiAppSdk.storage.set("testKey3", btoa("testValue3")); })
+        .then(function () { return expectStorageValue("testKey3", "testValue3"); })
+        .then(function () { return SpixiAppSdk.storage.remove("testKey"); })
+        .then(function () { return expectStorageValue("testKey", null); })
+        .then(function () {
+            appSdkDataReceived("storageDataTest", "All tests have passed.");
+        }, function (e) {
+            SpixiAppSdk.errors.report(e, { context: { test: "storageDataTest" } });
+        });
 }
 
-function setDataKey(key, value, onStorageData) {
+function setDataKey(key, value) {
     if (value != null) {
         value = btoa(value);
     }
-    SpixiAppSdk.setStorageData(key, value);
-    if (onStorageData == undefined) {
-        onStorageData = function (key, value) {
-            appSdkDataReceived("onStorageData", key + "=" + atob(value));
-        };
-    }
-    setTimeout(function () {
-        SpixiAppSdk.onStorageData = onStorageData;
-        SpixiAppSdk.getStorageData(key);
-    }, 0);
+    SpixiAppSdk.storage.set(key, value);
+    SpixiAppSdk.storage.get(key).then(function (value) {
+        appSdkDataReceived("storage.get", key + "=" + (value != null ? atob(value) : value));
+    });
 }
 
 function getDataKey(key) {
@@ -98,4 +72,5 @@ SpixiAppSdk.onNetworkData = function (senderAddress, data) { appSdkDataReceived(
 SpixiAppSdk.onNetworkProtocolData = function (senderAddress, protocolId, data) { appSdkDataReceived("onNetworkProtocolData", senderAddress + "=" + protocolId + ":" + data); };
 SpixiAppSdk.onRequestAccept = function (data) { appSdkDataReceived("onRequestAccept", data); };
 SpixiAppSdk.onRequestReject = function (data) { appSdkDataReceived("onRequestReject", data); };
-SpixiAppSdk.onAppEndSession = function (data) { appSdkDataReceived("onAppEndSession", data); };
\ No newline at end of file
+SpixiAppSdk.onAppEndSession = function (data) { appSdkDataReceived("onAppEndSession", data); };
+SpixiAppSdk.onError = function (record) { appSdkDataReceived("onError", SpixiTools.escapeParameter(record.source + ": " + record.message)); };
\ No newline at end of file
@@ -10,18 +10,6 @@
 // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
 // MIT License for more details.
 
-// Global variables
-let gameState = {
-    board: ['', '', '', '', '', '', '', '', ''],
-    currentPlayer: 'X',
-    playersTurn: 'local',
-    gameEnded: false
-};
-
-let remotePlayerAddress = '';
-let playerLastSeen = 0;
-let lastDataSent = 0;
-
 const winningCombinations = [
     [0, 1, 2], [3, 4, 5], [6, 7, 8], // Horizontal
     [0, 3, 6], [1, 4, 7], [2, 5, 8], // Vertical
@@ -34,30 +22,44 @@ const winingCombinationsStyles = [
     "topLeftBottomRight", "topRightBottomLeft"
 ];
 
-const pingInterval = setInterval(ping, 1000);
-
-function ping() {
-    const currentTime = SpixiTools.getTimestamp();
-    if (currentTime - lastDataSent < 5
-        || currentTime - playerLastSeen < 5) {
-        return;
+// The SDK turn engine handles turn order, move exchange, resync and saving, player 0 plays X.
+// Everyone after the first two participants spectates, spectators get player null.
+// Players need the same appinfo.spixi version, the handshake takes it from the manifest
+const game = SpixiAppSdk.createTurnGame({
+    name: "tictactoe",
+    players: 2,
+    // Moves reach an opponent that is offline or has the app closed once they come back
+    outbox: true,
+    setup: function () {
+        return { board: ['', '', '', '', '', '', '', '', ''] };
+    },
+    applyMove: function (state, move, player) {
+        if (!(move.cellPosition >= 0 && move.cellPosition < 9) || state.board[move.cellPosition] !== '') {
+            return null;
+        }
+        state.board[move.cellPosition] = player === 0 ? 'X' : 'O';
+        return state;
+    },
+    result: function (state) {
+        const board = state.board;
+        for (let i = 0; i < winningCombinations.length; i++) {
+            const [a, b, c] = winningCombinations[i];
+            if (board[a] && board[a] === board[b] && board[a] === board[c]) {
+                return { winner: board[a] === 'X' ? 0 : 1, line: i };
+            }
+        }
+        if (!board.includes('')) {
+            return { draw: true };
+        }
+        return null;
     }
-    lastDataSent = currentTime;
-    const myTurn = gameState.playersTurn == "local" ? true : false;
-    const data = { action: "ping", movesCount: gameState.board.filter((x) => x != '').length, myTurn: myTurn };
-    SpixiAppSdk.sendNetworkData(JSON.stringify(data));
-}
+});
 
-function restartGame(saveState) {
-    document.getElementById("restartBtn").style.display = "none";
-    document.getElementById("winLine").style.display = "none";
-
-    gameState.board.fill('');
-    gameState.gameEnded = false;
-    renderBoard();
-    if (saveState) {
-        saveGameState();
-    }
+function restartGame() {
+    const restartBtn = document.getElementById("restartBtn");
+    restartBtn.disabled = true;
+    restartBtn.innerText = "Waiting for opponent...";
+    game.rematch();
 }
 
 function removeElementsByClass(rootElement, className) {
@@ -72,12 +74,12 @@ function renderBoard() {
     const boardElement = document.getElementById('board');
     removeElementsByClass(boardElement, "cell");
 
-    const board = gameState.board;
+    const board = game.state ? game.state.board : ['', '', '', '', '', '', '', '', ''];
     for (let i = 0; i < 9; i++) {
         const cell = document.createElement('div');
         cell.classList.add('cell');
 
-        if (board[i] == '') {
+        if (board[i] == '' && game.player !== null) {
             (function (index) {
                 cell.onclick = function () { makeMove(index); };
             })(i);
@@ -92,207 +94,92 @@ function renderBoard() {
 
         boardElement.appendChild(cell);
     }
+    renderResult();
+    renderStatus();
 }
 
-// Make a move
-function makeMove(index) {
-    if (remotePlayerAddress === '') {
-        return;
+function renderStatus() {
+    const status = document.getElementById("status");
+    if (SpixiAppSdk.spectators.role === "spectator") {
+        status.innerText = "Spectating";
+    } else if (game.player !== null && game.result == null) {
+        status.innerText = game.isMyTurn ? "Your turn" : "Opponent's turn";
+    } else {
+        status.innerText = "";
     }
+}
 
-    if (gameState.gameEnded) {
+function renderResult() {
+    const restartBtn = document.getElementById("restartBtn");
+    const winLine = document.getElementById("winLine");
+    const result = game.result;
+    if (!result || game.player === null) {
+        restartBtn.style.display = "none";
+        winLine.style.display = "none";
         return;
     }
-
-    if (gameState.playersTurn === 'remote') {
-        return;
-    }
-
-    const board = gameState.board;
-    if (board[index] === '') {
-        board[index] = gameState.currentPlayer;
-        switchPlayer();
-        renderBoard();
-        checkWinner();
-        saveGameState();
-        sendMove(index); // Send the move over the network
+    if (result.line !== undefined) {
+        winLine.style.display = "block";
+        winLine.className = winingCombinationsStyles[result.line];
     }
+    restartBtn.style.display = "";
 }
 
-function saveGameState() {
-    if (remotePlayerAddress != '') {
-        setTimeout(function () {
-            SpixiAppSdk.setStorageData(remotePlayerAddress, btoa(JSON.stringify(gameState)));
-        }, 50);
+// Players and spectators chat through the SDK, which also lets spectators' messages through
+function sendChat() {
+    const input = document.getElementById("chatInput");
+    const text = input.value.trim();
+    if (!text) {
+        return;
     }
+    SpixiAppSdk.spectators.chat(text);
+    addChatMessage("You", text, SpixiAppSdk.spectators.role === "spectator");
+    input.value = "";
 }
 
-function loadGameState(playerAddress) {
-    setTimeout(function () {
-        SpixiAppSdk.getStorageData(playerAddress);
-    }, 50);
-}
-
-function switchPlayer() {
-    gameState.currentPlayer = gameState.currentPlayer === 'X' ? 'O' : 'X';
-    gameState.playersTurn = gameState.playersTurn === 'local' ? 'remote' : 'local';
-}
-
-// Send move data to the other player
-function sendMove(cellPosition) {
-    const currentTime = SpixiTools.getTimestamp();
-    lastDataSent = currentTime;
-
-    setTimeout(function () {
-        const data = { action: "move", cellPosition: cellPosition };
-        SpixiAppSdk.sendNetworkData(JSON.stringify(data));
-    }, 0);
+function addChatMessage(name, text, spectator) {
+    const messages = document.getElementById("chatMessages");
+    const line = document.createElement("div");
+    line.innerText = name + ": " + text;
+    if (spectator) {
+        line.classList.add("spectator");
+    }
+    messages.appendChild(line);
+    messages.scrollTop = messages.scrollHeight;
 }
 
-function sendGameState(forceUpdate) {
-    const currentTime = SpixiTools.getTimestamp();
-    lastDataSent = currentTime;
-
-    setTimeout(function () {
-        let data = { action: "gameState", gameState: gameState };
-        if (forceUpdate) {
-            data = { action: "gameState", gameState: gameState, forceUpdate: true };
-        }
-        SpixiAppSdk.sendNetworkData(JSON.stringify(data));
-    }, 0);
+// Make a move, the engine ignores moves when it's not our turn
+function makeMove(index) {
+    game.move({ cellPosition: index }).catch(function () { });
 }
 
-function sendGetGameState() {
-    const currentTime = SpixiTools.getTimestamp();
-    lastDataSent = currentTime;
+game.on("start", function () {
+    const restartBtn = document.getElementById("restartBtn");
+    restartBtn.disabled = false;
+    restartBtn.innerText = "Restart Game";
+    renderBoard();
+});
+game.on("move", renderBoard);
+game.on("sync", renderBoard);
 
-    setTimeout(function () {
-        const data = { action: "getGameState" };
-        SpixiAppSdk.sendNetworkData(JSON.stringify(data));
-    }, 0);
-}
+SpixiAppSdk.on("role-change", renderStatus);
+SpixiAppSdk.on("chat", function (message) {
+    addChatMessage(message.spectator ? "Spectator" : "Opponent", message.text, message.spectator);
+});
 
 SpixiAppSdk.onInit = function (sessionId, userAddresses) {
-    remotePlayerAddress = userAddresses.split(",")[0];
-    restartGame(false);
-    loadGameState(remotePlayerAddress);
-};
-
-// Receive data from the other player
-SpixiAppSdk.onNetworkData = function (senderAddress, data) {
-    playerLastSeen = SpixiTools.getTimestamp();
-
-    const parsedData = JSON.parse(data);
-    switch (parsedData["action"]) {
-        case "getGameState":
-            sendGameState();
-            break;
-        case "gameState":
-            {
-                const myMovesCount = gameState.board.filter((x) => x != '').length;
-                const otherMovesCount = parsedData["gameState"].board.filter((x) => x != '').length;
-                if (otherMovesCount > myMovesCount) {
-                    gameState = parsedData["gameState"];
-                    gameState.playersTurn = gameState.playersTurn === 'local' ? 'remote' : 'local';
-                    renderBoard();
-                    checkWinner();
-                    saveGameState();
-                } else if (otherMovesCount < myMovesCount) {
-                    if (otherMovesCount > 1
-                        || !gameState.gameEnded) {
-                        sendGameState();
-                    }
-                } else // if ==
-                {
-                    if (parsedData["gameState"].playersTurn == gameState.playersTurn
-                        && parsedData.forceUpdate) {
-                        // edge case, both users made the very first move at the same time
-                        gameState = parsedData["gameState"];
-                        gameState.playersTurn = gameState.playersTurn === 'local' ? 'remote' : 'local';
-                        renderBoard();
-                        checkWinner();
-                        saveGameState();
-                    }
-                }
-            }
-            break;
-        case "move":
-            const cellPosition = parsedData["cellPosition"];
-            if (gameState.playersTurn === 'local') {
-                if (!gameState.gameEnded) {
-                    sendGameState();
-                }
-                return;
-            }
-            if (gameState.board[cellPosition] === '') {
-                if (!gameState.gameEnded) {
-                    sendGameState();
-                }
-                return;
-            }
-            if (gameState.gameEnded) {
-                return;
-            }
-            gameState.board[cellPosition] = gameState.currentPlayer;
-            switchPlayer();
-            renderBoard();
-            checkWinner();
-            saveGameState();
-            break;
-        case "ping":
-            {
-                const myMovesCount = gameState.board.filter((x) => x != '').length;
-                if (parsedData.movesCount < myMovesCount) {
-                    if (parsedData.movesCount > 1 || !gameState.gameEnded) {
-                        sendGameState();
-                    }
-                } else if (parsedData.movesCount == myMovesCount) {
-                    const myTurn = gameState.playersTurn === 'local' ? true : false;
-                    if (parsedData.myTurn == myTurn) {
-                        // edge case, both users made the very first move at the same time
-                        sendGameState(true);
-                    }
-                }
-            }
-            break;
-    }
+    renderBoard();
+    // Seats go to the first two participants who open the app, the turn engine waits for both of them before
+    // opening the game, members of the chat who never open it don't hold it up
+    SpixiAppSdk.spectators.enable({ players: 2 });
+    game.start();
 };
 
-SpixiAppSdk.onStorageData = function (key, value) {
-    if (value != 'null') {
-        gameState = JSON.parse(atob(value));
-        renderBoard();
-        checkWinner();
+document.getElementById("chatInput").addEventListener("keypress", function (e) {
+    if (e.key === "Enter") {
+        sendChat();
     }
-};
-
-// Check for a winner
-function checkWinner() {
-    const board = gameState.board;
-    let i = 0;
-    for (let combination of winningCombinations) {
-        const [a, b, c] = combination;
-        if (board[a] && board[a] === board[b] && board[a] === board[c]) {
-            showWinLine(i);
-            document.getElementById("restartBtn").style.display = "";
-            gameState.gameEnded = true;
-            return true;
-        }
-        i++;
-    }
-    if (!board.includes('')) {
-        document.getElementById("restartBtn").style.display = "";
-        gameState.gameEnded = true;
-        return true;
-    }
-    return false;
-}
-
-function showWinLine(index) {
-    const winLine = document.getElementById("winLine");
-    winLine.style.display = "block";
-    winLine.className = winingCombinationsStyles[index];
-}
+});
 
 // Start the game on load
-window.onload = SpixiAppSdk.fireOnLoad;
+SpixiAppSdk.init();
@@ -53,6 +53,41 @@ function parseAppInfo(text) {
     return info;
 }
 
+// Runtime manifest read by SpixiAppSdk.manifest, generated from appinfo.spixi
+function buildManifest(appInfo) {
+    const list = (value) => (value || '').split(',').map(item => item.trim()).filter(item => item !== '');
+    const count = (value) => {
+        const number = parseInt(value, 10);
+        return Number.isNaN(number) ? null : number;
+    };
+    return {
+        id: appInfo.id || '',
+        name: appInfo.name || null,
+        version: appInfo.version || null,
+        publisher: appInfo.publisher || null,
+        capabilities: list(appInfo.capabilities),
+        minUsers: count(appInfo.minUsers),
+        maxUsers: count(appInfo.maxUsers),
+        protocols: list(appInfo.protocols)
+    };
+}
+
+// Defines SpixiAppManifest ahead of the app's scripts, so the SDK finds it when it loads
+function embedManifest(html, manifest) {
+    // Escaping < keeps values such as "</script>" from ending the script element
+    const json = JSON.stringify(manifest).replace(/</g, '\\u003c');
+    const script = `<script>var SpixiAppManifest = ${json};</script>`;
+    const firstScript = html.search(/<script\b/i);
+    if (firstScript !== -1) {
+        return html.slice(0, firstScript) + script + '\n    ' + html.slice(firstScript);
+    }
+    const headEnd = html.search(/<\/head>/i);
+    if (headEnd !== -1) {
+        return html.slice(0, headEnd) + script + '\n' + html.slice(headEnd);
+    }
+    return script + '\n' + html;
+}
+
 function computeSHA256(buffer) {
     return crypto.createHash('sha256').update(buffer).digest('hex');
 }
@@ -128,7 +163,10 @@ async function packApp(appPath, outputDir = null) {
             continue;
         }
 
-        const fileContent = await readFile(file.fullPath);
+        let fileContent = await readFile(file.fullPath);
+        if (file === indexHtmlFile) {
+            fileContent = embedManifest(fileContent.toString('utf8'), buildManifest(appInfo));
+        }
         zip.file(relativePath, fileContent);
     }
 
@@ -223,7 +261,8 @@ Required files in app folder:
   - icon.png (recommended)
 
 Output:
-  - <appname>.zip      (ZIP archive with app contents)
+  - <appname>.zip      (ZIP archive with app contents, app/index.html embeds the
+                        manifest read by SpixiAppSdk.manifest)
   - <appname>.spixi    (Metadata file with checksum)
   - <appname>.png      (App icon, if available)
 `);
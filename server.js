@@ -169,6 +169,18 @@ const mainServer = http.createServer((req, res) => {
         return;
     }
 
+    // Handle logs API (POST from mini apps, GET to read or tail)
+    if (req.url.startsWith('/api/logs')) {
+        handleLogsApi(req, res);
+        return;
+    }
+
+    // Handle traces API (POST from the SDK recorder, GET to list or download)
+    if (req.url.startsWith('/api/traces')) {
+        handleTracesApi(req, res);
+        return;
+    }
+
     // Remove query string from URL
     let urlPath = req.url.split('?')[0];
 
@@ -494,6 +506,178 @@ function handleAppsApi(req, res) {
     }
 }
 
+// ============================================
+// LOGS API - Collects SpixiAppSdk.log entries of mini apps served by this server
+// ============================================
+// POST /api/logs { app, user, entries: [{ time, level, tag, message }] } stores entries.
+// GET /api/logs?app=&user=&level=&follow=1 returns the stored entries as text lines, filtered by app id,
+// simulated user and minimum level; with follow=1 the response stays open and new entries are streamed,
+// e.g. curl -N "http://localhost:8000/api/logs?app=com.baracuda.spixi.pong&user=alice&follow=1"
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const MAX_LOG_ENTRIES = 5000;
+const logEntries = [];
+const logTails = new Set();
+
+function handleLogsApi(req, res) {
+    const parsedUrl = url.parse(req.url, true);
+    const filter = {
+        app: parsedUrl.query.app || null,
+        user: parsedUrl.query.user || null,
+        level: Math.max(0, LOG_LEVELS.indexOf(parsedUrl.query.level))
+    };
+
+    if (req.method === 'POST') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json');
+            try {
+                const data = JSON.parse(body || '{}');
+                if (!Array.isArray(data.entries)) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ success: false, error: 'Missing entries' }));
+                    return;
+                }
+                const app = String(data.app || 'unknown');
+                const user = String(data.user || 'unknown');
+                for (const entry of data.entries) {
+                    // Times outside the range of Date would make formatLogEntry() throw
+                    const time = new Date(Number(entry.time)).getTime();
+                    addLogEntry({
+                        app,
+                        user,
+                        time: time || Date.now(),
+                        level: LOG_LEVELS.includes(entry.level) ? entry.level : 'info',
+                        tag: String(entry.tag || 'app'),
+                        message: String(entry.message)
+                    });
+                }
+                res.writeHead(200);
+                res.end(JSON.stringify({ success: true, count: data.entries.length }));
+            } catch (err) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ success: false, error: err.message }));
+            }
+        });
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        res.setHeader('Content-Type', 'application/json');
+        res.writeHead(405);
+        res.end(JSON.stringify({ success: false, error: 'Method not allowed' }));
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-cache' });
+    const lines = logEntries.filter(entry => matchesLogFilter(entry, filter)).map(formatLogEntry);
+    if (parsedUrl.query.follow !== '1') {
+        res.end(lines.join(''));
+        return;
+    }
+    res.write(lines.join(''));
+    const tail = { res, filter };
+    logTails.add(tail);
+    req.on('close', () => logTails.delete(tail));
+}
+
+function addLogEntry(entry) {
+    logEntries.push(entry);
+    if (logEntries.length > MAX_LOG_ENTRIES) {
+        logEntries.splice(0, logEntries.length - MAX_LOG_ENTRIES);
+    }
+    for (const tail of logTails) {
+        if (matchesLogFilter(entry, tail.filter)) {
+            tail.res.write(formatLogEntry(entry));
+        }
+    }
+}
+
+function matchesLogFilter(entry, filter) {
+    return (!filter.app || entry.app === filter.app)
+        && (!filter.user || entry.user === filter.user)
+        && LOG_LEVELS.indexOf(entry.level) >= filter.level;
+}
+
+function formatLogEntry(entry) {
+    return `${new Date(entry.time).toISOString()} ${entry.app} ${entry.user} ${entry.level.toUpperCase()} [${entry.tag}] ${entry.message}\n`;
+}
+
+// ============================================
+// TRACES API - Keeps SpixiAppSdk.recorder traces for download and replay
+// ============================================
+// POST /api/traces { version, app, user, events, ... } stores a trace and returns its id.
+// GET /api/traces lists the stored traces, GET /api/traces/<id> returns one as JSON, as a file with
+// ?download=1. Apps served by this server replay a trace with ?replay=<id>.
+const MAX_TRACES = 50;
+const traces = new Map();
+let nextTraceId = 1;
+
+function handleTracesApi(req, res) {
+    const parsedUrl = url.parse(req.url, true);
+    const id = parsedUrl.pathname.replace(/^\/api\/traces\/?/, '');
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.method === 'POST' && id === '') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                const trace = JSON.parse(body || '{}');
+                if (!Array.isArray(trace.events)) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ success: false, error: 'Missing events' }));
+                    return;
+                }
+                const traceId = String(nextTraceId++);
+                traces.set(traceId, { id: traceId, received: Date.now(), trace });
+                if (traces.size > MAX_TRACES) {
+                    traces.delete(traces.keys().next().value);
+                }
+                res.writeHead(200);
+                res.end(JSON.stringify({ success: true, id: traceId }));
+            } catch (err) {
+                res.writeHead(400);
+                res.end(JSON.stringify({ success: false, error: err.message }));
+            }
+        });
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        res.writeHead(405);
+        res.end(JSON.stringify({ success: false, error: 'Method not allowed' }));
+        return;
+    }
+
+    if (id === '') {
+        const list = Array.from(traces.values()).map(stored => ({
+            id: stored.id,
+            app: stored.trace.app,
+            user: stored.trace.user,
+            received: stored.received,
+            events: stored.trace.events.length
+        }));
+        res.writeHead(200);
+        res.end(JSON.stringify(list));
+        return;
+    }
+
+    const stored = traces.get(id);
+    if (!stored) {
+        res.writeHead(404);
+        res.end(JSON.stringify({ success: false, error: 'Trace not found' }));
+        return;
+    }
+    if (parsedUrl.query.download === '1') {
+        // The app id comes from the client, keep it from breaking out of the header
+        const app = String(stored.trace.app).replace(/[^\w.-]/g, '_');
+        res.setHeader('Content-Disposition', `attachment; filename="trace-${stored.id}-${app}.json"`);
+    }
+    res.writeHead(200);
+    res.end(JSON.stringify(stored.trace, null, 2));
+}
+
 // Parse appinfo.spixi file (key=value format)
 function parseAppInfo(content) {
     const lines = content.split('\n');
@@ -28,11 +28,6 @@ describe('pack-app smoke tests', function() {
     // Start server for API endpoint tests
     let serverProc = null;
     before(function(done) {
-        // start server
-        serverProc = require('child_process').spawn('node', ['server.js'], { cwd: path.join(__dirname, '..') });
-        serverProc.stdout.on('data', (d) => { /*console.log(d.toString());*/ });
-        serverProc.stderr.on('data', (d) => { /*console.error(d.toString());*/ });
-
         const http = require('http');
             // Check if server already running
             http.get('http://localhost:8000/api/mqtt/status', (res) => {
@@ -83,6 +78,23 @@ describe('pack-app smoke tests', function() {
             expect(entries).to.include('app/index.html');
             expect(entries.some(e => e.startsWith('app/js/'))).to.be.true;
 
+            return zip.file('app/index.html').async('string');
+        }).then(html => {
+            // The manifest is defined before the SDK script loads
+            const match = html.match(/<script>var SpixiAppManifest = (.*?);<\/script>/);
+            expect(match).to.not.be.null;
+            expect(match.index).to.be.below(html.indexOf('spixi-app-sdk.js'));
+            expect(JSON.parse(match[1])).to.deep.equal({
+                id: appId,
+                name: 'Pong',
+                version: '4.1.0',
+                publisher: 'Baracuda',
+                capabilities: ['multiUser'],
+                minUsers: null,
+                maxUsers: 10,
+                protocols: []
+            });
+
             // Recompute checksum and verify .spixi has matching checksum
             const recomputed = crypto.createHash('sha256').update(zbuf).digest('hex');
             const spixiText = fs.readFileSync(spixiPath, 'utf8');
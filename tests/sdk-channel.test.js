@@ -0,0 +1,78 @@
+const { expect } = require('chai');
+const { loadPeers, wait } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.channel', function () {
+    it('delivers reliable messages in order and resolves once acknowledged', async () => {
+        const peers = loadPeers();
+        const received = [];
+        peers.bob.sdk.on('channel-data', (sender, data, info) => received.push([sender, data, info.reliable]));
+
+        peers.alice.sdk.channel.send('one');
+        await peers.alice.sdk.channel.send('two');
+
+        expect(received).to.deep.equal([['alice', 'one', true], ['alice', 'two', true]]);
+        expect(peers.alice.sdk.channel.pending).to.equal(0);
+    });
+
+    it('retransmits lost messages and suppresses duplicates', async () => {
+        let dropped = 0;
+        // Drop the first transmission of message 1 and the first acknowledgement
+        const peers = loadPeers((command) => {
+            if ((command.includes('spx:chr:') && command.includes(':1:first')) || command.includes('spx:cha:')) {
+                return dropped++ >= 2;
+            }
+            return true;
+        });
+        peers.alice.sdk.channel.retransmitTimeout = 50;
+        const received = [];
+        peers.bob.sdk.on('channel-data', (sender, data) => received.push(data));
+
+        peers.alice.sdk.channel.send('first');
+        await peers.alice.sdk.channel.send('second');
+
+        expect(received).to.deep.equal(['first', 'second']);
+    });
+
+    it('rejects pending messages after the retransmission limit and starts a new stream', async () => {
+        let blocked = true;
+        const peers = loadPeers((command) => !blocked || !command.includes('spx:chr:'));
+        Object.assign(peers.alice.sdk.channel, { retransmitTimeout: 20, maxRetransmitTimeout: 20, maxRetransmits: 2 });
+        const received = [];
+        peers.bob.sdk.on('channel-data', (sender, data) => received.push(data));
+
+        const first = peers.alice.sdk.channel.send('lost');
+        const second = peers.alice.sdk.channel.send('also lost');
+        const errors = await Promise.all([first.catch((e) => e.code), second.catch((e) => e.code)]);
+        expect(errors).to.deep.equal(['timeout', 'timeout']);
+        expect(peers.alice.sdk.channel.pending).to.equal(0);
+
+        blocked = false;
+        await peers.alice.sdk.channel.send('after');
+        expect(received).to.deep.equal(['after']);
+    });
+
+    it('drops pending messages when a peer goes offline', async () => {
+        const peers = loadPeers((command) => !command.includes('spx:chr:'));
+        const sent = peers.alice.sdk.channel.send('move');
+        peers.alice.sdk._emit('peer-offline', 'bob');
+
+        const error = await sent.catch((e) => e);
+        expect(error.code).to.equal('peer-offline');
+        expect(peers.alice.sdk.channel.pending).to.equal(0);
+    });
+
+    it('keeps channel frames away from network-data listeners', async () => {
+        const peers = loadPeers();
+        const networkData = [];
+        const channelData = [];
+        peers.bob.sdk.onNetworkData = (sender, data) => networkData.push(data);
+        peers.bob.sdk.on('channel-data', (sender, data, info) => channelData.push([data, info.reliable]));
+
+        peers.alice.sdk.channel.sendUnreliable('fast');
+        peers.alice.sdk.sendNetworkData('plain');
+        await wait(50);
+
+        expect(networkData).to.deep.equal(['plain']);
+        expect(channelData).to.deep.equal([['fast', false]]);
+    });
+});
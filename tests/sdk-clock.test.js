@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const { loadSdk, loadPeers, wait } = require('./support/sdk-context');
+
+// Date replacement whose clock runs skew milliseconds ahead
+function skewedDate(skew) {
+    return { now: () => Date.now() + skew.value };
+}
+
+describe('SpixiAppSdk.clock', function () {
+    it('agrees on the session time across peers with skewed clocks', async () => {
+        const skew = { value: 5000 };
+        const peers = loadPeers(undefined, { bob: { globals: { Date: skewedDate(skew) } } });
+        for (const name of ['alice', 'bob']) {
+            peers[name].sdk.clock.configure({ interval: 40 });
+            peers[name].sdk.clock.start();
+        }
+        const synced = [];
+        peers.alice.sdk.on('clock-synced', () => synced.push('alice'));
+        peers.bob.sdk.on('clock-synced', () => synced.push('bob'));
+        await wait(150);
+
+        const alice = peers.alice.sdk.clock;
+        const bob = peers.bob.sdk.clock;
+        expect(synced).to.have.members(['alice', 'bob']);
+        expect(alice.isReference).to.not.equal(bob.isReference);
+        expect(Math.abs(alice.now() - bob.now())).to.be.below(20);
+        expect(alice.rtt).to.be.a('number');
+        expect(bob.stats().reference).to.equal(bob.isReference ? null : 'alice');
+    });
+
+    it('emits clock-drift when the estimate moves', async () => {
+        const skew = { value: 0 };
+        const peers = loadPeers(undefined, { alice: { globals: { Date: skewedDate(skew) } }, bob: { globals: { Date: skewedDate(skew) } } });
+        for (const name of ['alice', 'bob']) {
+            peers[name].sdk.clock.configure({ interval: 20, windowSize: 2 });
+            peers[name].sdk.clock.start();
+        }
+        await wait(60);
+        const follower = peers.alice.sdk.clock.isReference ? peers.bob : peers.alice;
+        const drift = [];
+        follower.sdk.on('clock-drift', (info) => drift.push(info));
+
+        // Move the follower's clock back, the session clock stays where it was
+        const reference = follower === peers.alice ? peers.bob : peers.alice;
+        reference.context.Date = skewedDate({ value: 0 });
+        skew.value = -1000;
+        await wait(150);
+
+        expect(drift).to.have.length.above(0);
+        expect(Math.round(drift[drift.length - 1].offset / 100)).to.equal(10);
+    });
+
+    it('measures the share of samples that go unanswered', async () => {
+        let answered = 0;
+        // Bob answers the first three samples only
+        const peers = loadPeers((command, from) => !command.includes('spx:ckr:') || from != 'bob' || answered++ < 3);
+        peers.alice.sdk.clock.configure({ interval: 40, windowSize: 4 });
+        peers.alice.sdk.clock.start();
+        await wait(400);
+
+        const loss = peers.alice.sdk.clock.stats().loss;
+        expect(loss).to.be.above(0.5);
+        expect(peers.alice.sdk.clock.loss).to.equal(loss);
+    });
+
+    it('samples only after start and while the app is running', async () => {
+        const document = {
+            hidden: false,
+            readyState: 'complete',
+            addEventListener(type, listener) { this.listener = listener; }
+        };
+        const env = loadSdk({ globals: { document } });
+        const samples = () => env.commands.filter((command) => command.includes('spx:ck:')).length;
+        env.sdk.clock.configure({ interval: 40 });
+        env.sdk.onInit('session', 'bob');
+        await wait(30);
+        expect(samples()).to.equal(0);
+
+        env.sdk.clock.start();
+        await wait(30);
+        expect(samples()).to.be.above(0);
+
+        document.hidden = true;
+        document.listener();
+        const paused = samples();
+        await wait(60);
+        expect(samples()).to.equal(paused);
+        env.sdk.clock.stop();
+        env.sdk.presence.stop();
+    });
+
+    it('trusts the samples with the lowest delay', () => {
+        const time = { value: 0 };
+        const { sdk } = loadSdk({ globals: { Date: { now: () => time.value } } });
+        sdk.clock.configure({ windowSize: 6 });
+        // The peer's clock is 500 ms ahead, samples with a slow way out or back are skewed
+        const delays = [[5, 5], [10, 6], [700, 10], [6, 6], [10, 400], [8, 8]];
+        delays.forEach(([out, back], index) => {
+            const sent = index * 1000;
+            const received = sent + out + 500;
+            time.value = sent + out + back;
+            // ! sorts before the generated instance ids, so the peer provides the session clock
+            sdk.clock._onReply('peer', sdk._instanceId + ':' + sent + ':!peer:' + received + ':' + received);
+        });
+
+        expect(sdk.clock.isReference).to.equal(false);
+        expect(sdk.clock.offset).to.equal(500);
+        expect(sdk.clock.stats()).to.include({ reference: 'peer', samples: 6, rtt: 16 });
+    });
+});
@@ -0,0 +1,66 @@
+const { expect } = require('chai');
+const { loadSdk } = require('./support/sdk-context');
+
+describe('SpixiTools.createCodec', function () {
+    let tools;
+    let codec;
+
+    beforeEach(() => {
+        tools = loadSdk().tools;
+        codec = tools.createCodec({
+            version: 2,
+            messages: {
+                state: { id: 1, fields: { frame: 'u16', x: 'i16', vx: { type: 'i16', scale: 100 }, t: 'u32', level: 'u8', speed: 'f32' } },
+                chat: { id: 7, fields: { text: 'string', data: 'bytes' } },
+                exit: { id: 9 }
+            }
+        });
+    });
+
+    it('round-trips numeric fields with scaling', () => {
+        const packet = codec.encode('state', { frame: 300, x: -42, vx: -1.237, t: 4000000000, level: 3, speed: 0.5 });
+        expect(codec.decode(packet)).to.deep.equal({ type: 'state', id: 1, frame: 300, x: -42, vx: -1.24, t: 4000000000, level: 3, speed: 0.5 });
+        expect(tools._base64ToUint8Array(packet).length).to.equal(2 + 2 + 2 + 2 + 4 + 1 + 4);
+    });
+
+    it('round-trips strings, bytes and empty messages by name or id', () => {
+        const chat = codec.decode(codec.encode(7, { text: 'héllo 👋', data: new Uint8Array([0, 255, 3]) }));
+        expect(chat.text).to.equal('héllo 👋');
+        expect(Array.from(chat.data)).to.deep.equal([0, 255, 3]);
+        expect(codec.decode(codec.encode('exit'))).to.deep.equal({ type: 'exit', id: 9 });
+    });
+
+    it('encodes missing fields as zero or empty', () => {
+        expect(codec.decode(codec.encode('chat', {}))).to.deep.include({ text: '' });
+        expect(codec.decode(codec.encode('state', { frame: 1 }))).to.deep.include({ x: 0, vx: 0 });
+    });
+
+    it('refuses values that do not fit the field type', () => {
+        expect(() => codec.encode('state', { level: 256 })).to.throw(/state\.level' is out of the u8 range/);
+        expect(() => codec.encode('state', { frame: -1 })).to.throw(/state\.frame' is out of the u16 range/);
+        expect(() => codec.encode('state', { x: 32768 })).to.throw(/state\.x' is out of the i16 range/);
+        expect(() => codec.encode('state', { vx: 400 })).to.throw(/state\.vx' is out of the i16 range/);
+        expect(() => codec.encode('state', { t: 2 ** 32 })).to.throw(/state\.t' is out of the u32 range/);
+        expect(() => codec.encode('state', { frame: 'ten' })).to.throw(/state\.frame' is not a number/);
+        expect(codec.decode(codec.encode('state', { level: 255, frame: 65535, x: -32768, vx: 327.67, t: 2 ** 32 - 1 })))
+            .to.deep.include({ level: 255, frame: 65535, x: -32768, vx: 327.67, t: 2 ** 32 - 1 });
+    });
+
+    it('rejects malformed packets', () => {
+        const packet = tools._base64ToUint8Array(codec.encode('state', { frame: 1 }));
+        const other = tools.createCodec({ version: 3, messages: { state: { id: 1, fields: { frame: 'u16' } } } });
+
+        expect(codec.decode('{"action":"exit"}')).to.equal(null);
+        expect(codec.decode(other.encode('state', { frame: 1 }))).to.equal(null);
+        expect(codec.decode(tools._bytesToBase64(new Uint8Array([2, 5])))).to.equal(null);
+        expect(codec.decode(tools._bytesToBase64(packet.slice(0, 5)))).to.equal(null);
+        expect(codec.decode(tools._bytesToBase64(new Uint8Array([...packet, 0])))).to.equal(null);
+        expect(codec.decode(tools._bytesToBase64(new Uint8Array([2, 7, 2, 0, 0xc3, 0x28, 0, 0])))).to.equal(null);
+    });
+
+    it('validates the schema', () => {
+        expect(() => tools.createCodec({ messages: { a: { id: 1 }, b: { id: 1 } } })).to.throw(/unique id/);
+        expect(() => tools.createCodec({ messages: { a: { id: 1, fields: { x: 'i64' } } } })).to.throw(/Unknown type/);
+        expect(() => codec.encode('missing')).to.throw(/Unknown message/);
+    });
+});
@@ -0,0 +1,125 @@
+const { expect } = require('chai');
+const { loadSdk } = require('./support/sdk-context');
+
+// Minimal DOM for the dev overlay
+function fakeDocument() {
+    const element = (tag) => ({
+        tag,
+        style: {},
+        childNodes: [],
+        parentNode: null,
+        listeners: {},
+        appendChild(child) { child.parentNode = this; this.childNodes.push(child); },
+        removeChild(child) { child.parentNode = null; this.childNodes.splice(this.childNodes.indexOf(child), 1); },
+        addEventListener(type, listener) { this.listeners[type] = listener; }
+    });
+    return { body: element('body'), createElement: element, addEventListener() {} };
+}
+
+function fakeWindow() {
+    const listeners = {};
+    return {
+        listeners,
+        addEventListener(type, listener) { listeners[type] = listener; }
+    };
+}
+
+describe('SpixiAppSdk.errors', function () {
+    let env;
+    let logged;
+
+    beforeEach(() => {
+        logged = [];
+        env = loadSdk({ globals: { console: { ...console, error: (...args) => logged.push(args) } } });
+    });
+
+    it('reports exceptions of UI commands instead of alerting', () => {
+        const records = [];
+        env.sdk.onError = (record) => records.push(record);
+        function onInit() { throw new TypeError('bad init'); }
+
+        env.tools.executeUiCommand(onInit, btoa('session'), btoa('alice'));
+
+        expect(records).to.have.length(1);
+        expect(records[0]).to.include({ message: 'bad init', name: 'TypeError', source: 'ui-command' });
+        expect(records[0].context).to.deep.equal({ command: 'onInit', args: ['session', 'alice'] });
+        expect(records[0].stack).to.be.a('string');
+        expect(logged).to.have.length(1);
+    });
+
+    it('reports listener errors and keeps calling the other listeners', () => {
+        const records = [];
+        const calls = [];
+        env.sdk.on('error', (record) => records.push(record));
+        env.sdk.on('network-data', () => { throw new Error('boom'); });
+        env.sdk.on('network-data', () => calls.push('second'));
+
+        env.sdk.onNetworkData('alice', 'hello');
+
+        expect(calls).to.deep.equal(['second']);
+        expect(records[0]).to.include({ message: 'boom', source: 'listener' });
+        expect(records[0].context).to.deep.equal({ event: 'network-data' });
+    });
+
+    it('does not loop when an error listener throws', () => {
+        const records = [];
+        env.sdk.on('error', () => { throw new Error('listener broke'); });
+        env.sdk.on('error', (record) => records.push(record.message));
+
+        env.sdk.errors.report('first');
+
+        expect(records).to.deep.equal(['first']);
+        expect(logged).to.have.length(2);
+    });
+
+    it('sends reports to the host without the callback arguments when enabled', () => {
+        env.sdk.errors.report(new Error('hidden'));
+        expect(env.commands).to.be.empty;
+
+        env.sdk.errors.configure({ reportToHost: true });
+        env.tools.executeUiCommand(function onNetworkData() { throw new Error('boom'); }, btoa('alice'), btoa('secret'));
+
+        expect(env.commands).to.have.length(1);
+        const action = JSON.parse(env.commands[0].substring('ixian:action'.length));
+        expect(action.command).to.equal('reportError');
+        expect(action.error).to.include({ message: 'boom', name: 'Error', source: 'ui-command' });
+        expect(action.error.context).to.deep.equal({ command: 'onNetworkData' });
+        expect(env.commands[0]).to.not.include('secret');
+    });
+
+    it('hooks uncaught errors and unhandled rejections of the window', () => {
+        const window = fakeWindow();
+        env = loadSdk({ globals: { window, console: { ...console, error: () => {} } } });
+        const records = [];
+        env.sdk.onError = (record) => records.push(record);
+
+        window.listeners.error({ error: new Error('uncaught'), message: 'uncaught', filename: 'app.js', lineno: 3, colno: 7 });
+        window.listeners.unhandledrejection({ reason: new Error('rejected') });
+
+        expect(records.map((record) => [record.source, record.message])).to.deep.equal([
+            ['window', 'uncaught'],
+            ['unhandled-rejection', 'rejected']
+        ]);
+        expect(records[0].context).to.deep.equal({ filename: 'app.js', line: 3, column: 7 });
+    });
+
+    it('shows the latest errors in the dev overlay', () => {
+        const document = fakeDocument();
+        env = loadSdk({ globals: { document, console: { ...console, error: () => {} } } });
+
+        env.sdk.errors.report(new Error('hidden'));
+        expect(document.body.childNodes).to.be.empty;
+
+        env.sdk.errors.configure({ overlay: true, maxOverlayEntries: 2 });
+        ['one', 'two', 'three'].forEach((message) => env.sdk.errors.report(new Error(message)));
+
+        const overlay = document.body.childNodes[0];
+        expect(overlay.id).to.equal('spixi-error-overlay');
+        expect(overlay.childNodes.map((entry) => entry.textContent.split('\n')[0])).to.deep.equal(['[app] two', '[app] three']);
+
+        overlay.listeners.click();
+        expect(document.body.childNodes).to.be.empty;
+        env.sdk.errors.report(new Error('four'));
+        expect(document.body.childNodes).to.have.length(1);
+    });
+});
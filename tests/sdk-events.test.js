@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const { loadSdk } = require('./support/sdk-context');
+
+describe('SpixiAppSdk event bus', function () {
+    let env;
+
+    beforeEach(() => {
+        env = loadSdk();
+    });
+
+    it('dispatches host callbacks to every listener in registration order', () => {
+        const calls = [];
+        env.sdk.on('network-data', (sender, data) => calls.push(['first', sender, data]));
+        env.sdk.on('network-data', (sender, data) => calls.push(['second', sender, data]));
+
+        env.sdk.onNetworkData('addr', 'hello');
+        expect(calls).to.deep.equal([['first', 'addr', 'hello'], ['second', 'addr', 'hello']]);
+    });
+
+    it('keeps the legacy handler property as one of the listeners', () => {
+        const calls = [];
+        env.sdk.on('init', () => calls.push('listener'));
+        env.sdk.onInit = () => calls.push('legacy');
+
+        env.sdk.onInit('session', 'a,b');
+        expect(calls).to.deep.equal(['legacy', 'listener']);
+    });
+
+    it('isolates listener errors', () => {
+        const calls = [];
+        const originalError = console.error;
+        console.error = () => calls.push('logged');
+        try {
+            env.sdk.on('app-end-session', () => { throw new Error('boom'); });
+            env.sdk.on('app-end-session', () => calls.push('second'));
+            env.sdk.onAppEndSession('data');
+        } finally {
+            console.error = originalError;
+        }
+        expect(calls).to.deep.equal(['logged', 'second']);
+    });
+
+    it('removes listeners with off, once and the returned function', () => {
+        const calls = [];
+        const listener = () => calls.push('off');
+        env.sdk.on('request-accept', listener);
+        const remove = env.sdk.on('request-accept', () => calls.push('removed'));
+        env.sdk.once('request-accept', () => calls.push('once'));
+
+        env.sdk.off('request-accept', listener);
+        remove();
+        env.sdk.onRequestAccept('1');
+        env.sdk.onRequestAccept('2');
+        expect(calls).to.deep.equal(['once']);
+    });
+
+    it('keeps SDK listeners when every listener of an event is removed', async () => {
+        const calls = [];
+        env.sdk.on('storage-data', () => calls.push('app'));
+        env.sdk.off('storage-data');
+
+        const value = env.sdk.storage.get('key');
+        env.sdk.onStorageData('key', 'value');
+        expect(await value).to.equal('value');
+        expect(calls).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const { loadPeers } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.handshake', function () {
+    let peers;
+
+    afterEach(() => {
+        for (const peer of [peers.alice, peers.bob]) {
+            peer.sdk.presence.stop();
+            peer.sdk.handshake.stop();
+        }
+    });
+
+    it('elects exactly one host once both sides have connected', async () => {
+        peers = loadPeers();
+        const events = [];
+        peers.bob.sdk.on('handshake-complete', (result) => events.push(result.role));
+
+        const [alice, bob] = await Promise.all([
+            peers.alice.sdk.handshake.start({ version: '1.0' }),
+            peers.bob.sdk.handshake.start({ version: '1.0' })
+        ]);
+
+        expect([alice.role, bob.role].sort()).to.deep.equal(['guest', 'host']);
+        expect(alice.isHost).to.not.equal(bob.isHost);
+        expect(alice.peers).to.deep.equal(['bob']);
+        expect(events).to.deep.equal([bob.role]);
+    });
+
+    it('treats userAddresses as the other users, like the roster does', async () => {
+        peers = loadPeers();
+        const session = await peers.alice.sdk.ready;
+        const [result] = await Promise.all([
+            peers.alice.sdk.handshake.start({ version: '1.0' }),
+            peers.bob.sdk.handshake.start({ version: '1.0' })
+        ]);
+
+        expect(session.userAddresses).to.deep.equal(['bob']);
+        expect(result.peers).to.deep.equal(['bob']);
+        expect(peers.alice.sdk.roster.localAddress).to.equal('alice');
+    });
+
+    it('completes when the first hellos are lost', async () => {
+        let dropped = 0;
+        peers = loadPeers((command) => !command.includes('spx:hs:') || dropped++ >= 2);
+        peers.alice.sdk.handshake.retryInterval = 20;
+        peers.bob.sdk.handshake.retryInterval = 20;
+
+        const results = await Promise.all([
+            peers.alice.sdk.handshake.start({ version: '1.0' }),
+            peers.bob.sdk.handshake.start({ version: '1.0' })
+        ]);
+        expect(results.filter((result) => result.isHost)).to.have.length(1);
+    });
+
+    it('reports peers running another version', async () => {
+        peers = loadPeers();
+        const failure = new Promise((resolve) => peers.alice.sdk.once('handshake-failed', resolve));
+        peers.alice.sdk.handshake.start({ version: '1.0' });
+        peers.bob.sdk.handshake.start({ version: '2.0' });
+
+        const result = await failure;
+        expect(result.address).to.equal('bob');
+        expect(result.reason).to.equal('version');
+        expect(peers.alice.sdk.handshake.complete).to.equal(false);
+    });
+
+    it('checks the version of the manifest by default', async () => {
+        peers = loadPeers();
+        peers.alice.sdk.setManifest({ id: 'com.example.game', version: '1.1.0' });
+        peers.bob.sdk.setManifest({ id: 'com.example.game', version: '1.0.2' });
+        const failure = new Promise((resolve) => peers.alice.sdk.once('handshake-failed', resolve));
+        peers.alice.sdk.handshake.start();
+        peers.bob.sdk.handshake.start();
+
+        expect(await failure).to.include({ address: 'bob', reason: 'version', version: '1.0.2' });
+        expect(peers.alice.sdk.handshake.version).to.equal('1.1.0');
+    });
+});
@@ -0,0 +1,59 @@
+const { expect } = require('chai');
+const { loadSdk } = require('./support/sdk-context');
+
+function fakeDocument() {
+    const listeners = {};
+    return {
+        hidden: false,
+        readyState: 'complete',
+        addEventListener(type, listener) { listeners[type] = listener; },
+        fire(type) { listeners[type](); }
+    };
+}
+
+describe('SpixiAppSdk lifecycle', function () {
+    let env;
+    let document;
+
+    beforeEach(() => {
+        document = fakeDocument();
+        env = loadSdk({ globals: { document } });
+    });
+
+    it('fires onload once and resolves ready from onInit', async () => {
+        const ready = env.sdk.init();
+        env.sdk.init();
+        expect(env.commands).to.deep.equal(['ixian:onload']);
+
+        env.sdk.onInit('session', 'addr1, addr2');
+        const session = await ready;
+        expect(session.sessionId).to.equal('session');
+        expect(session.userAddresses).to.deep.equal(['addr1', 'addr2']);
+        expect(env.sdk.lifecycle.state).to.equal('running');
+    });
+
+    it('passes the session to an init callback', async () => {
+        let received = null;
+        env.sdk.init((session) => { received = session; });
+        env.sdk.onInit('session', 'addr1');
+        await env.sdk.ready;
+        expect(received.sessionId).to.equal('session');
+    });
+
+    it('emits pause, resume and end', () => {
+        const events = [];
+        ['pause', 'resume', 'end'].forEach((event) => env.sdk.on(event, () => events.push(event)));
+        env.sdk.onInit('session', 'addr1');
+
+        document.hidden = true;
+        document.fire('visibilitychange');
+        document.hidden = false;
+        document.fire('visibilitychange');
+        env.sdk.onAppEndSession('done');
+        document.hidden = true;
+        document.fire('visibilitychange');
+
+        expect(events).to.deep.equal(['pause', 'resume', 'end']);
+        expect(env.sdk.lifecycle.state).to.equal('ended');
+    });
+});
@@ -0,0 +1,126 @@
+const { expect } = require('chai');
+const { loadSdk, wait } = require('./support/sdk-context');
+
+function silentConsole(calls = []) {
+    const record = (name) => (...args) => calls.push([name, ...args]);
+    return { debug: record('debug'), log: record('log'), info: record('info'), warn: record('warn'), error: record('error') };
+}
+
+// Serves the SDK like the dev server does, recording the requests sent with fetch
+function loadDevSdk(search = '') {
+    const requests = [];
+    const env = loadSdk({
+        globals: {
+            console: silentConsole(),
+            location: { hostname: 'localhost', pathname: '/apps/com.baracuda.spixi.pong/app/index.html', search, href: '' },
+            fetch: (url, options) => {
+                // The SDK also reads appinfo.spixi from the dev server
+                if (!options) return Promise.resolve({ ok: false });
+                requests.push({ url, body: JSON.parse(options.body) });
+                return Promise.resolve({ ok: true });
+            }
+        }
+    });
+    return { ...env, requests };
+}
+
+describe('SpixiAppSdk.log', function () {
+    it('buffers entries with levels and tags and echoes them to the console', () => {
+        const calls = [];
+        const env = loadSdk({ globals: { console: silentConsole(calls) } });
+        const log = env.sdk.log;
+
+        log.info('started', { players: 2 });
+        log.tag('pong').warn('late packet', 42);
+        log.configure({ level: 'info' });
+        log.debug('ignored');
+        log.error(new Error('boom'));
+
+        const entries = log.entries();
+        expect(entries.map((entry) => [entry.level, entry.tag, entry.message.split('\n')[0]])).to.deep.equal([
+            ['info', 'app', 'started {"players":2}'],
+            ['warn', 'pong', 'late packet 42'],
+            ['error', 'app', 'Error: boom']
+        ]);
+        expect(log.entries({ level: 'warn' })).to.have.length(2);
+        expect(log.entries({ tag: 'pong' })).to.have.length(1);
+        expect(calls.map((call) => call.slice(0, 2))).to.deep.equal([
+            ['log', '[app]'], ['warn', '[pong]'], ['error', '[app]']
+        ]);
+    });
+
+    it('keeps only the latest entries', () => {
+        const env = loadSdk({ globals: { console: silentConsole() } });
+        env.sdk.log.configure({ bufferSize: 3 });
+
+        [1, 2, 3, 4, 5].forEach((n) => env.sdk.log.info('entry', n));
+
+        expect(env.sdk.log.entries().map((entry) => entry.message)).to.deep.equal(['entry 3', 'entry 4', 'entry 5']);
+    });
+
+    it('captures console calls and restores the console', () => {
+        const calls = [];
+        const fakeConsole = silentConsole(calls);
+        const env = loadSdk({ globals: { console: fakeConsole } });
+
+        env.sdk.log.configure({ captureConsole: true });
+        fakeConsole.log('Ball reset', 3);
+        fakeConsole.error('oops');
+        env.sdk.log.configure({ captureConsole: false });
+        fakeConsole.log('not captured');
+
+        expect(env.sdk.log.entries().map((entry) => [entry.level, entry.tag, entry.message])).to.deep.equal([
+            ['info', 'console', 'Ball reset 3'],
+            ['error', 'console', 'oops']
+        ]);
+        expect(calls).to.deep.equal([['log', 'Ball reset', 3], ['error', 'oops'], ['log', 'not captured']]);
+    });
+
+    it('forwards batches to the host when enabled', async () => {
+        const env = loadSdk({ globals: { console: silentConsole() } });
+        env.sdk.log.info('before');
+        env.sdk.log.configure({ forwardToHost: true, flushInterval: 50 });
+        env.sdk.log.info('first');
+        env.sdk.log.tag('net').warn('second');
+        expect(env.commands).to.be.empty;
+
+        await wait(100);
+
+        expect(env.commands).to.have.length(1);
+        const action = JSON.parse(env.commands[0].substring('ixian:action'.length));
+        expect(action.command).to.equal('log');
+        expect(action.entries.map((entry) => entry.message)).to.deep.equal(['first', 'second']);
+    });
+
+    it('logs reported errors', () => {
+        const env = loadSdk({ globals: { console: silentConsole() } });
+
+        env.sdk.errors.report(new Error('broken'), { source: 'listener', context: { event: 'init' } });
+
+        const entry = env.sdk.log.entries()[0];
+        expect(entry).to.include({ level: 'error', tag: 'listener' });
+        expect(entry.message).to.include('Error: broken').and.include('{"event":"init"}');
+    });
+
+    it('sends entries to the dev server with the app id and simulated user', async () => {
+        const env = loadDevSdk('?user=alice');
+        env.sdk.log.info('hello');
+        env.sdk.log.flush();
+
+        expect(env.requests).to.have.length(1);
+        expect(env.requests[0].url).to.equal('/api/logs');
+        expect(env.requests[0].body).to.include({ app: 'com.baracuda.spixi.pong', user: 'alice' });
+        expect(env.requests[0].body.entries[0]).to.include({ level: 'info', tag: 'app', message: 'hello' });
+    });
+
+    it('flushes when the app is paused', () => {
+        const env = loadDevSdk();
+        env.sdk.log.info('hello');
+
+        env.sdk.onInit('session', 'bob');
+        env.sdk._setLifecycleState('paused');
+
+        expect(env.requests).to.have.length(1);
+        expect(env.requests[0].body.user).to.equal(env.sdk._instanceId);
+    });
+});
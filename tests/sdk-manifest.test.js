@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const { loadSdk, wait } = require('./support/sdk-context');
+
+const coinflipInfo = [
+    'caVersion = 0',
+    'id = com.baracuda.spixi.coinflip',
+    'name = Coin Flip',
+    'version = 1.0.2',
+    'capabilities = multiUser,transactionSigning',
+    'maxUsers = 2',
+    'minUsers = 2',
+    'protocols = '
+].join('\r\n');
+
+describe('SpixiAppSdk.manifest', function () {
+    it('is unknown until a manifest is set', () => {
+        const env = loadSdk();
+
+        expect(env.sdk.manifest).to.equal(null);
+        expect(env.sdk.hasCapability('multiUser')).to.equal(false);
+        expect(env.sdk.declaredProtocols).to.equal(null);
+    });
+
+    it('reads the manifest embedded by the packer', () => {
+        const env = loadSdk({
+            globals: {
+                SpixiAppManifest: {
+                    id: 'com.ixilabs.spixi.gate-control',
+                    name: 'Gate Control',
+                    version: '1.0.2',
+                    capabilities: ['multiUser'],
+                    minUsers: null,
+                    maxUsers: 2,
+                    protocols: ['com.ixilabs.gatecontrol']
+                }
+            }
+        });
+
+        expect(env.sdk.manifest).to.include({ id: 'com.ixilabs.spixi.gate-control', maxUsers: 2, minUsers: null, source: 'packer' });
+        expect(env.sdk.hasCapability('multiuser')).to.equal(true);
+        expect(env.sdk.hasCapability('transactionSigning')).to.equal(false);
+        expect(env.sdk.declaredProtocols).to.deep.equal(['com.ixilabs.gatecontrol']);
+    });
+
+    it('parses appinfo.spixi text passed by the host and emits the manifest event', () => {
+        const env = loadSdk();
+        const events = [];
+        env.sdk.on('manifest', (manifest) => events.push(manifest.id));
+
+        const manifest = env.sdk.setManifest(coinflipInfo);
+
+        expect(manifest).to.deep.equal({
+            id: 'com.baracuda.spixi.coinflip',
+            name: 'Coin Flip',
+            version: '1.0.2',
+            publisher: null,
+            capabilities: ['multiUser', 'transactionSigning'],
+            minUsers: 2,
+            maxUsers: 2,
+            protocols: [],
+            source: 'host'
+        });
+        expect(events).to.deep.equal(['com.baracuda.spixi.coinflip']);
+        expect(env.sdk.hasCapability('transactionSigning')).to.equal(true);
+    });
+
+    it('accepts the manifest as base64 JSON through a UI command', () => {
+        const env = loadSdk();
+
+        env.tools.executeUiCommand(env.sdk.setManifest, btoa(JSON.stringify({ id: 'app', capabilities: 'singleUser, authentication' })));
+
+        expect(env.sdk.manifest.capabilities).to.deep.equal(['singleUser', 'authentication']);
+    });
+
+    it('prefers the host manifest over the embedded one', () => {
+        const env = loadSdk({ globals: { SpixiAppManifest: { id: 'app', capabilities: [] } } });
+
+        env.sdk.setManifest({ id: 'app', capabilities: ['multiUser'] });
+        env.sdk.setManifest({ id: 'app', capabilities: [] }, 'packer');
+
+        expect(env.sdk.manifest.source).to.equal('host');
+        expect(env.sdk.hasCapability('multiUser')).to.equal(true);
+    });
+
+    it('keeps the current manifest when the new one is invalid', () => {
+        const errors = [];
+        const env = loadSdk({ globals: { console: { ...console, error: () => {} } } });
+        env.sdk.onError = (record) => errors.push(record.message);
+
+        env.sdk.setManifest({ id: 'app' });
+        env.sdk.setManifest('name = no id');
+
+        expect(env.sdk.manifest.id).to.equal('app');
+        expect(errors).to.deep.equal(['Invalid manifest']);
+    });
+
+    it('reads appinfo.spixi from the dev server', async () => {
+        const urls = [];
+        const env = loadSdk({
+            globals: {
+                location: { hostname: 'localhost', pathname: '/apps/com.baracuda.spixi.coinflip/app/index.html', search: '', href: '' },
+                fetch: (url) => {
+                    urls.push(url);
+                    return Promise.resolve({ ok: true, text: () => Promise.resolve(coinflipInfo) });
+                }
+            }
+        });
+        await wait(0);
+
+        expect(urls).to.deep.equal(['../appinfo.spixi']);
+        expect(env.sdk.manifest).to.include({ id: 'com.baracuda.spixi.coinflip', source: 'dev-server' });
+    });
+});
@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const { loadPeers, wait } = require('./support/sdk-context');
+
+function received(sdk) {
+    const messages = [];
+    sdk.on('network-data', (sender, data) => messages.push([sender, data]));
+    return messages;
+}
+
+describe('SpixiAppSdk.outbox', function () {
+    it('delivers a message once and resolves when it was acknowledged', async () => {
+        const { alice, bob } = loadPeers();
+        const messages = received(bob.sdk);
+        const delivered = [];
+        alice.sdk.on('outbox-delivered', (item) => delivered.push(item));
+
+        await alice.sdk.outbox.send('move:4');
+        // A retransmission of the same message isn't delivered again
+        alice.sdk.outbox._transmit({ id: delivered[0].id, expires: Date.now() + 1000, data: 'move:4' });
+        await wait(50);
+
+        expect(messages).to.deep.equal([['alice', 'move:4']]);
+        expect(delivered.map((item) => item.data)).to.deep.equal(['move:4']);
+        expect(alice.sdk.outbox.pending()).to.deep.equal([]);
+    });
+
+    it('sends pending messages again when the peer comes back online', async () => {
+        let offline = true;
+        const { alice, bob } = loadPeers(() => !offline);
+        const messages = received(bob.sdk);
+
+        let resolved = false;
+        const sent = alice.sdk.outbox.send('bet:heads').then(() => { resolved = true; });
+        await wait(50);
+        expect(messages).to.deep.equal([]);
+        expect(alice.sdk.outbox.pending()).to.have.length(1);
+        expect(alice.sdk.outbox.pending()[0].to).to.deep.equal(['bob']);
+
+        offline = false;
+        await bob.sdk.sendNetworkData('hello');
+        await sent;
+
+        expect(resolved).to.equal(true);
+        expect(messages).to.deep.equal([['alice', 'bet:heads']]);
+    });
+
+    it('keeps pending messages and delivered ids across a reopen', async () => {
+        const storages = { alice: {}, bob: {} };
+        // Bob receives the message but his acknowledgements get lost
+        let peers = loadPeers((command, from) => from == 'alice', {
+            alice: { storage: storages.alice },
+            bob: { storage: storages.bob }
+        });
+        const before = received(peers.bob.sdk);
+        peers.alice.sdk.outbox.send('move:0').catch(() => {});
+        // Leaves the queue time to write the storage
+        await wait(150);
+        expect(before).to.deep.equal([['alice', 'move:0']]);
+        peers.alice.sdk.outbox.stop();
+        peers.bob.sdk.outbox.stop();
+
+        peers = loadPeers(() => true, { alice: { storage: storages.alice }, bob: { storage: storages.bob } });
+        // The stored messages are restored on the first retry
+        peers.alice.sdk.outbox.configure({ retryInterval: 20 });
+        const after = received(peers.bob.sdk);
+        const delivered = [];
+        peers.alice.sdk.on('outbox-delivered', (item) => delivered.push(item.data));
+        await wait(100);
+
+        expect(after).to.deep.equal([]);
+        expect(delivered).to.deep.equal(['move:0']);
+        expect(peers.alice.sdk.outbox.pending()).to.deep.equal([]);
+    });
+
+    it('drops messages that expire before the peer received them', async () => {
+        const { alice } = loadPeers(() => false);
+        alice.sdk.outbox.configure({ retryInterval: 20 });
+        const expired = [];
+        alice.sdk.on('outbox-expired', (item) => expired.push(item));
+
+        let error = null;
+        await alice.sdk.outbox.send('move:8', { ttl: 50 }).catch((e) => { error = e; });
+
+        expect(error.code).to.equal('expired');
+        expect(expired).to.have.length(1);
+        expect(expired[0].data).to.equal('move:8');
+        expect(expired[0].to).to.deep.equal(['bob']);
+        expect(alice.sdk.outbox.pending()).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { loadSdk, wait } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.payments', function () {
+    let env;
+
+    beforeEach(() => {
+        env = loadSdk();
+    });
+
+    function lastAction() {
+        const command = env.commands[env.commands.length - 1];
+        return JSON.parse(command.substring('ixian:action'.length));
+    }
+
+    it('sends the payment action and resolves when the host accepts it', async () => {
+        const statuses = [];
+        env.sdk.on('payment-status', (record) => statuses.push(record.status));
+        const accepted = [];
+        env.sdk.onRequestAccept = (data) => accepted.push(data);
+
+        const payment = env.sdk.payments.request({ to: 'bob', amount: 1.5, memo: 'Coin flip' });
+        await wait(0);
+        const action = lastAction();
+        expect(action).to.include({ command: 'sendPayment', to: 'bob', amount: '1.5', memo: 'Coin flip' });
+
+        env.sdk.onRequestAccept(JSON.stringify({ requestId: action.requestId, txid: 'abc' }));
+        const record = await payment;
+
+        expect(record).to.include({ requestId: action.requestId, status: 'paid', amount: '1.5' });
+        expect(record.data).to.deep.equal({ requestId: action.requestId, txid: 'abc' });
+        expect(env.sdk.payments.get(action.requestId).status).to.equal('paid');
+        expect(statuses).to.deep.equal(['pending', 'paid']);
+        expect(accepted).to.have.length(1);
+    });
+
+    it('rejects when the host declines the matching request', async () => {
+        const first = env.sdk.payments.request({ to: 'bob', amount: '2' });
+        await wait(0);
+        const firstId = lastAction().requestId;
+        env.sdk.payments.request({ to: 'carol', amount: '0.00000001' });
+        await wait(20);
+
+        env.sdk.onRequestReject(firstId);
+        let error;
+        try {
+            await first;
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.match(/declined/);
+        expect(error.payment).to.include({ status: 'declined', to: 'bob' });
+        expect(env.sdk.payments.list().map((record) => record.status)).to.deep.equal(['declined', 'pending']);
+    });
+
+    it('validates amounts and recipients', async () => {
+        for (const amount of [0, -1, '1e3', '1.123456789', 'abc', null, NaN]) {
+            let error;
+            await env.sdk.payments.request({ to: 'bob', amount }).catch((e) => { error = e; });
+            expect(error, String(amount)).to.be.an('error');
+        }
+        let error;
+        await env.sdk.payments.request({ to: ' ', amount: 1 }).catch((e) => { error = e; });
+        expect(error.message).to.match(/recipient/);
+        expect(env.commands).to.deep.equal([]);
+        expect(env.sdk.payments._normalizeAmount(0.1 + 0.2)).to.equal('0.3');
+        expect(env.sdk.payments._normalizeAmount('007.50')).to.equal('7.50');
+    });
+
+    it('fails requests the host never answers', async () => {
+        env.sdk.payments.timeout = 20;
+        let error;
+        await env.sdk.payments.request({ to: 'bob', amount: 1 }).catch((e) => { error = e; });
+        expect(error.payment.status).to.equal('failed');
+    });
+});
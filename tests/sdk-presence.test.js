@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+const { loadSdk, loadPeers, wait } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.presence', function () {
+    let peers;
+
+    afterEach(() => {
+        peers.alice.sdk.presence.stop();
+        peers.bob.sdk.presence.stop();
+    });
+
+    it('marks peers online from traffic and measures the round-trip time', async () => {
+        peers = loadPeers();
+        const events = [];
+        peers.alice.sdk.on('peer-online', (address) => events.push(address));
+        peers.alice.sdk.presence.configure({ heartbeatInterval: 20 });
+        peers.bob.sdk.presence.configure({ heartbeatInterval: 20 });
+
+        await wait(100);
+        const bob = peers.alice.sdk.presence.get('bob');
+        expect(events).to.deep.equal(['bob']);
+        expect(bob.status).to.equal('online');
+        expect(bob.lastSeen).to.be.above(0);
+        expect(peers.alice.sdk.presence.rtt('bob')).to.be.a('number');
+    });
+
+    it('reports idle and offline peers once they go silent', async () => {
+        let bobConnected = true;
+        peers = loadPeers((command, from) => from != 'bob' || bobConnected);
+        const events = [];
+        ['peer-online', 'peer-idle', 'peer-offline'].forEach((event) => {
+            peers.alice.sdk.on(event, () => events.push(event));
+        });
+        peers.alice.sdk.presence.configure({ heartbeatInterval: 10, idleAfter: 60, offlineAfter: 120 });
+        peers.bob.sdk.presence.configure({ heartbeatInterval: 10 });
+
+        await wait(50);
+        bobConnected = false;
+        await wait(250);
+        expect(events).to.deep.equal(['peer-online', 'peer-idle', 'peer-offline']);
+    });
+
+    it('sends heartbeats only while running in a session with other users', async () => {
+        const document = {
+            hidden: false,
+            readyState: 'complete',
+            addEventListener(type, listener) { this.listener = listener; }
+        };
+        const alone = loadSdk();
+        const env = loadSdk({ globals: { document } });
+        // Stopped by afterEach
+        peers = { alice: alone, bob: env };
+        alone.sdk.presence.configure({ heartbeatInterval: 10 });
+        env.sdk.presence.configure({ heartbeatInterval: 10 });
+        alone.sdk.onInit('session', '');
+        env.sdk.onInit('session', 'bob');
+
+        document.hidden = true;
+        document.listener();
+        await wait(20);
+        const heartbeats = (commands) => commands.filter((command) => command.includes('spx:hb:')).length;
+        const paused = heartbeats(env.commands);
+        await wait(60);
+        expect(heartbeats(env.commands)).to.equal(paused);
+
+        document.hidden = false;
+        document.listener();
+        await wait(60);
+        expect(heartbeats(env.commands)).to.be.above(paused);
+        expect(heartbeats(alone.commands)).to.equal(0);
+    });
+});
@@ -0,0 +1,187 @@
+const { expect } = require('chai');
+const { loadSdk, loadPeers, wait } = require('./support/sdk-context');
+
+const gateSchema = {
+    type: 'object',
+    required: ['action'],
+    additionalProperties: false,
+    properties: {
+        action: { enum: ['toggle', 'ping'] },
+        ts: { type: 'integer', minimum: 0 }
+    }
+};
+
+describe('SpixiAppSdk.protocol', function () {
+    it('delivers parsed messages of its own protocol only', async () => {
+        const peers = loadPeers();
+        const received = [];
+        const all = [];
+        peers.bob.sdk.protocol('com.ixilabs.gatecontrol').on((message, sender) => received.push([message, sender]));
+        peers.bob.sdk.on('network-protocol-data', (sender, protocolId) => all.push(protocolId));
+
+        peers.alice.sdk.protocol('com.ixilabs.gatecontrol').send({ action: 'toggle' });
+        peers.alice.sdk.sendNetworkProtocolData('com.example.other', '{"action":"toggle"}');
+        peers.alice.sdk.sendNetworkProtocolData('com.ixilabs.gatecontrol', 'not json');
+        await wait(300);
+
+        expect(received).to.deep.equal([[{ action: 'toggle' }, 'alice'], ['not json', 'alice']]);
+        expect(all).to.deep.equal(['com.ixilabs.gatecontrol', 'com.example.other', 'com.ixilabs.gatecontrol']);
+    });
+
+    it('returns the same handle for an id and stops delivering after unsubscribe or close', async () => {
+        const peers = loadPeers();
+        const handle = peers.bob.sdk.protocol('gate');
+        expect(peers.bob.sdk.protocol('gate')).to.equal(handle);
+
+        const received = [];
+        const remove = handle.on((message) => received.push(message));
+        peers.alice.sdk.protocol('gate').send(1);
+        await wait(100);
+        remove();
+        peers.alice.sdk.protocol('gate').send(2);
+        await wait(100);
+        expect(received).to.deep.equal([1]);
+
+        handle.on((message) => received.push(message));
+        handle.close();
+        expect(peers.bob.sdk.protocol('gate')).to.not.equal(handle);
+        peers.alice.sdk.protocol('gate').send(3);
+        await wait(100);
+        expect(received).to.deep.equal([1]);
+    });
+
+    it('refuses to send messages that do not match the schema', () => {
+        const env = loadSdk();
+        const gate = env.sdk.protocol('gate', { schema: gateSchema });
+
+        expect(() => gate.send({ action: 'open' })).to.throw(/message.action should be one of/);
+        expect(() => gate.send({ action: 'ping', ts: 1.5 })).to.throw(/message.ts should be integer/);
+        expect(env.commands.filter((command) => command.startsWith('ixian:protocolData'))).to.be.empty;
+
+        gate.send({ action: 'ping', ts: 5 });
+        expect(env.commands.filter((command) => command.startsWith('ixian:protocolData'))).to.have.length(1);
+    });
+
+    it('drops invalid incoming messages and reports them', async () => {
+        const peers = loadPeers();
+        const received = [];
+        const invalid = [];
+        peers.bob.sdk.protocol('gate', {
+            schema: gateSchema,
+            onInvalid: (errors, data, sender) => invalid.push([errors, data, sender])
+        }).on((message) => received.push(message));
+
+        peers.alice.sdk.protocol('gate').send({ action: 'ping', extra: true });
+        peers.alice.sdk.protocol('gate').send({ action: 'toggle' });
+        await wait(100);
+
+        expect(received).to.deep.equal([{ action: 'toggle' }]);
+        expect(invalid).to.deep.equal([[['message.extra is not allowed'], '{"action":"ping","extra":true}', 'alice']]);
+    });
+
+    it('logs invalid incoming messages without onInvalid', async () => {
+        const peers = loadPeers();
+        peers.bob.sdk.log.configure({ echo: false });
+        peers.bob.sdk.protocol('gate', { schema: gateSchema });
+
+        peers.alice.sdk.protocol('gate').send({ action: 'ping', extra: true });
+        await wait(100);
+
+        expect(peers.bob.sdk.log.entries({ tag: 'protocol' }).map((entry) => [entry.level, entry.message])).to.deep.equal([
+            ['warn', "Dropped invalid message for protocol 'gate' from alice: message.extra is not allowed"]
+        ]);
+    });
+
+    it('receives messages that arrived in fragments', async () => {
+        const peers = loadPeers();
+        peers.alice.sdk.transfer.configure({ fragmentSize: 10 });
+        const received = [];
+        peers.bob.sdk.protocol('gate').on((message) => received.push(message));
+
+        await peers.alice.sdk.transfer.sendNetworkProtocolData('gate', JSON.stringify({ status: 'a long status message' }));
+        await wait(50);
+
+        expect(received).to.deep.equal([{ status: 'a long status message' }]);
+    });
+
+    it('warns once about protocol ids missing from appinfo', () => {
+        const env = loadSdk();
+        env.sdk.log.configure({ echo: false });
+        const warnings = () => env.sdk.log.entries({ tag: 'protocol' }).map((entry) => entry.message);
+
+        env.sdk.protocol('before-declared');
+        expect(warnings()).to.be.empty;
+
+        env.sdk.declaredProtocols = ['com.ixilabs.gatecontrol'];
+        env.sdk.protocol('com.ixilabs.gatecontrol');
+        env.sdk.protocol('com.example.other');
+        env.sdk.protocol('com.example.other').close();
+        env.sdk.protocol('com.example.other');
+
+        expect(warnings()).to.have.length(1);
+        expect(warnings()[0]).to.include("'com.example.other' is not declared");
+    });
+
+    it('checks open handles when the protocols are declared', () => {
+        const env = loadSdk();
+        env.sdk.log.configure({ echo: false });
+        const warnings = () => env.sdk.log.entries({ tag: 'protocol' }).map((entry) => entry.message);
+
+        env.sdk.protocol('com.ixilabs.gatecontrol');
+        env.sdk.protocol('com.example.other');
+        env.sdk.declareProtocols('com.ixilabs.gatecontrol, com.ixilabs.other');
+
+        expect(env.sdk.declaredProtocols).to.deep.equal(['com.ixilabs.gatecontrol', 'com.ixilabs.other']);
+        expect(warnings()).to.have.length(1);
+        expect(warnings()[0]).to.include("'com.example.other' is not declared");
+    });
+});
+
+describe('SpixiTools.validateSchema', function () {
+    let tools;
+
+    before(() => {
+        tools = loadSdk().tools;
+    });
+
+    it('accepts matching values', () => {
+        const schema = {
+            type: 'object',
+            required: ['moves'],
+            properties: {
+                moves: { type: 'array', maxItems: 9, items: { type: 'integer', minimum: 0, maximum: 8 } },
+                name: { type: ['string', 'null'], minLength: 1 },
+                kind: { const: 'state' }
+            }
+        };
+        expect(tools.validateSchema({ moves: [0, 4, 8], name: null, kind: 'state' }, schema)).to.be.empty;
+        expect(tools.validateSchema({ moves: [] }, schema)).to.be.empty;
+    });
+
+    it('lists every error with its path', () => {
+        const schema = {
+            type: 'object',
+            required: ['moves', 'name'],
+            properties: {
+                moves: { type: 'array', items: { type: 'integer', maximum: 8 } },
+                name: { type: 'string', minLength: 1 }
+            }
+        };
+        expect(tools.validateSchema({ moves: [1, 9, 'x'], name: '' }, schema)).to.deep.equal([
+            'value.moves[1] should be at most 8',
+            'value.moves[2] should be integer',
+            'value.name should have at least 1 characters'
+        ]);
+        expect(tools.validateSchema({}, schema)).to.deep.equal(['value.moves is required', 'value.name is required']);
+        expect(tools.validateSchema([], schema)).to.deep.equal(['value should be object']);
+        expect(tools.validateSchema(null, { type: 'object' })).to.deep.equal(['value should be object']);
+    });
+
+    it('handles objects that shadow hasOwnProperty', () => {
+        const schema = { type: 'object', required: ['moves'], additionalProperties: false };
+        expect(tools.validateSchema(JSON.parse('{"hasOwnProperty":1}'), schema)).to.deep.equal([
+            'value.moves is required',
+            'value.hasOwnProperty is not allowed'
+        ]);
+    });
+});
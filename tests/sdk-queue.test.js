@@ -0,0 +1,44 @@
+const { expect } = require('chai');
+const { loadSdk } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.queue', function () {
+    let env;
+
+    beforeEach(() => {
+        env = loadSdk();
+    });
+
+    it('issues the first command immediately and spaces out the rest', async () => {
+        env.sdk.sendNetworkData('one');
+        env.sdk.sendNetworkData('two');
+        const last = env.sdk.setStorageData('key', 'value');
+        expect(env.commands).to.deep.equal(['ixian:dataone']);
+        expect(env.sdk.queue.length).to.equal(2);
+
+        await last;
+        expect(env.commands).to.deep.equal(['ixian:dataone', 'ixian:datatwo', 'ixian:setStorageDatakey=value']);
+    });
+
+    it('batches consecutive network messages when enabled', async () => {
+        env.sdk.queue.configure({ batchNetworkData: true, maxBatchSize: 2 });
+        env.sdk.sendNetworkData('one');
+        env.sdk.sendNetworkData('two');
+        env.sdk.sendNetworkData('three');
+        env.sdk.sendNetworkData('four');
+        await env.sdk.back();
+
+        expect(env.commands).to.deep.equal([
+            'ixian:dataone',
+            'ixian:dataspx:batch:["two","three"]',
+            'ixian:datafour',
+            'ixian:back'
+        ]);
+    });
+
+    it('splits received batches into separate network-data events', () => {
+        const received = [];
+        env.sdk.onNetworkData = (sender, data) => received.push(sender + ':' + data);
+        env.sdk.onNetworkData('addr', 'spx:batch:["two","three"]');
+        expect(received).to.deep.equal(['addr:two', 'addr:three']);
+    });
+});
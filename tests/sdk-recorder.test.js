@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const { loadSdk, loadPeers, wait } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.recorder', function () {
+    it('records the host callbacks and the issued commands with their time', async () => {
+        const { sdk } = loadSdk();
+        sdk.recorder.start();
+        sdk.onInit('session', 'bob');
+        sdk.onNetworkData('bob', 'move:4');
+        await sdk.sendNetworkData('move:0');
+        const trace = sdk.recorder.stop();
+
+        expect(trace.version).to.equal(1);
+        expect(trace.instanceId).to.equal(sdk._instanceId);
+        const received = trace.events.filter((event) => event.dir == 'in');
+        expect(received.map((event) => [event.name, event.args])).to.deep.equal([
+            ['onInit', ['session', 'bob']],
+            ['onNetworkData', ['bob', 'move:4']]
+        ]);
+        // Commands are recorded as issued, with encoded arguments
+        expect(trace.events.filter((event) => event.dir == 'out').map((event) => decodeURIComponent(event.command)))
+            .to.include('ixian:datamove:0');
+        trace.events.forEach((event) => expect(event.t).to.be.a('number'));
+
+        // Nothing is recorded once stopped
+        sdk.onNetworkData('bob', 'move:8');
+        expect(sdk.recorder.trace().events).to.have.length(trace.events.length);
+    });
+
+    it('keeps only the latest events', () => {
+        const { sdk } = loadSdk();
+        sdk.recorder.configure({ maxEvents: 2 });
+        sdk.recorder.start();
+        ['a', 'b', 'c'].forEach((data) => sdk.onNetworkData('bob', data));
+
+        const trace = sdk.recorder.stop();
+        expect(trace.dropped).to.equal(1);
+        expect(trace.events.map((event) => event.args[1])).to.deep.equal(['b', 'c']);
+    });
+
+    it('replays a recorded session into a new instance', async () => {
+        // An app that answers every move with the next cell
+        const app = (sdk) => {
+            const seen = [];
+            sdk.on('network-data', (sender, data) => {
+                seen.push(data);
+                sdk.sendNetworkData('move:' + (Number(data.split(':')[1]) + 1));
+            });
+            return seen;
+        };
+        const peers = loadPeers();
+        peers.bob.sdk.recorder.start();
+        const live = app(peers.bob.sdk);
+        peers.bob.sdk.onInit('session', 'alice');
+        peers.alice.sdk.sendNetworkData('move:0');
+        await wait(20);
+        peers.alice.sdk.sendNetworkData('move:4');
+        await wait(50);
+        const trace = JSON.parse(JSON.stringify(peers.bob.sdk.recorder.stop()));
+
+        const { sdk } = loadSdk();
+        const replayed = app(sdk);
+        const result = await sdk.recorder.replay(trace, { speed: 0 });
+        await wait(50);
+
+        expect(replayed).to.deep.equal(live);
+        expect(replayed).to.deep.equal(['move:0', 'move:4']);
+        expect(result.events).to.equal(trace.events.filter((event) => event.dir == 'in').length);
+        expect(result.sent.map(decodeURIComponent)).to.include('ixian:datamove:1');
+    });
+
+    it('keeps the recorded timing', async () => {
+        const { sdk } = loadSdk();
+        const times = [];
+        sdk.on('network-data', () => times.push(Date.now()));
+        const trace = {
+            version: 1,
+            events: [
+                { t: 0, dir: 'in', name: 'onNetworkData', args: ['bob', 'a'] },
+                { t: 100, dir: 'out', command: 'ixian:datab' },
+                { t: 200, dir: 'in', name: 'onNetworkData', args: ['bob', 'c'] }
+            ]
+        };
+
+        await sdk.recorder.replay(trace, { speed: 2 });
+
+        expect(times).to.have.length(2);
+        expect(times[1] - times[0]).to.be.within(90, 150);
+    });
+});
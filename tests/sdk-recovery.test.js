@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const { loadPeers, wait } = require('./support/sdk-context');
+
+// Enables recovery with a state holding the events received by the peer
+function enableRecovery(peer) {
+    const app = { events: [], restored: null };
+    peer.sdk.on('network-data', (sender, data) => app.events.push(data));
+    app.ready = peer.sdk.recovery.enable({
+        interval: 60000,
+        snapshot: () => ({ events: app.events.slice() }),
+        restore: (state) => {
+            app.restored = state;
+            app.events.push(...state.events);
+        }
+    });
+    return app;
+}
+
+describe('SpixiAppSdk.recovery', function () {
+    it('restores the snapshot and replays the events that followed it after a reopen', async () => {
+        const storages = { alice: {}, bob: {} };
+        let peers = loadPeers(undefined, { alice: { storage: storages.alice }, bob: { storage: storages.bob } });
+        enableRecovery(peers.alice);
+        let bob = enableRecovery(peers.bob);
+        await bob.ready;
+
+        await peers.alice.sdk.recovery.send('bet:1');
+        await peers.alice.sdk.recovery.send('bet:2');
+        peers.bob.sdk.recovery.save();
+        // Received after the last snapshot
+        await peers.alice.sdk.recovery.send('bet:3');
+        await wait(100);
+        expect(bob.events).to.deep.equal(['bet:1', 'bet:2', 'bet:3']);
+
+        peers = loadPeers(undefined, { alice: { storage: storages.alice }, bob: { storage: storages.bob } });
+        const restored = [];
+        peers.bob.sdk.on('recovery-restored', (event) => restored.push(event.state));
+        enableRecovery(peers.alice);
+        bob = enableRecovery(peers.bob);
+        expect(await bob.ready).to.deep.equal({ events: ['bet:1', 'bet:2'] });
+        await wait(150);
+
+        expect(restored).to.deep.equal([{ events: ['bet:1', 'bet:2'] }]);
+        expect(bob.events).to.deep.equal(['bet:1', 'bet:2', 'bet:3']);
+        expect(peers.bob.sdk.recovery.restoredAt).to.be.a('number');
+    });
+
+    it('asks for missing events when it sees a gap', async () => {
+        const { alice, bob } = loadPeers((command) => !(command.includes('spx:ob:') && command.includes('bet:2')));
+        enableRecovery(alice);
+        const app = enableRecovery(bob);
+        await app.ready;
+
+        alice.sdk.recovery.send('bet:1');
+        alice.sdk.recovery.send('bet:2');
+        alice.sdk.recovery.send('bet:3');
+        await wait(200);
+
+        expect(app.events).to.deep.equal(['bet:1', 'bet:2', 'bet:3']);
+    });
+
+    it('reports the events that dropped out of the log', async () => {
+        let online = false;
+        const { alice, bob } = loadPeers((command, from) => online || from == 'bob');
+        alice.sdk.recovery.configure({ logSize: 2 });
+        bob.sdk.recovery.configure({ requestInterval: 50 });
+        enableRecovery(alice);
+        const app = enableRecovery(bob);
+        await app.ready;
+        const gaps = [];
+        bob.sdk.on('recovery-gap', (gap) => gaps.push(gap));
+
+        for (let i = 1; i <= 4; i++) alice.sdk.recovery.send('bet:' + i).catch(() => {});
+        // Leaves the queue time to issue everything sent while bob was offline
+        await wait(300);
+        online = true;
+        alice.sdk.recovery.send('bet:5');
+        await wait(200);
+
+        expect(gaps).to.deep.equal([{ address: 'alice', from: 1, to: 3 }]);
+        expect(app.events).to.deep.equal(['bet:4', 'bet:5']);
+    });
+});
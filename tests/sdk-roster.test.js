@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const { loadSdk, wait } = require('./support/sdk-context');
+
+// Loads one SDK per user of a session in which every message reaches every other user,
+// filter(command, from, to) can return false to drop a message
+function loadSession(names, filter = () => true) {
+    const users = {};
+    const deliver = (from) => (command) => {
+        if (!command.startsWith('ixian:data')) return;
+        const data = command.substring('ixian:data'.length);
+        names.filter((to) => to != from && filter(command, from, to)).forEach((to) => {
+            setTimeout(() => users[to].sdk.onNetworkData(from, data), 0);
+        });
+    };
+    for (const name of names) {
+        users[name] = loadSdk({ onCommand: deliver(name) });
+    }
+    for (const name of names) {
+        users[name].sdk.onInit('session', names.filter((other) => other != name).join(','));
+    }
+    return users;
+}
+
+function received(sdk) {
+    const messages = [];
+    sdk.on('network-data', (sender, data) => messages.push([sender, data]));
+    return messages;
+}
+
+describe('SpixiAppSdk.roster', function () {
+    it('lists the peers in onInit and learns the local address', async () => {
+        const users = loadSession(['alice', 'bob', 'carol', 'dave']);
+        const roster = users.alice.sdk.roster;
+        let peersInOnInit = null;
+        const env = loadSdk();
+        env.sdk.onInit = () => { peersInOnInit = env.sdk.roster.peers(); };
+        env.sdk.onInit('session', 'bob, carol');
+
+        expect(peersInOnInit).to.deep.equal(['bob', 'carol']);
+        expect(roster.peers()).to.deep.equal(['bob', 'carol', 'dave']);
+        expect(roster.size).to.equal(4);
+        expect(roster.localAddress).to.equal(null);
+
+        await wait(100);
+
+        expect(roster.localAddress).to.equal('alice');
+        expect(roster.isLocal('alice')).to.equal(true);
+        expect(users.dave.sdk.roster.localAddress).to.equal('dave');
+        expect(roster.participants().map((p) => [p.address, p.local, p.joined, p.status])).to.deep.equal([
+            ['alice', true, true, 'online'],
+            ['bob', false, true, 'online'],
+            ['carol', false, true, 'online'],
+            ['dave', false, true, 'online']
+        ]);
+        expect(roster.get('eve')).to.equal(null);
+    });
+
+    it('sends to a single peer and broadcasts to all of them', async () => {
+        const users = loadSession(['alice', 'bob', 'carol']);
+        const bob = received(users.bob.sdk);
+        const carol = received(users.carol.sdk);
+
+        await users.alice.sdk.roster.sendTo('carol', 'secret move');
+        await users.alice.sdk.roster.broadcast('hello all');
+        await wait(100);
+
+        expect(bob).to.deep.equal([['alice', 'hello all']]);
+        expect(carol).to.deep.equal([['alice', 'secret move'], ['alice', 'hello all']]);
+    });
+
+    it('refuses to send to addresses outside the session', async () => {
+        const users = loadSession(['alice', 'bob']);
+
+        const error = await users.alice.sdk.roster.sendTo('mallory', 'hi').catch((e) => e);
+
+        expect(error.message).to.include("'mallory' is not a peer");
+    });
+
+    it('emits join and leave as presence changes', async () => {
+        let carolOnline = true;
+        const users = loadSession(['alice', 'bob', 'carol'], (command, from, to) => from != 'carol' || carolOnline);
+        const roster = users.alice.sdk.roster;
+        users.alice.sdk.presence.configure({ heartbeatInterval: 50, idleAfter: 100, offlineAfter: 200 });
+        const events = [];
+        users.alice.sdk.on('roster-join', (p) => events.push(['join', p.address]));
+        users.alice.sdk.on('roster-leave', (p) => events.push(['leave', p.address, p.joined]));
+
+        await wait(150);
+        carolOnline = false;
+        await wait(600);
+
+        expect(events).to.deep.equal([['join', 'bob'], ['join', 'carol'], ['leave', 'carol', false]]);
+        expect(roster.joined()).to.deep.equal(['bob']);
+        expect(roster.get('carol')).to.include({ joined: false, status: 'offline' });
+
+        carolOnline = true;
+        users.carol.sdk.roster.broadcast('back');
+        await wait(100);
+        expect(events[events.length - 1]).to.deep.equal(['join', 'carol']);
+    });
+
+    it('lets users who left a new session leave the roster', async () => {
+        const users = loadSession(['alice', 'bob', 'carol']);
+        await wait(100);
+        const events = [];
+        users.alice.sdk.on('roster-leave', (p) => events.push(p.address));
+
+        users.alice.sdk.onInit('session', 'bob');
+
+        expect(events).to.deep.equal(['carol']);
+        expect(users.alice.sdk.roster.peers()).to.deep.equal(['bob']);
+        expect(users.alice.sdk.roster.localAddress).to.equal('alice');
+    });
+});
@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const { loadPeers, wait } = require('./support/sdk-context');
+
+describe('SpixiAppSdk protocol RPC', function () {
+    let peers;
+    let client;
+    let server;
+
+    beforeEach(() => {
+        peers = loadPeers();
+        client = peers.alice.sdk.protocol('com.ixilabs.gatecontrol');
+        server = peers.bob.sdk.protocol('com.ixilabs.gatecontrol');
+    });
+
+    it('resolves calls with the result of the matching handler', async () => {
+        server.handle('ping', (params, context) => ({ ts: params.ts, from: context.senderAddress }));
+        server.handle('toggle', () => Promise.resolve({ status: 'open' }));
+
+        const results = await Promise.all([client.call('ping', { ts: 5 }), client.call('toggle')]);
+
+        expect(results).to.deep.equal([{ ts: 5, from: 'alice' }, { status: 'open' }]);
+    });
+
+    it('keeps RPC messages away from the regular listeners and the schema', async () => {
+        const messages = [];
+        server.configure({ schema: { type: 'object', required: ['status'] } });
+        server.on((message) => messages.push(message));
+        server.handle('ping', () => 'pong');
+
+        expect(await client.call('ping')).to.equal('pong');
+        client.send({ status: 'hello' });
+        await wait(100);
+
+        expect(messages).to.deep.equal([{ status: 'hello' }]);
+    });
+
+    it('rejects with the error thrown by the handler', async () => {
+        server.handle('toggle', () => {
+            const error = new Error('Gate is locked');
+            error.code = 'locked';
+            throw error;
+        });
+
+        const error = await client.call('toggle').catch((e) => e);
+
+        expect(error.message).to.equal('Gate is locked');
+        expect(error.code).to.equal('locked');
+    });
+
+    it('rejects calls to unknown methods of a serving peer', async () => {
+        server.handle('ping', () => 'pong');
+
+        const error = await client.call('open').catch((e) => e);
+
+        expect(error.code).to.equal('not-found');
+    });
+
+    it('times out when nobody answers', async () => {
+        const started = Date.now();
+        const error = await client.call('ping', null, { timeout: 150 }).catch((e) => e);
+
+        expect(error.code).to.equal('timeout');
+        expect(Date.now() - started).to.be.within(140, 1000);
+    });
+
+    it('retries with the same id and runs the handler only once', async () => {
+        let calls = 0;
+        let dropped = 0;
+        peers = loadPeers((command, from) => {
+            // Loses the first two responses
+            if (from == 'bob' && command.includes('result') && dropped < 2) {
+                dropped++;
+                return false;
+            }
+            return true;
+        });
+        client = peers.alice.sdk.protocol('gate', { timeout: 150, retries: 2 });
+        peers.bob.sdk.protocol('gate').handle('toggle', () => ({ toggles: ++calls }));
+
+        const result = await client.call('toggle');
+
+        expect(result).to.deep.equal({ toggles: 1 });
+        expect(calls).to.equal(1);
+        expect(dropped).to.equal(2);
+    });
+
+    it('streams partial results and keeps the call alive while they arrive', async () => {
+        server.handle('camera', async (params, context) => {
+            for (let i = 0; i < 4; i++) {
+                await wait(80);
+                context.stream({ frame: i });
+            }
+            return { frames: 4 };
+        });
+        const frames = [];
+
+        const result = await client.call('camera', null, {
+            timeout: 200,
+            onStream: (data, sender) => frames.push([data.frame, sender])
+        });
+
+        expect(frames).to.deep.equal([[0, 'bob'], [1, 'bob'], [2, 'bob'], [3, 'bob']]);
+        expect(result).to.deep.equal({ frames: 4 });
+    });
+
+    it('sends large responses in fragments', async () => {
+        peers.bob.sdk.transfer.configure({ fragmentSize: 100 });
+        const image = 'x'.repeat(1000);
+        server.handle('snapshot', () => ({ imageBase64: image }));
+
+        const result = await client.call('snapshot');
+
+        expect(result.imageBase64).to.equal(image);
+    });
+
+    it('cancels calls and tells the handler', async () => {
+        let context = null;
+        server.handle('camera', (params, ctx) => {
+            context = ctx;
+            return new Promise(() => {});
+        });
+
+        const call = client.call('camera');
+        await wait(100);
+        call.cancel();
+        const error = await call.catch((e) => e);
+        await wait(100);
+
+        expect(error.code).to.equal('cancelled');
+        expect(context.cancelled).to.equal(true);
+        expect(context.stream('late')).to.equal(false);
+    });
+
+    it('rejects pending calls when the handle is closed', async () => {
+        const call = client.call('ping');
+        client.close();
+
+        const error = await call.catch((e) => e);
+
+        expect(error.code).to.equal('cancelled');
+    });
+});
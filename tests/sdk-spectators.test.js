@@ -0,0 +1,210 @@
+const { expect } = require('chai');
+const { loadSdk, wait } = require('./support/sdk-context');
+
+// Loads one SDK per user of a session with alice, bob and carol in which every message reaches every other
+// loaded user, storages can hold the storage of a user to simulate a reopen
+function loadSession(names, storages = {}) {
+    const users = {};
+    const deliver = (from) => (command) => {
+        let deliver = null;
+        if (command.startsWith('ixian:data')) {
+            const data = command.substring('ixian:data'.length);
+            deliver = (sdk) => sdk.onNetworkData(from, data);
+        } else if (command.startsWith('ixian:protocolData')) {
+            const body = command.substring('ixian:protocolData'.length);
+            const separator = body.indexOf('=');
+            deliver = (sdk) => sdk.onNetworkProtocolData(from, body.substring(0, separator), body.substring(separator + 1));
+        }
+        if (!deliver) return;
+        Object.keys(users).filter((to) => to != from).forEach((to) => {
+            setTimeout(() => deliver(users[to].sdk), 0);
+        });
+    };
+    for (const name of names) {
+        users[name] = loadSdk({ storage: storages[name] || {}, onCommand: deliver(name) });
+        // Users that aren't loaded never answer
+        users[name].sdk.spectators.settleTimeout = 100;
+    }
+    for (const name of names) {
+        users[name].sdk.onInit('session', ['alice', 'bob', 'carol'].filter((other) => other != name).join(','));
+    }
+    return users;
+}
+
+function ticTacToe(sdk) {
+    return sdk.createTurnGame({
+        name: 'ttt',
+        syncInterval: 50,
+        setup: () => ({ board: Array(9).fill('') }),
+        applyMove: (state, move, player) => {
+            if (state.board[move.cell] !== '') return null;
+            state.board[move.cell] = player == 0 ? 'X' : 'O';
+            return state;
+        },
+        result: () => null
+    });
+}
+
+function received(sdk) {
+    const messages = [];
+    sdk.on('network-data', (sender, data) => messages.push([sender, data]));
+    return messages;
+}
+
+describe('SpixiAppSdk.spectators', function () {
+    it('seats the earliest claims and lets later participants spectate', async () => {
+        const users = loadSession(['alice', 'bob', 'carol']);
+        const changes = [];
+        users.carol.sdk.on('role-change', (change) => changes.push(change));
+
+        const roles = await Promise.all([users.alice.sdk.spectators.enable(), users.bob.sdk.spectators.enable()]);
+        await wait(20);
+        const carolRole = await users.carol.sdk.spectators.enable();
+        await wait(100);
+
+        expect(roles).to.deep.equal(['player', 'player']);
+        expect(carolRole).to.equal('spectator');
+        expect(changes).to.deep.equal([{ role: 'spectator', previous: null }]);
+        for (const name of ['alice', 'bob', 'carol']) {
+            const spectators = users[name].sdk.spectators;
+            expect(spectators.players().slice().sort()).to.deep.equal(['alice', 'bob']);
+            expect(spectators.spectators()).to.deep.equal(['carol']);
+        }
+        expect(users.alice.sdk.spectators.isSpectator('carol')).to.equal(true);
+        expect(users.alice.sdk.spectators.isPlayer('bob')).to.equal(true);
+        expect(users.carol.sdk.spectators.isSpectator()).to.equal(true);
+    });
+
+    it('drops data from spectators but streams the players data to them', async () => {
+        const users = loadSession(['alice', 'bob', 'carol']);
+        await Promise.all([users.alice.sdk.spectators.enable(), users.bob.sdk.spectators.enable()]);
+        await wait(20);
+        await users.carol.sdk.spectators.enable();
+        await wait(50);
+        const alice = received(users.alice.sdk);
+        const carol = received(users.carol.sdk);
+        const protocol = [];
+        users.alice.sdk.on('network-protocol-data', (sender, id, data) => protocol.push([sender, id, data]));
+        // The drops are debug entries, only logged when asked for
+        users.alice.sdk.log.configure({ level: 'debug', echo: false });
+
+        await users.carol.sdk.sendNetworkData('paddle:100');
+        await users.carol.sdk.sendNetworkProtocolData('game', 'move');
+        await users.bob.sdk.sendNetworkData('paddle:200');
+        await wait(100);
+
+        expect(alice).to.deep.equal([['bob', 'paddle:200']]);
+        expect(protocol).to.deep.equal([]);
+        expect(carol).to.deep.equal([['bob', 'paddle:200']]);
+        expect(users.alice.sdk.log.entries({ tag: 'spectators' })).to.have.length(2);
+        expect(users.bob.sdk.log.entries({ tag: 'spectators' })).to.deep.equal([]);
+    });
+
+    it('delivers chat messages from players and spectators', async () => {
+        const users = loadSession(['alice', 'bob', 'carol']);
+        await Promise.all([users.alice.sdk.spectators.enable(), users.bob.sdk.spectators.enable()]);
+        await wait(20);
+        await users.carol.sdk.spectators.enable();
+        await wait(50);
+        const chat = [];
+        users.alice.sdk.on('chat', (message) => chat.push(message));
+
+        await users.carol.sdk.spectators.chat('nice shot');
+        await users.bob.sdk.spectators.chat('thanks');
+        await wait(100);
+
+        expect(chat).to.deep.equal([
+            { address: 'carol', text: 'nice shot', spectator: true },
+            { address: 'bob', text: 'thanks', spectator: false }
+        ]);
+    });
+
+    it('sends a late spectator a snapshot of the game', async () => {
+        const users = loadSession(['alice', 'bob', 'carol']);
+        await Promise.all([
+            users.alice.sdk.spectators.enable({ snapshot: () => ({ score: [2, 1], from: 'alice' }) }),
+            users.bob.sdk.spectators.enable({ snapshot: () => ({ score: [2, 1], from: 'bob' }) })
+        ]);
+        await wait(20);
+        const snapshots = [];
+        users.carol.sdk.on('spectator-snapshot', (snapshot, sender) => snapshots.push([snapshot, sender]));
+
+        await users.carol.sdk.spectators.enable();
+        await wait(150);
+
+        expect(snapshots).to.have.length(1);
+        expect(snapshots[0][0].score).to.deep.equal([2, 1]);
+        expect(snapshots[0][1]).to.equal(snapshots[0][0].from);
+    });
+
+    it('keeps the seat of a player that reopens the app', async () => {
+        const storages = { alice: {}, bob: {}, carol: {} };
+        let users = loadSession(['alice', 'bob'], storages);
+        await Promise.all([users.alice.sdk.spectators.enable(), users.bob.sdk.spectators.enable()]);
+        await wait(20);
+
+        users = loadSession(['alice', 'carol'], storages);
+        await users.carol.sdk.spectators.enable();
+        await wait(20);
+        const role = await users.alice.sdk.spectators.enable();
+        await wait(100);
+
+        expect(role).to.equal('player');
+        expect(users.carol.sdk.spectators.players()).to.deep.equal(['alice', 'carol']);
+    });
+
+    it('takes seats in turn games from the players only', async () => {
+        const users = loadSession(['alice', 'bob', 'carol']);
+        const games = {};
+        for (const name of ['alice', 'bob', 'carol']) {
+            games[name] = ticTacToe(users[name].sdk);
+        }
+        await Promise.all([users.alice.sdk.spectators.enable(), users.bob.sdk.spectators.enable()]);
+        await wait(20);
+        await users.carol.sdk.spectators.enable();
+        await Promise.all([games.alice.start(), games.bob.start(), games.carol.start()]);
+        await wait(200);
+
+        const first = games.alice.isMyTurn ? games.alice : games.bob;
+        expect([games.alice.player, games.bob.player].sort()).to.deep.equal([0, 1]);
+        expect(games.carol.player).to.equal(null);
+        await first.move({ cell: 4 });
+        await wait(100);
+        expect(games.carol.getState().board[4]).to.equal('X');
+
+        // A forged history from the spectator isn't adopted
+        await users.carol.sdk.sendNetworkData('spx:tg:' + JSON.stringify({
+            n: 'ttt', k: 'state', g: 1, h: [{ cell: 4 }, { cell: 0 }, { cell: 8 }], f: 0, s: [null, 'alice']
+        }));
+        await wait(100);
+        expect(games.alice.history).to.have.length(1);
+        expect(games.bob.history).to.have.length(1);
+        Object.values(games).forEach((game) => game.destroy());
+    });
+
+    it('starts a turn game without members that never open the app', async () => {
+        // carol is in the session but never opens the app
+        const users = loadSession(['alice', 'bob']);
+        const games = { alice: ticTacToe(users.alice.sdk), bob: ticTacToe(users.bob.sdk) };
+        const players = [];
+        const handshakes = [];
+        users.alice.sdk.on('players-change', (list) => players.push(list));
+        users.alice.sdk.on('handshake-complete', (result) => handshakes.push(result.peers));
+
+        users.alice.sdk.spectators.enable({ players: 2 });
+        users.bob.sdk.spectators.enable({ players: 2 });
+        await Promise.all([games.alice.start(), games.bob.start()]);
+        await wait(100);
+
+        expect(players[players.length - 1].slice().sort()).to.deep.equal(['alice', 'bob']);
+        for (const name of ['alice', 'bob']) {
+            expect(users[name].sdk.spectators.role).to.equal('player');
+            expect(users[name].sdk.handshake.complete).to.equal(true);
+        }
+        expect(handshakes).to.deep.equal([['bob']]);
+        expect([games.alice.player, games.bob.player].sort()).to.deep.equal([0, 1]);
+        expect(games.alice.state).to.deep.equal({ board: Array(9).fill('') });
+        expect(games.bob.state).to.deep.equal(games.alice.state);
+        Object.values(games).forEach((game) => game.destroy());
+    });
+});
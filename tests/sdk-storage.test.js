@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const { loadSdk } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.storage', function () {
+    let env;
+
+    beforeEach(() => {
+        env = loadSdk();
+    });
+
+    it('resolves get with the value returned for the same key', async () => {
+        const pending = env.sdk.storage.get('score');
+        expect(env.commands).to.deep.equal(['ixian:getStorageDatascore']);
+
+        env.sdk.onStorageData('other', 'x');
+        env.sdk.onStorageData('score', '42');
+        expect(await pending).to.equal('42');
+    });
+
+    it('shares one host request between concurrent gets of a key', async () => {
+        const first = env.sdk.storage.get('score');
+        const second = env.sdk.storage.get('score');
+        expect(env.commands).to.have.length(1);
+
+        env.sdk.onStorageData('score', 'null');
+        expect(await first).to.equal(null);
+        expect(await second).to.equal(null);
+    });
+
+    it('rejects get when the host does not answer in time', async () => {
+        env.sdk.storage.timeout = 10;
+        let error = null;
+        try {
+            await env.sdk.storage.get('missing');
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.not.equal(null);
+        expect(error.message).to.contain('timed out');
+        expect(env.sdk.storage._pending).to.not.have.property('missing');
+    });
+
+    it('issues set and remove commands', async () => {
+        await env.sdk.storage.set('score', '42');
+        await env.sdk.storage.remove('score');
+        expect(env.commands).to.deep.equal(['ixian:setStorageDatascore=42', 'ixian:setStorageDatascore=null']);
+    });
+
+    it('keeps calling the legacy onStorageData handler', () => {
+        const received = [];
+        env.sdk.onStorageData = (key, value) => received.push([key, value]);
+        env.sdk.storage.get('score');
+        env.sdk.onStorageData('score', '7');
+        expect(received).to.deep.equal([['score', '7']]);
+    });
+});
+
+describe('SpixiAppSdk.storage.namespace', function () {
+    let env;
+    let storage;
+
+    beforeEach(() => {
+        storage = {};
+        env = loadSdk({ storage });
+    });
+
+    it('stores JSON values as base64 under scoped keys', async () => {
+        env.sdk.onInit('session1', 'bob,alice');
+        const app = env.sdk.storage.namespace('pong');
+        const peer = env.sdk.storage.namespace('pong', { scope: 'peer' });
+        const session = env.sdk.storage.namespace('pong', { scope: 'session' });
+
+        await app.set('settings', { sound: true });
+        await peer.set('lastGame', { lives: [3, 1], name: 'Ünïcode' });
+        await session.set('score', 7);
+
+        expect(Object.keys(storage)).to.deep.equal(['pong:settings', 'pong:alice,bob:lastGame', 'pong:session1:score']);
+        expect(storage['pong:settings']).to.match(/^[A-Za-z0-9+/]+=*$/);
+        expect(await peer.get('lastGame')).to.deep.equal({ lives: [3, 1], name: 'Ünïcode' });
+        expect(await session.get('score')).to.equal(7);
+        expect(await app.get('missing')).to.equal(null);
+
+        await app.remove('settings');
+        expect(await app.get('settings')).to.equal(null);
+    });
+
+    it('runs the migrations of newer versions and saves the result', async () => {
+        const migrations = {
+            2: (value) => ({ ...value, lives: value.lives || 3 }),
+            3: (value) => ({ ...value, paddles: [value.lives, value.lives] })
+        };
+        await env.sdk.storage.namespace('game', { version: 2, migrations }).set('save', { lives: 2 });
+        // Written by an app that stored base64 JSON itself
+        storage['game:legacy'] = Buffer.from(JSON.stringify({ score: 1 })).toString('base64');
+        storage['game:plain'] = '{"score":2}';
+
+        const game = env.sdk.storage.namespace('game', { version: 3, migrations });
+        expect(await game.get('save')).to.deep.equal({ lives: 2, paddles: [2, 2] });
+        expect(await game.get('legacy')).to.deep.equal({ score: 1, lives: 3, paddles: [3, 3] });
+        expect(await game.get('plain')).to.deep.equal({ score: 2, lives: 3, paddles: [3, 3] });
+
+        const saved = JSON.parse(Buffer.from(storage['game:legacy'], 'base64').toString());
+        expect(saved).to.deep.equal({ $v: 3, data: { score: 1, lives: 3, paddles: [3, 3] } });
+    });
+
+    it('refuses values written by a newer version', async () => {
+        await env.sdk.storage.namespace('game', { version: 4 }).set('save', 1);
+        let error;
+        await env.sdk.storage.namespace('game', { version: 3 }).get('save').catch((e) => { error = e; });
+        expect(error.message).to.match(/newer version 4/);
+    });
+});
@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const { loadSdk, loadPeers, wait } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.createStore', function () {
+    it('converges on concurrent changes', async () => {
+        const peers = loadPeers();
+        const alice = peers.alice.sdk.createStore('game', { persist: false, initial: { round: 1 } });
+        const bob = peers.bob.sdk.createStore('game', { persist: false, initial: { round: 1 } });
+
+        alice.set('cell4', 'X');
+        bob.set('cell4', 'O');
+        alice.increment('score', 2);
+        bob.increment('score');
+        bob.increment('score', -4);
+        alice.update({ turn: 'O', round: 2 });
+        await wait(100);
+
+        expect(alice.toObject()).to.deep.equal(bob.toObject());
+        expect(alice.get('score')).to.equal(-1);
+        expect(alice.get('round')).to.equal(2);
+        expect(['X', 'O']).to.include(alice.get('cell4'));
+    });
+
+    it('repairs lost changes by comparing digests', async () => {
+        let dropping = true;
+        const peers = loadPeers((command) => !(dropping && command.includes('spx:st')));
+        const alice = peers.alice.sdk.createStore('game', { persist: false, syncInterval: 0 });
+        const bob = peers.bob.sdk.createStore('game', { persist: false, syncInterval: 0 });
+
+        alice.set('a', 1);
+        bob.set('b', [1, 2]);
+        bob.remove('a');
+        await wait(50);
+        expect(bob.get('a')).to.equal(undefined);
+        expect(alice.get('b')).to.equal(undefined);
+
+        dropping = false;
+        alice.sync();
+        await wait(100);
+
+        expect(alice.toObject()).to.deep.equal({ b: [1, 2] });
+        expect(bob.toObject()).to.deep.equal({ b: [1, 2] });
+        expect(alice._digest()).to.equal(bob._digest());
+    });
+
+    it('reports changes to listeners', async () => {
+        const peers = loadPeers();
+        const alice = peers.alice.sdk.createStore('game', { persist: false, initial: { turn: 'X' } });
+        const bob = peers.bob.sdk.createStore('game', { persist: false, initial: { turn: 'X' } });
+        const local = [];
+        const remote = [];
+        alice.onChange((changes, info) => local.push([changes, info]));
+        peers.bob.sdk.on('state-change', (name, changes, info) => remote.push([name, changes, info]));
+
+        alice.set('turn', 'O');
+        alice.set('turn', 'O');
+        await wait(50);
+
+        expect(local).to.deep.equal([[{ turn: { value: 'O', previous: 'X' } }, { local: true, address: null }]]);
+        expect(remote).to.deep.equal([['game', { turn: { value: 'O', previous: 'X' } }, { local: false, address: 'alice' }]]);
+        expect(bob.get('turn')).to.equal('O');
+    });
+
+    it('persists its content and restores it', async () => {
+        const storage = {};
+        const first = loadSdk({ storage }).sdk.createStore('game');
+        await first.ready;
+        first.set('board', ['X', '', 'O']);
+        first.increment('moves', 2);
+        await wait(150);
+        expect(storage).to.have.property('spx-store:game');
+
+        const second = loadSdk({ storage }).sdk.createStore('game');
+        await second.ready;
+        expect(second.toObject()).to.deep.equal({ board: ['X', '', 'O'], moves: 2 });
+        second.increment('moves');
+        expect(second.get('moves')).to.equal(3);
+    });
+
+    it('reports content it cannot load as an error', async () => {
+        // Without a storage the host never answers
+        const env = loadSdk();
+        const reported = [];
+        env.sdk.log.configure({ echo: false });
+        env.sdk.on('error', (record) => reported.push([record.source, record.context]));
+        env.sdk.storage.timeout = 20;
+
+        const store = env.sdk.createStore('game', { syncInterval: 0 });
+        expect(await store.ready).to.equal(store);
+        expect(reported).to.deep.equal([['store', { store: 'game' }]]);
+    });
+});
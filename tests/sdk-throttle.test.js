@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const { loadSdk, wait } = require('./support/sdk-context');
+
+function data(env) {
+    return env.commands.filter((command) => command.startsWith('ixian:data')).map((command) => command.substring('ixian:data'.length));
+}
+
+describe('SpixiAppSdk.throttle', function () {
+    let env;
+
+    beforeEach(() => {
+        env = loadSdk();
+    });
+
+    it('sends a burst right away and paces the rest at the channel rate', async () => {
+        env.sdk.throttle.channel('default', { rate: 20, burst: 2 });
+        const sent = ['one', 'two', 'three', 'four'].map((message) => env.sdk.sendNetworkData(message));
+        await wait(30);
+
+        expect(data(env)).to.deep.equal(['one', 'two']);
+        expect(env.sdk.throttle.stats().channels.default).to.include({ queued: 2, delayed: 2 });
+
+        await Promise.all(sent);
+        expect(data(env)).to.deep.equal(['one', 'two', 'three', 'four']);
+        expect(env.sdk.throttle.stats().channels.default).to.include({ queued: 0, sent: 4 });
+    });
+
+    it('keeps only the latest waiting message per key on coalescing channels', async () => {
+        env.sdk.throttle.channel('realtime', { rate: 20, burst: 1, coalesce: true });
+        const options = (key) => ({ channel: 'realtime', key });
+        env.sdk.sendNetworkData('paddle:1', options('paddle'));
+        const superseded = env.sdk.sendNetworkData('paddle:2', options('paddle'));
+        env.sdk.sendNetworkData('state:1', options('state'));
+        const latest = env.sdk.sendNetworkData('paddle:3', options('paddle'));
+
+        await Promise.all([superseded, latest]);
+        await wait(60);
+
+        expect(data(env)).to.deep.equal(['paddle:1', 'paddle:3', 'state:1']);
+        expect(env.sdk.throttle.stats().channels.realtime).to.include({ sent: 3, coalesced: 1 });
+    });
+
+    it('limits protocol messages and leaves SDK frames to their own channel', async () => {
+        env.sdk.throttle.channel('default', { rate: 1, burst: 1 });
+        env.sdk.sendNetworkProtocolData('game', 'move:1');
+        env.sdk.sendNetworkProtocolData('game', 'move:2');
+        env.sdk.sendNetworkData('spx:hb:a');
+        env.sdk.sendNetworkData('spx:hb:b');
+        await wait(60);
+
+        expect(env.commands).to.deep.equal(['ixian:protocolDatagame=move:1', 'ixian:dataspx:hb:a', 'ixian:dataspx:hb:b']);
+        expect(env.sdk.throttle.stats().channels.sdk.sent).to.equal(2);
+    });
+
+    it('backs off while the round-trip time is high and recovers gradually', () => {
+        const changes = [];
+        env.sdk.on('throttle-change', (change) => changes.push(change));
+        env.sdk.throttle.channel('default', { rate: 40 });
+
+        env.sdk.clock.rtt = 800;
+        env.sdk.throttle._adapt();
+        env.sdk.throttle._adapt();
+        env.sdk.throttle._adapt();
+        expect(env.sdk.throttle.factor).to.equal(0.25);
+        expect(env.sdk.throttle.stats().channels.default.effectiveRate).to.equal(10);
+
+        env.sdk.clock.rtt = 50;
+        env.sdk.clock.loss = 0.5;
+        env.sdk.throttle._adapt();
+        expect(env.sdk.throttle.factor).to.equal(0.25);
+
+        env.sdk.clock.loss = 0;
+        env.sdk.throttle._adapt();
+        expect(env.sdk.throttle.factor).to.equal(0.35);
+        expect(changes.map((change) => change.factor)).to.deep.equal([0.5, 0.25, 0.35]);
+        expect(changes[0]).to.include({ previous: 1, rtt: 800 });
+    });
+
+    it('passes everything through when disabled', () => {
+        env.sdk.throttle.configure({ enabled: false });
+        env.sdk.throttle.channel('default', { rate: 1, burst: 1 });
+        env.sdk.sendNetworkData('one');
+        env.sdk.sendNetworkData('two');
+
+        expect(env.sdk.queue.length).to.equal(1);
+        expect(env.sdk.throttle.stats().channels.default.queued).to.equal(0);
+    });
+});
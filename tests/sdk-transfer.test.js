@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const { loadPeers, wait } = require('./support/sdk-context');
+
+describe('SpixiAppSdk.transfer', function () {
+    const image = 'data:' + 'A1b2/+'.repeat(500) + '👋'.repeat(20);
+
+    it('reassembles fragmented network data and reports progress', async () => {
+        const peers = loadPeers();
+        peers.alice.sdk.transfer.configure({ fragmentSize: 301 });
+        const received = [];
+        const progress = [];
+        const sent = [];
+        peers.bob.sdk.onNetworkData = (sender, data) => received.push([sender, data]);
+        peers.bob.sdk.on('transfer-progress', (sender, info) => progress.push(info.received + '/' + info.total));
+
+        await peers.alice.sdk.transfer.sendNetworkData(image, { onProgress: (done, total) => sent.push(done + '/' + total) });
+        await wait(20);
+
+        expect(received).to.deep.equal([['alice', image]]);
+        expect(sent).to.have.length(11);
+        expect(sent[10]).to.equal('11/11');
+        expect(progress[10]).to.equal('11/11');
+    });
+
+    it('reassembles fragmented protocol data for protocol listeners', async () => {
+        const peers = loadPeers();
+        peers.alice.sdk.transfer.configure({ fragmentSize: 1000 });
+        const received = [];
+        peers.bob.sdk.on('network-protocol-data', (sender, protocolId, data) => received.push([protocolId, data]));
+
+        const frame = JSON.stringify({ imageBase64: image });
+        await peers.alice.sdk.transfer.sendNetworkProtocolData('com.ixilabs.gatecontrol', frame);
+        await peers.alice.sdk.transfer.sendNetworkProtocolData('com.ixilabs.gatecontrol', '{"status":"open"}');
+        await wait(20);
+
+        expect(received).to.deep.equal([['com.ixilabs.gatecontrol', frame], ['com.ixilabs.gatecontrol', '{"status":"open"}']]);
+    });
+
+    it('drops transfers that fail the integrity check', async () => {
+        const peers = loadPeers();
+        peers.alice.sdk.transfer.configure({ fragmentSize: 1000 });
+        const failures = [];
+        const received = [];
+        peers.bob.sdk.onNetworkData = (sender, data) => received.push(data);
+        peers.bob.sdk.on('transfer-failed', (sender, info) => failures.push(info.reason));
+
+        const frames = [];
+        peers.alice.sdk.sendNetworkData = (data) => { frames.push(data); return Promise.resolve(); };
+        await peers.alice.sdk.transfer.sendNetworkData(image);
+        frames.forEach((frame, index) => peers.bob.sdk.onNetworkData('alice', index == 1 ? frame.replace('A1b2', 'A1b3') : frame));
+
+        expect(received).to.deep.equal([]);
+        expect(failures).to.deep.equal(['checksum']);
+    });
+
+    it('gives up on transfers with missing fragments', async () => {
+        const peers = loadPeers((command) => !command.includes(':1:'));
+        peers.alice.sdk.transfer.configure({ fragmentSize: 1000 });
+        peers.bob.sdk.transfer.configure({ timeout: 50 });
+        const failures = [];
+        peers.bob.sdk.on('transfer-failed', (sender, info) => failures.push([sender, info.reason]));
+
+        await peers.alice.sdk.transfer.sendNetworkData(image);
+        await wait(100);
+
+        expect(failures).to.deep.equal([['alice', 'timeout']]);
+        expect(Object.keys(peers.bob.sdk.transfer._incoming)).to.have.length(0);
+    });
+});
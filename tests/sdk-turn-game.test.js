@@ -0,0 +1,174 @@
+const { expect } = require('chai');
+const { loadPeers, wait } = require('./support/sdk-context');
+
+const lines = [[0, 1, 2], [3, 4, 5], [6, 7, 8], [0, 3, 6], [1, 4, 7], [2, 5, 8], [0, 4, 8], [2, 4, 6]];
+
+// Tic-tac-toe rules, player 0 plays X
+function ticTacToe(sdk, options = {}) {
+    return sdk.createTurnGame({
+        name: 'ttt',
+        version: '1',
+        syncInterval: 50,
+        setup: () => ({ board: Array(9).fill('') }),
+        applyMove: (state, move, player) => {
+            if (state.board[move.cell] !== '') return null;
+            state.board[move.cell] = player == 0 ? 'X' : 'O';
+            return state;
+        },
+        result: (state) => {
+            for (const [a, b, c] of lines) {
+                if (state.board[a] && state.board[a] == state.board[b] && state.board[a] == state.board[c]) {
+                    return { winner: state.board[a] == 'X' ? 0 : 1 };
+                }
+            }
+            return state.board.includes('') ? null : { draw: true };
+        },
+        ...options
+    });
+}
+
+async function startGames(peers) {
+    const games = { alice: ticTacToe(peers.alice.sdk), bob: ticTacToe(peers.bob.sdk) };
+    await Promise.all([games.alice.start(), games.bob.start()]);
+    await wait(30);
+    const first = games.alice.isMyTurn ? 'alice' : 'bob';
+    const second = first == 'alice' ? 'bob' : 'alice';
+    return { games, first: games[first], second: games[second], secondSdk: peers[second].sdk };
+}
+
+describe('SpixiAppSdk.createTurnGame', function () {
+    it('assigns seats and exchanges moves in turn', async () => {
+        const peers = loadPeers();
+        const { first, second } = await startGames(peers);
+        const moves = [];
+        second.on('move', (move, player, state, info) => moves.push([move.cell, player, info.local]));
+
+        expect(first.player).to.equal(0);
+        expect(second.player).to.equal(1);
+        await first.move({ cell: 4 });
+        await wait(20);
+        await second.move({ cell: 0 });
+        await wait(20);
+
+        expect(moves).to.deep.equal([[4, 0, false], [0, 1, true]]);
+        expect(first.getState()).to.deep.equal(second.getState());
+        expect(first.isMyTurn).to.equal(true);
+    });
+
+    it('rejects out-of-turn and illegal moves', async () => {
+        const peers = loadPeers();
+        const { first, second, secondSdk } = await startGames(peers);
+        const rejected = [];
+        first.on('rejected', (move, player, reason) => rejected.push(reason));
+
+        await expectRejection(second.move({ cell: 1 }), /not your turn/);
+        await first.move({ cell: 1 });
+        await wait(20);
+        await expectRejection(second.move({ cell: 1 }), /Illegal/);
+
+        // A peer that ignores the rules is answered with the accepted history
+        secondSdk.sendNetworkData(secondSdk._encodeFrame('tg', JSON.stringify({ n: 'ttt', k: 'move', g: 1, i: 1, m: { cell: 1 } })));
+        await wait(30);
+        expect(rejected).to.include('illegal');
+        expect(first.getState().board.filter((cell) => cell)).to.have.length(1);
+    });
+
+    it('rejects state that rewrites the history or makes moves for this player', async () => {
+        const peers = loadPeers();
+        const { games, first, secondSdk } = await startGames(peers);
+        const firstAddress = first === games.alice ? 'alice' : 'bob';
+        const rejected = [];
+        first.on('rejected', (move, player, reason) => rejected.push(reason));
+        await first.move({ cell: 4 });
+        await wait(20);
+
+        // The second player claims moves for the first player's seat, or replaces the first player's move
+        const forge = (history) => secondSdk.sendNetworkData(secondSdk._encodeFrame('tg', JSON.stringify({
+            n: 'ttt', k: 'state', g: 1, h: history, f: 0, s: [firstAddress, null]
+        })));
+        forge([{ cell: 4 }, { cell: 0 }, { cell: 1 }, { cell: 2 }]);
+        forge([{ cell: 8 }, { cell: 0 }]);
+        await wait(30);
+
+        expect(rejected).to.deep.equal(['history', 'history']);
+        expect(first.history).to.deep.equal([{ cell: 4 }]);
+    });
+
+    it('resyncs missed moves and reports the result', async () => {
+        let dropMoves = true;
+        const peers = loadPeers((command) => !(dropMoves && command.includes('"k":"move"')));
+        const { first, second } = await startGames(peers);
+        const ended = [];
+        second.on('end', (result) => ended.push(result));
+
+        await first.move({ cell: 0 });
+        dropMoves = false;
+        await wait(100);
+        expect(second.history).to.have.length(1);
+
+        await second.move({ cell: 3 });
+        await wait(20);
+        await first.move({ cell: 1 });
+        await wait(20);
+        await second.move({ cell: 4 });
+        await wait(20);
+        await first.move({ cell: 2 });
+        await wait(20);
+
+        expect(ended).to.deep.equal([{ winner: 0 }]);
+        await expectRejection(second.move({ cell: 8 }), /ended/);
+    });
+
+    it('starts a rematch once both players ask for it', async () => {
+        const peers = loadPeers();
+        const { first, second } = await startGames(peers);
+        await first.move({ cell: 0 });
+        await wait(20);
+
+        first.rematch();
+        await wait(20);
+        expect(second.gameNumber).to.equal(1);
+        second.rematch();
+        await wait(20);
+
+        for (const game of [first, second]) {
+            expect(game.gameNumber).to.equal(2);
+            expect(game.history).to.deep.equal([]);
+            expect(game.firstPlayer).to.equal(1);
+        }
+        expect(second.isMyTurn).to.equal(true);
+    });
+
+    it('restores a saved game when the app is reopened', async () => {
+        const peers = loadPeers();
+        const { games: original, first, second } = await startGames(peers);
+        await first.move({ cell: 8 });
+        await wait(20);
+        await second.move({ cell: 2 });
+        await wait(20);
+
+        const reopened = loadPeers(undefined, { alice: { storage: peers.alice.storage }, bob: { storage: peers.bob.storage } });
+        const games = { alice: ticTacToe(reopened.alice.sdk), bob: ticTacToe(reopened.bob.sdk) };
+        const synced = [];
+        games.alice.on('sync', (state, info) => synced.push(info.restored));
+        await Promise.all([games.alice.start(), games.bob.start()]);
+
+        expect(synced[0]).to.equal(true);
+        for (const game of Object.values(games)) {
+            expect(game.getState().board).to.deep.equal(['', '', 'O', '', '', '', '', '', 'X']);
+            expect(game.gameNumber).to.equal(1);
+        }
+        expect(games.alice.player).to.equal(original.alice.player);
+        expect(games.bob.player).to.equal(original.bob.player);
+    });
+});
+
+async function expectRejection(promise, pattern) {
+    try {
+        await promise;
+    } catch (e) {
+        expect(e.message).to.match(pattern);
+        return;
+    }
+    throw new Error('Expected the promise to be rejected');
+}
@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const http = require('http');
+const path = require('path');
+
+function request(method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const data = body ? JSON.stringify(body) : '';
+        const req = http.request({
+            hostname: 'localhost',
+            port: 8000,
+            path: urlPath,
+            method,
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+        }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => text += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, text }));
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+describe('server /api/logs', function () {
+    this.timeout(20000);
+
+    let serverProc = null;
+    before(function (done) {
+        const startTime = Date.now();
+        (function waitFor() {
+            http.get('http://localhost:8000/api/mqtt/status', (res) => {
+                res.resume();
+                done();
+            }).on('error', () => {
+                if (!serverProc) {
+                    serverProc = spawn('node', ['server.js'], { cwd: path.join(__dirname, '..') });
+                    serverProc.stdout.on('data', () => {});
+                    serverProc.stderr.on('data', () => {});
+                }
+                if (Date.now() - startTime > 10000) return done(new Error('Server did not start'));
+                setTimeout(waitFor, 200);
+            });
+        })();
+    });
+
+    after(() => {
+        if (serverProc) serverProc.kill();
+    });
+
+    // Entries of other runs can be in the server's buffer, so every run uses its own app id
+    const app = 'com.example.logs-' + Date.now();
+
+    it('stores entries and filters them by app, user and level', async () => {
+        const posted = await request('POST', '/api/logs', {
+            app,
+            user: 'alice',
+            entries: [
+                { time: 1000, level: 'debug', tag: 'app', message: 'alice debug' },
+                { time: 1000, level: 'warn', tag: 'net', message: 'alice warn' }
+            ]
+        });
+        expect(posted.status).to.equal(200);
+        await request('POST', '/api/logs', { app, user: 'bob', entries: [{ time: 0, level: 'info', tag: 'app', message: 'bob info' }] });
+
+        const all = await request('GET', `/api/logs?app=${app}`);
+        expect(all.text.trim().split('\n')).to.have.length(3);
+
+        const alice = await request('GET', `/api/logs?app=${app}&user=alice&level=info`);
+        expect(alice.text).to.equal(`1970-01-01T00:00:01.000Z ${app} alice WARN [net] alice warn\n`);
+    });
+
+    it('streams new entries to followers', async () => {
+        const lines = await new Promise((resolve, reject) => {
+            http.get(`http://localhost:8000/api/logs?app=${app}&user=carol&follow=1`, (res) => {
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    text += chunk;
+                    if (text.includes('second')) {
+                        res.destroy();
+                        resolve(text.trim().split('\n'));
+                    }
+                });
+                request('POST', '/api/logs', { app, user: 'carol', entries: [{ level: 'info', message: 'first' }] })
+                    .then(() => request('POST', '/api/logs', { app, user: 'dave', entries: [{ level: 'info', message: 'other' }] }))
+                    .then(() => request('POST', '/api/logs', { app, user: 'carol', entries: [{ level: 'error', tag: 'game', message: 'second' }] }))
+                    .catch(reject);
+            }).on('error', reject);
+        });
+
+        expect(lines).to.have.length(2);
+        expect(lines[0]).to.match(/ carol INFO \[app\] first$/);
+        expect(lines[1]).to.match(/ carol ERROR \[game\] second$/);
+    });
+
+    it('replaces times a Date cannot hold', async () => {
+        const before = Date.now();
+        await request('POST', '/api/logs', { app, user: 'erin', entries: [{ time: 1e20, message: 'far' }, { time: 'x', message: 'text' }] });
+
+        const logs = await request('GET', `/api/logs?app=${app}&user=erin`);
+        expect(logs.status).to.equal(200);
+        const times = logs.text.trim().split('\n').map((line) => Date.parse(line.split(' ')[0]));
+        expect(times).to.have.length(2);
+        times.forEach((time) => expect(time).to.be.at.least(before));
+    });
+
+    it('rejects posts without entries', async () => {
+        const posted = await request('POST', '/api/logs', { app });
+        expect(posted.status).to.equal(400);
+    });
+});
@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const http = require('http');
+const path = require('path');
+
+function request(method, urlPath, body) {
+    return new Promise((resolve, reject) => {
+        const data = body ? JSON.stringify(body) : '';
+        const req = http.request({
+            hostname: 'localhost',
+            port: 8000,
+            path: urlPath,
+            method,
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) }
+        }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => text += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+describe('server /api/traces', function () {
+    this.timeout(20000);
+
+    let serverProc = null;
+    before(function (done) {
+        const startTime = Date.now();
+        (function waitFor() {
+            http.get('http://localhost:8000/api/mqtt/status', (res) => {
+                res.resume();
+                done();
+            }).on('error', () => {
+                if (!serverProc) {
+                    serverProc = spawn('node', ['server.js'], { cwd: path.join(__dirname, '..') });
+                    serverProc.stdout.on('data', () => {});
+                    serverProc.stderr.on('data', () => {});
+                }
+                if (Date.now() - startTime > 10000) return done(new Error('Server did not start'));
+                setTimeout(waitFor, 200);
+            });
+        })();
+    });
+
+    after(() => {
+        if (serverProc) serverProc.kill();
+    });
+
+    const trace = {
+        version: 1,
+        app: 'com.example.traces-' + Date.now(),
+        user: 'alice',
+        startedAt: 1000,
+        events: [{ t: 0, dir: 'in', name: 'onInit', args: ['session', 'bob'] }]
+    };
+
+    it('stores traces and returns them by id', async () => {
+        const posted = await request('POST', '/api/traces', trace);
+        expect(posted.status).to.equal(200);
+        const id = JSON.parse(posted.text).id;
+
+        const list = JSON.parse((await request('GET', '/api/traces')).text);
+        expect(list.find((stored) => stored.id == id)).to.include({ app: trace.app, user: 'alice', events: 1 });
+
+        const stored = await request('GET', '/api/traces/' + id);
+        expect(JSON.parse(stored.text)).to.deep.equal(trace);
+
+        const file = await request('GET', '/api/traces/' + id + '?download=1');
+        expect(file.headers['content-disposition']).to.contain('attachment');
+    });
+
+    it('keeps the download file name to safe characters', async () => {
+        const posted = await request('POST', '/api/traces', Object.assign({}, trace, { app: 'evil"\r\nX-Injected: 1' }));
+        const id = JSON.parse(posted.text).id;
+
+        const file = await request('GET', '/api/traces/' + id + '?download=1');
+        expect(file.status).to.equal(200);
+        expect(file.headers['x-injected']).to.equal(undefined);
+        expect(file.headers['content-disposition']).to.equal(`attachment; filename="trace-${id}-evil___X-Injected__1.json"`);
+    });
+
+    it('rejects traces without events and unknown ids', async () => {
+        expect((await request('POST', '/api/traces', { app: 'x' })).status).to.equal(400);
+        expect((await request('GET', '/api/traces/unknown')).status).to.equal(404);
+    });
+});
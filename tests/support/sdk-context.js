@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const sdkDir = path.join(__dirname, '..', '..', 'mini-apps-sdk');
+
+// Loads spixi-tools.js and spixi-app-sdk.js into a fresh context, recording every ixian: navigation.
+// Options: globals to add to the context (e.g. a fake document), onCommand(command) called per navigation,
+// storage object that answers the storage commands, it can be passed to another instance to simulate a reopen.
+function loadSdk(options = {}) {
+    const commands = [];
+    const context = {
+        location: {
+            set href(value) {
+                const command = decodeURIComponent(value);
+                commands.push(command);
+                if (options.storage) handleStorage(options.storage, command, context.SpixiAppSdk);
+                if (options.onCommand) options.onCommand(command);
+            },
+            get href() { return ''; }
+        },
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        atob,
+        btoa,
+        TextEncoder,
+        TextDecoder,
+        ...options.globals
+    };
+    vm.createContext(context);
+    for (const file of ['spixi-tools.js', 'spixi-app-sdk.js']) {
+        vm.runInContext(fs.readFileSync(path.join(sdkDir, file), 'utf8'), context, { filename: file });
+    }
+    return { sdk: context.SpixiAppSdk, tools: context.SpixiTools, commands, context, storage: options.storage };
+}
+
+function handleStorage(storage, command, sdk) {
+    const set = command.match(/^ixian:setStorageData([^=]*)=(.*)$/);
+    if (set) {
+        if (set[2] == 'null') delete storage[set[1]];
+        else storage[set[1]] = set[2];
+    }
+    const get = command.match(/^ixian:getStorageData(.*)$/);
+    if (get) {
+        const value = storage.hasOwnProperty(get[1]) ? storage[get[1]] : 'null';
+        setTimeout(() => sdk.onStorageData(get[1], value), 0);
+    }
+}
+
+// Loads two SDK instances whose network and protocol data is delivered to each other.
+// filter(command, fromAddress) can return false to drop a message. options.alice/options.bob can set the
+// globals and storage of each peer, every peer gets an empty storage by default.
+function loadPeers(filter = () => true, options = {}) {
+    const peers = {};
+    const deliver = (from, to) => (command) => {
+        if (command.startsWith('ixian:data') && filter(command, from)) {
+            const data = command.substring('ixian:data'.length);
+            setTimeout(() => peers[to].sdk.onNetworkData(from, data), 0);
+        } else if (command.startsWith('ixian:protocolData') && filter(command, from)) {
+            const body = command.substring('ixian:protocolData'.length);
+            const separator = body.indexOf('=');
+            setTimeout(() => peers[to].sdk.onNetworkProtocolData(from, body.substring(0, separator), body.substring(separator + 1)), 0);
+        }
+    };
+    for (const [name, other] of [['alice', 'bob'], ['bob', 'alice']]) {
+        peers[name] = loadSdk({ storage: {}, ...options[name], onCommand: deliver(name, other) });
+    }
+    peers.alice.sdk.onInit('session', 'bob');
+    peers.bob.sdk.onInit('session', 'alice');
+    return peers;
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { loadSdk, loadPeers, wait };